@@ -0,0 +1,667 @@
+/**
+ * Bulk Payroll Run
+ * Runs the calculation core over an uploaded CSV/XLSX file (one row per
+ * employee) and builds the monthly PAYE schedule for download.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(
+      require("./money.js"),
+      require("./tax-core.js"),
+      require("./csv.js")
+    );
+  } else {
+    root.BulkPayroll = factory(root.MoneyUtils, root.TaxCore, root.CsvUtils);
+    document.addEventListener("DOMContentLoaded", root.BulkPayroll.init);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (MoneyUtils, TaxCore, CsvUtils) {
+    "use strict";
+
+    // Upload columns, matching the calculator form fields
+    const COLUMNS = [
+      {
+        field: "employeeId",
+        label: "Employee ID",
+        type: "text",
+        aliases: ["id", "staff id", "staff no", "employee no"],
+      },
+      {
+        field: "employeeName",
+        label: "Employee Name",
+        type: "text",
+        aliases: ["name", "employee", "full name"],
+      },
+      {
+        field: "tin",
+        label: "TIN",
+        type: "text",
+        aliases: ["tax id", "tax identification number", "employee tin"],
+      },
+      {
+        field: "basicSalary",
+        label: "Basic Salary",
+        type: "amount",
+        aliases: ["basic"],
+      },
+      {
+        field: "housingAllowance",
+        label: "Housing Allowance",
+        type: "amount",
+        aliases: ["housing"],
+      },
+      {
+        field: "transportAllowance",
+        label: "Transport Allowance",
+        type: "amount",
+        aliases: ["transport"],
+      },
+      {
+        field: "leaveAllowance",
+        label: "Leave Allowance",
+        type: "amount",
+        aliases: ["leave"],
+      },
+      {
+        field: "mealsAllowance",
+        label: "Meals Allowance",
+        type: "amount",
+        aliases: ["meals", "meal allowance"],
+      },
+      {
+        field: "energyAllowance",
+        label: "Energy Allowance",
+        type: "amount",
+        aliases: ["energy", "utility allowance"],
+      },
+      {
+        field: "otherAllowances",
+        label: "Other Allowances",
+        type: "amount",
+        aliases: ["other", "other allowance"],
+      },
+      {
+        field: "nhfEnabled",
+        label: "NHF Toggle",
+        type: "toggle",
+        defaultValue: false,
+        aliases: ["auto nhf", "nhf enabled"],
+      },
+      {
+        field: "nhfContribution",
+        label: "NHF Contribution",
+        type: "amount",
+        aliases: ["nhf", "national housing fund"],
+      },
+      {
+        field: "nhisEnabled",
+        label: "NHIS Toggle",
+        type: "toggle",
+        defaultValue: false,
+        aliases: ["auto nhis", "nhis enabled"],
+      },
+      {
+        field: "nhisContribution",
+        label: "NHIS Contribution",
+        type: "amount",
+        aliases: ["nhis", "health insurance"],
+      },
+      {
+        field: "voluntaryPension",
+        label: "Voluntary Pension",
+        type: "amount",
+        aliases: ["voluntary contribution", "avc"],
+      },
+      {
+        field: "mortgageInterest",
+        label: "Mortgage Interest",
+        type: "amount",
+        aliases: ["mortgage"],
+      },
+      {
+        field: "lifeInsurance",
+        label: "Life Insurance",
+        type: "amount",
+        aliases: ["life insurance premium"],
+      },
+      {
+        field: "tempDisabilityInsurance",
+        label: "Temporary Disability Insurance",
+        type: "amount",
+        aliases: ["temp disability", "temporary disability"],
+      },
+      {
+        field: "permDisabilityInsurance",
+        label: "Permanent Disability Insurance",
+        type: "amount",
+        aliases: ["perm disability", "permanent disability"],
+      },
+      {
+        field: "rentPaid",
+        label: "Rent Paid",
+        type: "amount",
+        aliases: ["rent", "annual rent"],
+      },
+      {
+        field: "pensionEnabled",
+        label: "Pension Toggle",
+        type: "toggle",
+        defaultValue: true,
+        aliases: ["auto pension", "pension enabled", "pension auto"],
+      },
+      {
+        field: "pensionContribution",
+        label: "Pension Contribution",
+        type: "amount",
+        aliases: ["pension"],
+      },
+      {
+        field: "regime",
+        label: "Tax Regime",
+        type: "text",
+        aliases: ["regime"],
+      },
+    ];
+
+    const REQUIRED_COLUMNS = [
+      "basicSalary",
+      "housingAllowance",
+      "transportAllowance",
+    ];
+
+    /**
+     * Reduce a header to lowercase letters and digits for matching
+     * @param {string} header - Column header as uploaded
+     * @returns {string} Normalised header
+     */
+    function normalizeHeader(header) {
+      return String(header || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, "");
+    }
+
+    /**
+     * Work out which upload column holds each field
+     * @param {array} headerRow - First row of the upload
+     * @returns {object} Column index by field, and required fields not found
+     */
+    function mapColumns(headerRow) {
+      const indexes = {};
+
+      headerRow.forEach((header, index) => {
+        const key = normalizeHeader(header);
+        const column = COLUMNS.find(
+          (col) =>
+            normalizeHeader(col.field) === key ||
+            normalizeHeader(col.label) === key ||
+            col.aliases.some((alias) => normalizeHeader(alias) === key)
+        );
+        if (column && indexes[column.field] === undefined) {
+          indexes[column.field] = index;
+        }
+      });
+
+      return {
+        indexes,
+        missing: REQUIRED_COLUMNS.filter(
+          (field) => indexes[field] === undefined
+        ),
+      };
+    }
+
+    /**
+     * Parse a yes/no cell
+     * @param {string} text - Cell contents
+     * @returns {boolean|null} Toggle value, null for blank or unrecognised
+     */
+    function parseToggle(text) {
+      const value = String(text || "")
+        .trim()
+        .toLowerCase();
+      if (["yes", "y", "true", "1", "on"].includes(value)) return true;
+      if (["no", "n", "false", "0", "off"].includes(value)) return false;
+      return null;
+    }
+
+    /**
+     * Turn uploaded rows into employee salary objects
+     * @param {array} rows - Upload rows including the header row
+     * @param {object} [defaults] - Values for cells left blank (e.g. regime)
+     * @returns {object} Employees with per-row errors, and missing columns
+     */
+    function rowsToEmployees(rows, defaults = {}) {
+      const { indexes, missing } = mapColumns(rows[0] || []);
+      if (missing.length) {
+        return { employees: [], missing };
+      }
+
+      const employees = rows.slice(1).map((cells, index) => {
+        const salary = Object.assign({}, defaults);
+        const errors = [];
+        const employee = {
+          rowNumber: index + 2, // Spreadsheet row, counting the header
+          employeeId: "",
+          employeeName: "",
+          tin: "",
+          salary,
+          errors,
+        };
+
+        COLUMNS.forEach((column) => {
+          if (indexes[column.field] === undefined) return;
+          const cell = String(cells[indexes[column.field]] || "").trim();
+
+          if (column.type === "amount") {
+            const amount = CsvUtils.parseAmount(cell);
+            if (Number.isNaN(amount)) {
+              errors.push(`${column.label}: "${cell}" is not a number`);
+            }
+            salary[column.field] = amount;
+          } else if (column.type === "toggle") {
+            const toggle = parseToggle(cell);
+            if (toggle === null && cell !== "") {
+              errors.push(`${column.label}: use Yes or No, not "${cell}"`);
+            }
+            // Blank uses the calculator default (auto pension on, NHF/NHIS off)
+            salary[column.field] =
+              toggle === null ? column.defaultValue : toggle;
+          } else if (column.field === "regime") {
+            const regimeIds = TaxCore.getRegimeIds();
+            if (cell && !regimeIds.includes(cell)) {
+              errors.push(
+                `${column.label}: "${cell}" is not one of ${regimeIds.join(", ")}`
+              );
+            }
+            if (cell) salary.regime = cell;
+          } else {
+            employee[column.field] = cell;
+          }
+        });
+
+        // A pension amount with no toggle column means a fixed contribution
+        if (
+          indexes.pensionEnabled === undefined &&
+          indexes.pensionContribution !== undefined &&
+          salary.pensionContribution > 0
+        ) {
+          salary.pensionEnabled = false;
+        }
+
+        if (!errors.length) {
+          errors.push(...TaxCore.validateSalary(salary));
+        }
+
+        return employee;
+      });
+
+      return { employees, missing };
+    }
+
+    /**
+     * Run the payroll calculation on every uploaded row
+     * @param {array} rows - Upload rows including the header row
+     * @param {object} [defaults] - Values for cells left blank (e.g. regime)
+     * @returns {object} One result per row (monthly figures or errors), and missing columns
+     */
+    function runBulkPayroll(rows, defaults = {}) {
+      const { employees, missing } = rowsToEmployees(rows, defaults);
+
+      const results = employees.map((employee) => {
+        if (employee.errors.length) {
+          return Object.assign({}, employee, { result: null });
+        }
+
+        const result = TaxCore.calculatePayroll(employee.salary);
+        return Object.assign({}, employee, {
+          result,
+          gross: result.monthly.gross,
+          pension: result.schedule[0].pension,
+          paye: result.monthly.tax,
+          net: result.monthly.net,
+        });
+      });
+
+      return { results, missing };
+    }
+
+    /**
+     * Sort results by a column, keeping rows with errors at the end
+     * @param {array} results - Bulk results
+     * @param {string} key - Field to sort on
+     * @param {string} [direction] - "asc" or "desc"
+     * @returns {array} Sorted copy
+     */
+    function sortResults(results, key, direction = "asc") {
+      const factor = direction === "desc" ? -1 : 1;
+
+      return results.slice().sort((a, b) => {
+        if (!a.result !== !b.result) return a.result ? -1 : 1;
+
+        const left = a[key];
+        const right = b[key];
+        if (typeof left === "number" && typeof right === "number") {
+          return (left - right) * factor;
+        }
+        return (
+          String(left || "").localeCompare(String(right || ""), undefined, {
+            numeric: true,
+          }) * factor
+        );
+      });
+    }
+
+    /**
+     * Add up the monthly figures of the rows that calculated
+     * @param {array} results - Bulk results
+     * @returns {object} Totals and row counts
+     */
+    function summarize(results) {
+      const valid = results.filter((row) => row.result);
+      const total = (field) =>
+        MoneyUtils.fromKobo(
+          MoneyUtils.sumKobo(valid.map((row) => MoneyUtils.toKobo(row[field])))
+        );
+
+      return {
+        employees: valid.length,
+        errors: results.length - valid.length,
+        gross: total("gross"),
+        pension: total("pension"),
+        paye: total("paye"),
+        net: total("net"),
+      };
+    }
+
+    /**
+     * Build the monthly PAYE schedule (rows with errors are left out)
+     * @param {array} results - Bulk results
+     * @returns {array} CSV rows: header, one row per employee, totals
+     */
+    function buildPayeSchedule(results) {
+      const totals = summarize(results);
+      const rows = [
+        [
+          "Employee ID",
+          "Employee Name",
+          "Monthly Gross",
+          "Monthly Pension",
+          "Monthly PAYE",
+          "Monthly Net Pay",
+        ],
+      ];
+
+      results
+        .filter((row) => row.result)
+        .forEach((row) => {
+          rows.push([
+            row.employeeId,
+            row.employeeName,
+            row.gross.toFixed(2),
+            row.pension.toFixed(2),
+            row.paye.toFixed(2),
+            row.net.toFixed(2),
+          ]);
+        });
+
+      rows.push([
+        "TOTAL",
+        `${totals.employees} employees`,
+        totals.gross.toFixed(2),
+        totals.pension.toFixed(2),
+        totals.paye.toFixed(2),
+        totals.net.toFixed(2),
+      ]);
+
+      return rows;
+    }
+
+    /**
+     * Blank upload template with one example row
+     * @returns {array} CSV rows
+     */
+    function buildTemplate() {
+      const example = {
+        employeeId: "EMP001",
+        employeeName: "Adaeze Okafor",
+        tin: "12345678-0001",
+        basicSalary: 3600000,
+        housingAllowance: 1800000,
+        transportAllowance: 720000,
+        pensionEnabled: "Yes",
+        regime: TaxCore.DEFAULT_REGIME,
+      };
+
+      return [
+        COLUMNS.map((column) => column.label),
+        COLUMNS.map((column) =>
+          example[column.field] === undefined ? "" : example[column.field]
+        ),
+      ];
+    }
+
+    /* ---------- Page wiring (calculator page only) ---------- */
+
+    let lastResults = [];
+    let sortState = { key: "rowNumber", direction: "asc" };
+
+    /**
+     * Read an uploaded file into rows of cells
+     * @param {File} file - CSV or XLSX file
+     * @returns {Promise<array>} Upload rows
+     */
+    function readUpload(file) {
+      const isSpreadsheet = /\.xlsx?$/i.test(file.name);
+
+      if (isSpreadsheet) {
+        if (!window.XLSX) {
+          return Promise.reject(
+            new Error("Excel support failed to load. Please upload a CSV file.")
+          );
+        }
+        return file.arrayBuffer().then((buffer) => {
+          const workbook = window.XLSX.read(buffer, { type: "array" });
+          const sheet = workbook.Sheets[workbook.SheetNames[0]];
+          return window.XLSX.utils
+            .sheet_to_json(sheet, { header: 1, raw: false, defval: "" })
+            .map((cells) => cells.map((value) => String(value)))
+            .filter((cells) => cells.some((value) => value.trim() !== ""));
+        });
+      }
+
+      return file.text().then(CsvUtils.parseCSV);
+    }
+
+    /**
+     * Create a table cell with text content
+     * @param {string} text - Cell text
+     * @param {string} [className] - Optional class
+     * @returns {HTMLElement} Table cell
+     */
+    function createCell(text, className) {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      if (className) cell.className = className;
+      return cell;
+    }
+
+    /**
+     * Render the results grid and totals
+     */
+    function renderResults() {
+      const tbody = document.querySelector("#bulkPayrollTable tbody");
+      const sorted = sortResults(
+        lastResults,
+        sortState.key,
+        sortState.direction
+      );
+      tbody.innerHTML = "";
+
+      sorted.forEach((row) => {
+        const tr = document.createElement("tr");
+        tr.appendChild(createCell(row.rowNumber));
+        tr.appendChild(createCell(row.employeeId));
+        tr.appendChild(createCell(row.employeeName));
+
+        if (row.result) {
+          tr.appendChild(createCell(formatCurrency(row.gross)));
+          tr.appendChild(createCell(formatCurrency(row.pension)));
+          tr.appendChild(createCell(formatCurrency(row.paye)));
+          tr.appendChild(createCell(formatCurrency(row.net)));
+          tr.appendChild(createCell("OK", "text-success"));
+        } else {
+          tr.className = "table-danger";
+          const errorCell = createCell(row.errors.join("; "), "text-danger");
+          errorCell.colSpan = 5;
+          tr.appendChild(errorCell);
+        }
+
+        tbody.appendChild(tr);
+      });
+
+      document
+        .querySelectorAll("#bulkPayrollTable th[data-sort]")
+        .forEach((th) => {
+          th.setAttribute(
+            "aria-sort",
+            th.dataset.sort === sortState.key
+              ? sortState.direction === "asc"
+                ? "ascending"
+                : "descending"
+              : "none"
+          );
+        });
+
+      const totals = summarize(lastResults);
+      document.getElementById("bulkPayrollSummary").textContent =
+        `${totals.employees} calculated, ${totals.errors} with errors. ` +
+        `Total PAYE ${formatCurrency(totals.paye)}, pension ` +
+        `${formatCurrency(totals.pension)}, net pay ${formatCurrency(totals.net)}.`;
+      document.getElementById("bulkPayrollDownload").disabled =
+        !totals.employees;
+      document.getElementById("bulkPayrollResults").classList.remove("d-none");
+    }
+
+    /**
+     * Handle a file upload
+     * @param {Event} e - Change event from the file input
+     */
+    function handleUpload(e) {
+      const file = e.target.files[0];
+      const status = document.getElementById("bulkPayrollStatus");
+      if (!file) return;
+
+      status.textContent = `Reading ${file.name}...`;
+
+      const regimeSelect = document.getElementById("taxRegime");
+      const defaults = {
+        regime: regimeSelect ? regimeSelect.value : TaxCore.DEFAULT_REGIME,
+      };
+
+      readUpload(file)
+        .then((rows) => {
+          const { results, missing } = runBulkPayroll(rows, defaults);
+          if (missing.length) {
+            const labels = COLUMNS.filter((col) => missing.includes(col.field))
+              .map((col) => col.label)
+              .join(", ");
+            throw new Error(`Missing required columns: ${labels}`);
+          }
+          if (!results.length) {
+            throw new Error("The file has no employee rows.");
+          }
+
+          lastResults = results;
+          status.textContent = `${file.name}: ${results.length} rows processed.`;
+          renderResults();
+        })
+        .catch((error) => {
+          console.error("Error running bulk payroll:", error);
+          status.textContent = error.message;
+          lastResults = [];
+          document.getElementById("bulkPayrollResults").classList.add("d-none");
+        })
+        .then(() => {
+          // Let the filing and payslip tools know the run changed
+          document.dispatchEvent(
+            new CustomEvent("bulkpayroll:updated", {
+              detail: { results: lastResults },
+            })
+          );
+        });
+    }
+
+    /**
+     * Results of the last upload (for the filing and payslip tools)
+     * @returns {array} Bulk results
+     */
+    function getResults() {
+      return lastResults;
+    }
+
+    /**
+     * Initialise the bulk payroll panel if it is on the page
+     */
+    function init() {
+      const panel = document.getElementById("bulkPayroll");
+      if (!panel) return;
+
+      document
+        .getElementById("bulkPayrollFile")
+        .addEventListener("change", handleUpload);
+
+      document
+        .querySelectorAll("#bulkPayrollTable th[data-sort]")
+        .forEach((th) => {
+          th.addEventListener("click", () => {
+            const key = th.dataset.sort;
+            sortState = {
+              key,
+              direction:
+                sortState.key === key && sortState.direction === "asc"
+                  ? "desc"
+                  : "asc",
+            };
+            renderResults();
+          });
+        });
+
+      document
+        .getElementById("bulkPayrollDownload")
+        .addEventListener("click", () => {
+          CsvUtils.downloadFile(
+            "paye-schedule.csv",
+            CsvUtils.toCSV(
+              buildPayeSchedule(
+                sortResults(lastResults, sortState.key, sortState.direction)
+              )
+            )
+          );
+        });
+
+      document
+        .getElementById("bulkPayrollTemplate")
+        .addEventListener("click", () => {
+          CsvUtils.downloadFile(
+            "payroll-upload-template.csv",
+            CsvUtils.toCSV(buildTemplate())
+          );
+        });
+    }
+
+    return {
+      COLUMNS,
+      mapColumns,
+      parseAmount: CsvUtils.parseAmount,
+      parseToggle,
+      rowsToEmployees,
+      runBulkPayroll,
+      sortResults,
+      summarize,
+      buildPayeSchedule,
+      buildTemplate,
+      getResults,
+      init,
+    };
+  }
+);
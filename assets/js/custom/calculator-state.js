@@ -0,0 +1,333 @@
+/**
+ * Calculator State
+ * Encodes the calculator inputs into a shareable link, restores them from one,
+ * and keeps a short recent-calculations history in localStorage.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./tax-core.js"), require("./storage.js"));
+  } else {
+    root.CalculatorState = factory(root.TaxCore, root.StorageUtils);
+    document.addEventListener("DOMContentLoaded", root.CalculatorState.init);
+  }
+})(typeof self !== "undefined" ? self : this, function (TaxCore, StorageUtils) {
+  "use strict";
+
+  // Amount fields carried in the link (annual naira)
+  const AMOUNT_FIELDS = TaxCore.EARNING_FIELDS.concat(
+    TaxCore.DEDUCTION_FIELDS,
+    TaxCore.PREVIOUS_EMPLOYMENT_FIELDS,
+    ["pensionContribution"]
+  );
+
+  const DATE_FIELDS = ["startDate", "endDate"];
+
+  // Switches and their form defaults; only a change from the default is encoded
+  const TOGGLE_DEFAULTS = {
+    pensionEnabled: true,
+    nhfEnabled: false,
+    nhisEnabled: false,
+  };
+
+  // Amounts worked out by the form while their switch is on
+  const AUTO_FIELDS = {
+    pensionContribution: "pensionEnabled",
+    nhfContribution: "nhfEnabled",
+    nhisContribution: "nhisEnabled",
+  };
+
+  const HISTORY_KEY = "hrpayhub.taxCalculator.history";
+  const HISTORY_LIMIT = 5;
+
+  /**
+   * Encode calculator inputs as a query string
+   * Zero amounts, empty dates, default switches and amounts the form works out
+   * itself are left out to keep links short.
+   * @param {object} values - Form values (getFormValues)
+   * @returns {string} Query string without the leading "?"
+   */
+  function encodeValues(values) {
+    const params = new URLSearchParams();
+    if (values.regime) params.set("regime", values.regime);
+
+    Object.keys(TOGGLE_DEFAULTS).forEach((field) => {
+      const enabled =
+        values[field] === undefined ? TOGGLE_DEFAULTS[field] : !!values[field];
+      if (enabled !== TOGGLE_DEFAULTS[field]) {
+        params.set(field, enabled ? "1" : "0");
+      }
+    });
+
+    AMOUNT_FIELDS.forEach((field) => {
+      const amount = Number.parseFloat(values[field]) || 0;
+      const toggle = AUTO_FIELDS[field];
+      const auto =
+        toggle &&
+        (values[toggle] === undefined
+          ? TOGGLE_DEFAULTS[toggle]
+          : values[toggle]);
+      if (amount > 0 && !auto) params.set(field, String(amount));
+    });
+
+    DATE_FIELDS.forEach((field) => {
+      if (values[field]) params.set(field, values[field]);
+    });
+
+    return params.toString();
+  }
+
+  /**
+   * Read calculator inputs from a query string
+   * Unknown parameters and values that are not valid amounts or dates are
+   * ignored, so a mangled link restores what it can.
+   * @param {string} search - Query string (with or without "?")
+   * @returns {object|null} Form values, or null when the link carries no amounts
+   */
+  function decodeValues(search) {
+    const params = new URLSearchParams(search);
+    const values = {};
+
+    AMOUNT_FIELDS.forEach((field) => {
+      const amount = Number(params.get(field));
+      values[field] =
+        params.has(field) && Number.isFinite(amount) && amount > 0 ? amount : 0;
+    });
+    if (!AMOUNT_FIELDS.some((field) => values[field] > 0)) {
+      return null;
+    }
+
+    Object.keys(TOGGLE_DEFAULTS).forEach((field) => {
+      values[field] = params.has(field)
+        ? params.get(field) === "1"
+        : TOGGLE_DEFAULTS[field];
+    });
+    DATE_FIELDS.forEach((field) => {
+      const date = params.get(field) || "";
+      values[field] = TaxCore.parseDate(date) ? date : "";
+    });
+
+    const regime = params.get("regime");
+    if (regime && TaxCore.getRegimeIds().includes(regime)) {
+      values.regime = regime;
+    }
+
+    return values;
+  }
+
+  /**
+   * Summary of a calculation for the recent history list
+   * @param {object} values - Form values
+   * @param {object} results - TaxCore.calculatePayroll result
+   * @param {Date} [savedAt] - When it was calculated
+   * @returns {object} query, savedAt (ISO), regime, regimeLabel, gross and
+   *   monthlyNet
+   */
+  function historyEntry(values, results, savedAt = new Date()) {
+    return {
+      query: encodeValues(values),
+      savedAt: savedAt.toISOString(),
+      regime: results.regime,
+      // Kept with the entry: the list is drawn before the tax rules load
+      regimeLabel: TaxCore.getTaxRegime(
+        results.regime,
+        results.ruleSet.effectiveFrom,
+        results.ruleSet.jurisdiction
+      ).label,
+      gross: results.gross,
+      monthlyNet: results.monthly.net,
+    };
+  }
+
+  /**
+   * Add an entry to the front of the history
+   * The same inputs calculated again move to the front instead of repeating.
+   * @param {array} history - Entries, newest first
+   * @param {object} entry - Output of historyEntry
+   * @returns {array} New history, at most HISTORY_LIMIT entries
+   */
+  function addToHistory(history, entry) {
+    return [entry]
+      .concat(history.filter((item) => item.query !== entry.query))
+      .slice(0, HISTORY_LIMIT);
+  }
+
+  /**
+   * Read the saved history
+   * Storage can be unavailable (private browsing) or hold stale data; both
+   * read as an empty history.
+   * @param {Storage} storage - localStorage
+   * @returns {array} Entries, newest first
+   */
+  function readHistory(storage) {
+    try {
+      const history = JSON.parse(storage.getItem(HISTORY_KEY));
+      return Array.isArray(history)
+        ? history.filter((item) => item && typeof item.query === "string")
+        : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save the history (an empty history removes the key)
+   * @param {Storage} storage - localStorage
+   * @param {array} history - Entries, newest first
+   * @returns {boolean} False when storage is unavailable or full
+   */
+  function writeHistory(storage, history) {
+    try {
+      if (history.length) {
+        storage.setItem(HISTORY_KEY, JSON.stringify(history));
+      } else {
+        storage.removeItem(HISTORY_KEY);
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /* ---------- Page wiring (calculator page only) ---------- */
+
+  /**
+   * Show a status message next to the share buttons
+   * @param {string} message - Message text
+   */
+  function setStatus(message) {
+    document.getElementById("calculatorShareStatus").textContent = message;
+  }
+
+  /**
+   * Put the inputs in the address bar so the page link is the share link
+   * @param {object} values - Form values
+   */
+  function updateUrl(values) {
+    const query = encodeValues(values);
+    window.history.replaceState(
+      null,
+      "",
+      `${window.location.pathname}${query ? `?${query}` : ""}`
+    );
+  }
+
+  /**
+   * Draw the recent calculations list
+   */
+  function renderHistory() {
+    const storage = StorageUtils.getStorage();
+    const history = storage ? readHistory(storage) : [];
+    const list = document.getElementById("calculatorHistoryList");
+
+    document
+      .getElementById("calculatorHistory")
+      .classList.toggle("d-none", !history.length);
+    list.replaceChildren(
+      ...history.map((entry) => {
+        const item = document.createElement("li");
+        const button = item.appendChild(document.createElement("button"));
+        button.type = "button";
+        button.className = "btn btn-link p-0 text-start";
+        button.dataset.query = entry.query;
+        button.textContent =
+          `${formatCurrency(entry.gross)} a year, ` +
+          `${formatCurrency(entry.monthlyNet)} net a month ` +
+          `(${entry.regimeLabel || entry.regime})`;
+
+        const time = item.appendChild(document.createElement("small"));
+        time.className = "d-block text-muted";
+        time.textContent = new Date(entry.savedAt).toLocaleString("en-NG", {
+          dateStyle: "medium",
+          timeStyle: "short",
+        });
+        return item;
+      })
+    );
+  }
+
+  /**
+   * Copy the share link to the clipboard
+   */
+  function copyLink() {
+    const link = window.location.href;
+    if (!navigator.clipboard) {
+      setStatus(`Copy this link: ${link}`);
+      return;
+    }
+
+    navigator.clipboard
+      .writeText(link)
+      .then(() => setStatus("Link copied. It opens this exact calculation."))
+      .catch(() => setStatus(`Copy this link: ${link}`));
+  }
+
+  /**
+   * Fill the form from a saved link and recalculate
+   * @param {string} search - Query string
+   * @returns {boolean} True when there were inputs to restore
+   */
+  function restore(search) {
+    const values = decodeValues(search);
+    if (!values) return false;
+
+    setFormValues(values);
+    calculateTax();
+    return true;
+  }
+
+  /**
+   * Initialise sharing and history if the calculator is on the page
+   */
+  function init() {
+    const panel = document.getElementById("calculatorHistory");
+    if (!panel) return;
+
+    document.addEventListener("taxcalculator:calculated", (e) => {
+      const { values, results } = e.detail;
+      updateUrl(values);
+
+      const storage = StorageUtils.getStorage();
+      if (storage) {
+        writeHistory(
+          storage,
+          addToHistory(readHistory(storage), historyEntry(values, results))
+        );
+      }
+      document.getElementById("calculatorShare").disabled = false;
+      renderHistory();
+    });
+
+    document
+      .getElementById("calculatorShare")
+      .addEventListener("click", copyLink);
+    document
+      .getElementById("calculatorHistoryList")
+      .addEventListener("click", (e) => {
+        const button = e.target.closest("[data-query]");
+        if (button) restore(button.dataset.query);
+      });
+    document
+      .getElementById("calculatorHistoryClear")
+      .addEventListener("click", () => {
+        const storage = StorageUtils.getStorage();
+        if (storage) writeHistory(storage, []);
+        setStatus("Recent calculations cleared from this browser.");
+        renderHistory();
+      });
+
+    renderHistory();
+  }
+
+  return {
+    HISTORY_KEY,
+    HISTORY_LIMIT,
+    encodeValues,
+    decodeValues,
+    historyEntry,
+    addToHistory,
+    readHistory,
+    writeHistory,
+    restore,
+    init,
+  };
+});
@@ -0,0 +1,673 @@
+/**
+ * Compliance Calendar
+ * Works out a company's upcoming statutory filing and remittance deadlines
+ * (PAYE, VAT, WHT, pension, annual returns), moves any that fall on a weekend
+ * or public holiday to the next working day, and exports them as an .ics file.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./csv.js"));
+  } else {
+    root.ComplianceCalendar = factory(root.CsvUtils);
+    document.addEventListener("DOMContentLoaded", root.ComplianceCalendar.init);
+  }
+})(typeof self !== "undefined" ? self : this, function (CsvUtils) {
+  "use strict";
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Public holidays on the same date every year
+  const FIXED_HOLIDAYS = [
+    ["01-01", "New Year's Day"],
+    ["05-01", "Workers' Day"],
+    ["06-12", "Democracy Day"],
+    ["10-01", "Independence Day"],
+    ["12-25", "Christmas Day"],
+    ["12-26", "Boxing Day"],
+  ];
+
+  // Islamic holidays follow the moon and are declared by the Federal
+  // Government each year; these are the expected dates
+  const ISLAMIC_HOLIDAYS = {
+    2025: [
+      ["2025-03-31", "Eid al-Fitr"],
+      ["2025-04-01", "Eid al-Fitr holiday"],
+      ["2025-06-06", "Eid al-Adha"],
+      ["2025-06-09", "Eid al-Adha holiday"],
+      ["2025-09-05", "Eid al-Mawlid"],
+    ],
+    2026: [
+      ["2026-03-20", "Eid al-Fitr"],
+      ["2026-03-23", "Eid al-Fitr holiday"],
+      ["2026-05-27", "Eid al-Adha"],
+      ["2026-05-28", "Eid al-Adha holiday"],
+      ["2026-08-26", "Eid al-Mawlid"],
+    ],
+    2027: [
+      ["2027-03-10", "Eid al-Fitr"],
+      ["2027-03-11", "Eid al-Fitr holiday"],
+      ["2027-05-17", "Eid al-Adha"],
+      ["2027-05-18", "Eid al-Adha holiday"],
+      ["2027-08-16", "Eid al-Mawlid"],
+    ],
+  };
+
+  const DEFAULT_PROFILE = {
+    companyName: "",
+    hasEmployees: true,
+    payday: 25,
+    vatRegistered: true,
+    deductsWht: true,
+    yearEndMonth: 12,
+  };
+
+  const PROFILE_KEY = "hrpayhub.complianceProfile";
+
+  // Days before a deadline that calendar reminders go off
+  const REMINDER_DAYS = 3;
+
+  // Longest .ics content line in UTF-8 bytes, before folding (RFC 5545)
+  const ICS_LINE_OCTETS = 75;
+
+  /**
+   * Date as YYYY-MM-DD (UTC, so no time zone shifts)
+   * @param {Date} date - Date
+   * @returns {string} ISO date
+   */
+  function isoDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Build a UTC date, rolling any day past the month end back to the last day
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12, may run past 12)
+   * @param {number} day - Day of the month
+   * @returns {Date} UTC date
+   */
+  function utcDate(year, month, day) {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return new Date(Date.UTC(year, month - 1, Math.min(day, lastDay)));
+  }
+
+  /**
+   * Easter Sunday (Gregorian computus)
+   * @param {number} year - Year
+   * @returns {Date} UTC date
+   */
+  function easterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  /**
+   * Nigerian public holidays for a year
+   * A fixed holiday on a weekend is observed on the next free weekday.
+   * @param {number} year - Year
+   * @returns {object} Holiday name by YYYY-MM-DD
+   */
+  function getHolidays(year) {
+    const holidays = {};
+    const easter = easterSunday(year).getTime();
+    holidays[isoDate(new Date(easter - 2 * DAY_MS))] = "Good Friday";
+    holidays[isoDate(new Date(easter + DAY_MS))] = "Easter Monday";
+    (ISLAMIC_HOLIDAYS[year] || []).forEach(([date, name]) => {
+      holidays[date] = name;
+    });
+
+    FIXED_HOLIDAYS.forEach(([monthDay, name]) => {
+      let date = new Date(`${year}-${monthDay}T00:00:00Z`);
+      if (!isWeekend(date)) {
+        holidays[isoDate(date)] = name;
+        return;
+      }
+      // Observed on the next weekday that is not already a holiday
+      while (isWeekend(date) || holidays[isoDate(date)] !== undefined) {
+        date = new Date(date.getTime() + DAY_MS);
+      }
+      holidays[isoDate(date)] = `${name} (observed)`;
+    });
+
+    return holidays;
+  }
+
+  /**
+   * Whether a date is a Saturday or Sunday
+   * @param {Date} date - UTC date
+   * @returns {boolean} True at the weekend
+   */
+  function isWeekend(date) {
+    return date.getUTCDay() === 0 || date.getUTCDay() === 6;
+  }
+
+  /**
+   * The date itself, or the next working day when it is not one
+   * @param {Date} date - UTC date
+   * @returns {object} date and reason ("Saturday", holiday name, or "" when unchanged)
+   */
+  function nextWorkingDay(date) {
+    let current = date;
+    let reason = "";
+    for (;;) {
+      const holiday = getHolidays(current.getUTCFullYear())[isoDate(current)];
+      if (!isWeekend(current) && !holiday) break;
+      if (!reason) {
+        reason =
+          holiday ||
+          current.toLocaleDateString("en-GB", {
+            weekday: "long",
+            timeZone: "UTC",
+          });
+      }
+      current = new Date(current.getTime() + DAY_MS);
+    }
+    return { date: current, reason };
+  }
+
+  /**
+   * Month name for period labels
+   * @param {number} year - Year
+   * @param {number} month - Month (1-12)
+   * @returns {string} e.g. "October 2026"
+   */
+  function monthLabel(year, month) {
+    return utcDate(year, month, 1).toLocaleDateString("en-GB", {
+      month: "long",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+  }
+
+  /**
+   * Check a company profile
+   * @param {object} profile - See DEFAULT_PROFILE
+   * @returns {array} Error messages (empty when valid)
+   */
+  function validateProfile(profile) {
+    const errors = [];
+    if (
+      profile.hasEmployees &&
+      !(Number.isInteger(profile.payday) && profile.payday >= 1) &&
+      profile.payday !== "last"
+    ) {
+      errors.push("Choose the day of the month staff are paid.");
+    }
+    if (!(
+      Number.isInteger(profile.yearEndMonth) &&
+      profile.yearEndMonth >= 1 &&
+      profile.yearEndMonth <= 12
+    )) {
+      errors.push("Choose the month the financial year ends.");
+    }
+    return errors;
+  }
+
+  /**
+   * Upcoming deadlines for a company
+   * Monthly obligations are due in the month after the one they cover; the
+   * pension is due 7 days after payday. Dates on a weekend or public holiday
+   * move to the next working day.
+   * @param {object} profile - Company profile (see DEFAULT_PROFILE)
+   * @param {Date} from - First day to include (today)
+   * @param {number} [months] - How many months ahead to look (default 12)
+   * @returns {array} Deadlines by due date: id, title, authority, period, due, statutory and movedFor
+   */
+  function buildDeadlines(profile, from, months = 12) {
+    const options = Object.assign({}, DEFAULT_PROFILE, profile);
+    const start = isoDate(from);
+    const end = isoDate(
+      utcDate(
+        from.getUTCFullYear(),
+        from.getUTCMonth() + 1 + months,
+        from.getUTCDate()
+      )
+    );
+    const deadlines = [];
+
+    const add = (id, title, authority, period, statutory) => {
+      const moved = nextWorkingDay(statutory);
+      const due = isoDate(moved.date);
+      if (due < start || due >= end) return;
+      deadlines.push({
+        id,
+        title,
+        authority,
+        period,
+        due,
+        statutory: isoDate(statutory),
+        movedFor: moved.reason,
+      });
+    };
+
+    // Start far enough back to catch the annual return for a year that
+    // ended six months ago; anything already due is dropped by add()
+    for (let offset = -7; offset <= months; offset++) {
+      const periodDate = utcDate(
+        from.getUTCFullYear(),
+        from.getUTCMonth() + 1 + offset,
+        1
+      );
+      const year = periodDate.getUTCFullYear();
+      const month = periodDate.getUTCMonth() + 1;
+      const period = monthLabel(year, month);
+
+      if (options.hasEmployees) {
+        add(
+          "paye",
+          "PAYE remittance",
+          "State Internal Revenue Service",
+          period,
+          utcDate(year, month + 1, 10)
+        );
+        const payday = utcDate(
+          year,
+          month,
+          options.payday === "last" ? 31 : options.payday
+        );
+        add(
+          "pension",
+          "Pension remittance",
+          "Pension Fund Administrators",
+          period,
+          new Date(payday.getTime() + 7 * DAY_MS)
+        );
+      }
+      if (options.vatRegistered) {
+        add(
+          "vat",
+          "VAT return and payment",
+          "FIRS",
+          period,
+          utcDate(year, month + 1, 21)
+        );
+      }
+      if (options.deductsWht) {
+        add(
+          "wht",
+          "WHT remittance",
+          "FIRS and State Internal Revenue Service",
+          period,
+          utcDate(year, month + 1, 21)
+        );
+      }
+
+      // Annual PAYE returns (Form H1) for the year just ended
+      if (options.hasEmployees && month === 1) {
+        add(
+          "paye-annual",
+          "Annual PAYE returns (Form H1)",
+          "State Internal Revenue Service",
+          String(year - 1),
+          utcDate(year, 1, 31)
+        );
+      }
+
+      // Company income tax return: six months after the financial year end
+      if (month === options.yearEndMonth) {
+        add(
+          "firs-annual",
+          "FIRS annual returns (company income tax)",
+          "FIRS",
+          `Year ended ${utcDate(year, month, 31).toLocaleDateString("en-GB", {
+            day: "numeric",
+            month: "long",
+            year: "numeric",
+            timeZone: "UTC",
+          })}`,
+          utcDate(year, month + 6, 31)
+        );
+      }
+    }
+
+    return deadlines.sort(
+      (a, b) => a.due.localeCompare(b.due) || a.title.localeCompare(b.title)
+    );
+  }
+
+  /**
+   * Whole days from one date to another
+   * @param {string} due - YYYY-MM-DD
+   * @param {Date} today - Today
+   * @returns {number} Days (0 when due today)
+   */
+  function daysUntil(due, today) {
+    return Math.round(
+      (new Date(`${due}T00:00:00Z`).getTime() -
+        new Date(`${isoDate(today)}T00:00:00Z`).getTime()) /
+        DAY_MS
+    );
+  }
+
+  /**
+   * Countdown text
+   * @param {number} days - Days until the deadline
+   * @returns {string} "Due today", "Tomorrow" or "In 12 days"
+   */
+  function countdownText(days) {
+    if (days === 0) return "Due today";
+    if (days === 1) return "Tomorrow";
+    return `In ${days} days`;
+  }
+
+  /**
+   * Escape text for an iCalendar value
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  function escapeIcs(text) {
+    return String(text)
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+  }
+
+  /**
+   * UTF-8 length of one character (code point)
+   * @param {string} char - Character
+   * @returns {number} Bytes
+   */
+  function utf8Length(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    return code < 0x10000 ? 3 : 4;
+  }
+
+  /**
+   * Fold a content line to 75 octets, as iCalendar requires
+   * Lengths are UTF-8 bytes and a character is never split across lines;
+   * each continuation line starts with a space, which counts towards its 75.
+   * @param {string} line - Content line
+   * @returns {string} Folded line
+   */
+  function foldIcsLine(line) {
+    const parts = [];
+    let current = "";
+    let bytes = 0;
+    for (const char of line) {
+      const size = utf8Length(char);
+      if (bytes + size > ICS_LINE_OCTETS) {
+        parts.push(current);
+        current = " ";
+        bytes = 1;
+      }
+      current += char;
+      bytes += size;
+    }
+    parts.push(current);
+    return parts.join("\r\n");
+  }
+
+  /**
+   * Deadlines as an iCalendar file (all-day events with a reminder)
+   * @param {array} deadlines - Output of buildDeadlines
+   * @param {object} [options] - companyName and now (timestamp for DTSTAMP)
+   * @returns {string} .ics file contents
+   */
+  function toIcs(deadlines, options = {}) {
+    const stamp = `${(options.now || new Date())
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .slice(0, 15)}Z`;
+    const compact = (date) => date.replace(/-/g, "");
+    const prefix = options.companyName ? `${options.companyName}: ` : "";
+
+    const events = deadlines.map((deadline) => {
+      const next = isoDate(
+        new Date(new Date(`${deadline.due}T00:00:00Z`).getTime() + DAY_MS)
+      );
+      const description =
+        `${deadline.title} for ${deadline.period}, due to ${deadline.authority}.` +
+        (deadline.movedFor
+          ? ` Moved from ${deadline.statutory} (${deadline.movedFor}).`
+          : "");
+      return [
+        "BEGIN:VEVENT",
+        `UID:${deadline.id}-${compact(deadline.due)}@hrpayhub.com`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${compact(deadline.due)}`,
+        `DTEND;VALUE=DATE:${compact(next)}`,
+        `SUMMARY:${escapeIcs(`${prefix}${deadline.title} (${deadline.period})`)}`,
+        `DESCRIPTION:${escapeIcs(description)}`,
+        "TRANSP:TRANSPARENT",
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeIcs(deadline.title)}`,
+        `TRIGGER:-P${REMINDER_DAYS}D`,
+        "END:VALARM",
+        "END:VEVENT",
+      ];
+    });
+
+    return []
+      .concat(
+        [
+          "BEGIN:VCALENDAR",
+          "VERSION:2.0",
+          "PRODID:-//HRPayHub//Compliance Calendar//EN",
+          "CALSCALE:GREGORIAN",
+          "METHOD:PUBLISH",
+          `X-WR-CALNAME:${escapeIcs(`${prefix}Tax deadlines`)}`,
+        ],
+        ...events,
+        ["END:VCALENDAR"]
+      )
+      .map(foldIcsLine)
+      .join("\r\n")
+      .concat("\r\n");
+  }
+
+  /* ---------- Page wiring (calculator page only) ---------- */
+
+  /**
+   * Today's local date as a UTC midnight, the form the pure functions use
+   * @returns {Date} UTC date
+   */
+  function localToday() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  }
+
+  /**
+   * Date for the deadline table
+   * @param {string} date - YYYY-MM-DD
+   * @returns {string} e.g. "Mon, 2 Nov 2026"
+   */
+  function displayDate(date) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString("en-GB", {
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+      year: "numeric",
+      timeZone: "UTC",
+    });
+  }
+
+  /**
+   * Read the company profile form
+   * @returns {object} Profile
+   */
+  function getProfile() {
+    const payday = document.getElementById("compliancePayday").value;
+    return {
+      companyName: document.getElementById("complianceCompany").value.trim(),
+      hasEmployees: document.getElementById("complianceEmployees").checked,
+      payday: payday === "last" ? "last" : Number.parseInt(payday, 10),
+      vatRegistered: document.getElementById("complianceVat").checked,
+      deductsWht: document.getElementById("complianceWht").checked,
+      yearEndMonth: Number.parseInt(
+        document.getElementById("complianceYearEnd").value,
+        10
+      ),
+    };
+  }
+
+  /**
+   * Fill the profile form
+   * @param {object} profile - Profile
+   */
+  function setProfile(profile) {
+    document.getElementById("complianceCompany").value = profile.companyName;
+    document.getElementById("complianceEmployees").checked =
+      profile.hasEmployees;
+    document.getElementById("compliancePayday").value = profile.payday;
+    document.getElementById("complianceVat").checked = profile.vatRegistered;
+    document.getElementById("complianceWht").checked = profile.deductsWht;
+    document.getElementById("complianceYearEnd").value = profile.yearEndMonth;
+  }
+
+  /**
+   * Profile saved in this browser, or the default
+   * @returns {object} Profile
+   */
+  function loadProfile() {
+    try {
+      const saved = JSON.parse(window.localStorage.getItem(PROFILE_KEY));
+      return Object.assign({}, DEFAULT_PROFILE, saved);
+    } catch (error) {
+      return Object.assign({}, DEFAULT_PROFILE);
+    }
+  }
+
+  /**
+   * Remember the profile in this browser (ignored where storage is blocked)
+   * @param {object} profile - Profile
+   */
+  function saveProfile(profile) {
+    try {
+      window.localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+    } catch (error) {
+      // The calendar still works; the profile just isn't remembered
+    }
+  }
+
+  /**
+   * Work out and show the deadlines for the profile
+   */
+  function render() {
+    const profile = getProfile();
+    const status = document.getElementById("complianceStatus");
+    const errors = validateProfile(profile);
+    if (errors.length) {
+      status.textContent = errors.join(" ");
+      return;
+    }
+    saveProfile(profile);
+
+    const today = localToday();
+    const deadlines = buildDeadlines(
+      profile,
+      today,
+      Number.parseInt(document.getElementById("complianceMonths").value, 10)
+    );
+    document.querySelector("#complianceTable tbody").replaceChildren(
+      ...deadlines.map((deadline) => {
+        const days = daysUntil(deadline.due, today);
+        const tr = document.createElement("tr");
+        if (days <= REMINDER_DAYS) tr.className = "table-warning";
+        [
+          displayDate(deadline.due),
+          `${deadline.title} (${deadline.period})`,
+          deadline.authority,
+          countdownText(days),
+        ].forEach((text) => {
+          tr.appendChild(document.createElement("td")).textContent = text;
+        });
+        if (deadline.movedFor) {
+          const note = tr.children[0].appendChild(
+            document.createElement("small")
+          );
+          note.className = "d-block text-muted";
+          note.textContent = `Moved from ${displayDate(deadline.statutory)} (${
+            deadline.movedFor
+          })`;
+        }
+        return tr;
+      })
+    );
+
+    status.textContent = deadlines.length
+      ? `Next: ${deadlines[0].title} ${countdownText(
+          daysUntil(deadlines[0].due, today)
+        ).toLowerCase()}.`
+      : "No deadlines in this period.";
+    document.getElementById("complianceIcs").disabled = !deadlines.length;
+  }
+
+  /**
+   * Download the deadlines as an .ics file
+   */
+  function exportIcs() {
+    const profile = getProfile();
+    const today = localToday();
+    const deadlines = buildDeadlines(
+      profile,
+      today,
+      Number.parseInt(document.getElementById("complianceMonths").value, 10)
+    );
+    CsvUtils.downloadFile(
+      "tax-deadlines.ics",
+      toIcs(deadlines, { companyName: profile.companyName }),
+      "text/calendar;charset=utf-8"
+    );
+  }
+
+  /**
+   * Initialise the compliance calendar if it is on the page
+   */
+  function init() {
+    const panel = document.getElementById("complianceCalendar");
+    if (!panel) return;
+
+    const paydaySelect = document.getElementById("compliancePayday");
+    for (let day = 1; day <= 28; day++) {
+      paydaySelect.appendChild(new Option(String(day), String(day)));
+    }
+    paydaySelect.appendChild(new Option("Last day of the month", "last"));
+    const yearEndSelect = document.getElementById("complianceYearEnd");
+    for (let month = 1; month <= 12; month++) {
+      yearEndSelect.appendChild(
+        new Option(
+          utcDate(2000, month, 1).toLocaleDateString("en-GB", {
+            month: "long",
+            timeZone: "UTC",
+          }),
+          String(month)
+        )
+      );
+    }
+
+    setProfile(loadProfile());
+    panel.addEventListener("change", render);
+    document
+      .getElementById("complianceIcs")
+      .addEventListener("click", exportIcs);
+    render();
+  }
+
+  return {
+    DEFAULT_PROFILE,
+    getHolidays,
+    nextWorkingDay,
+    validateProfile,
+    buildDeadlines,
+    daysUntil,
+    countdownText,
+    toIcs,
+    init,
+  };
+});
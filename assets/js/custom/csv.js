@@ -0,0 +1,135 @@
+/**
+ * CSV Utilities
+ * Parsing, serialising and downloading CSV files for the calculator tools
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CsvUtils = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /**
+   * Parse CSV text into rows of cells (RFC 4180 quoting, any line ending)
+   * @param {string} text - CSV file contents
+   * @returns {array} Array of rows, each an array of strings
+   */
+  function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let inQuotes = false;
+
+    // Drop a UTF-8 byte order mark left by Excel
+    const input = String(text || "").replace(/^﻿/, "");
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ",") {
+        row.push(cell);
+        cell = "";
+      } else if (char === "\n" || char === "\r") {
+        if (char === "\r" && input[i + 1] === "\n") {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = "";
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== "" || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+  }
+
+  /**
+   * Parse an amount cell ("₦1,250,000.00", "1250000", "")
+   * @param {string} text - Cell contents
+   * @returns {number} Amount, 0 for blank, NaN when not a number
+   */
+  function parseAmount(text) {
+    const cleaned = String(text === undefined ? "" : text).replace(
+      /[₦,\s]/g,
+      ""
+    );
+    if (cleaned === "") return 0;
+    return /^-?\d+(\.\d+)?$/.test(cleaned) ? Number.parseFloat(cleaned) : NaN;
+  }
+
+  /**
+   * Quote a value for CSV output when needed
+   * Text that a spreadsheet would run as a formula (=, +, -, @, tab or CR
+   * first) is prefixed with ' so it opens as text; numbers are left alone.
+   * @param {*} value - Cell value
+   * @returns {string} CSV-safe cell
+   */
+  function escapeCell(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (
+      typeof value !== "number" &&
+      /^[=+\-@\t\r]/.test(text) &&
+      !/^-\d[\d,]*(\.\d+)?$/.test(text)
+    ) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Serialise rows of cells as CSV text
+   * @param {array} rows - Array of rows, each an array of values
+   * @returns {string} CSV text
+   */
+  function toCSV(rows) {
+    return rows.map((row) => row.map(escapeCell).join(",")).join("\r\n");
+  }
+
+  /**
+   * Offer text content to the user as a file download
+   * @param {string} filename - Suggested file name
+   * @param {string} content - File contents
+   * @param {string} [type] - MIME type
+   */
+  function downloadFile(filename, content, type = "text/csv;charset=utf-8") {
+    // Prefix CSV with a BOM so Excel reads ₦ and other symbols correctly
+    const body = type.indexOf("text/csv") === 0 ? "﻿" + content : content;
+    const url = URL.createObjectURL(new Blob([body], { type }));
+    const link = document.createElement("a");
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  return {
+    parseCSV,
+    parseAmount,
+    toCSV,
+    downloadFile,
+  };
+});
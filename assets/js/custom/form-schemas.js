@@ -0,0 +1,607 @@
+/**
+ * Form Schemas
+ * Declares the fields each lead form collects (contact, demo request, free
+ * trial, seller application). A form picks its schema with data-form; the
+ * schema drives validation, the inline error messages and the fields sent.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./pricing.js"));
+  } else {
+    root.FormSchemas = factory(root.Pricing);
+  }
+})(typeof self !== "undefined" ? self : this, function (Pricing) {
+  "use strict";
+
+  const COUNTRIES = [
+    ["Nigeria", "Nigeria"],
+    ["United Kingdom", "United Kingdom"],
+  ];
+
+  const COMPANY_SIZES = [
+    ["1-10", "1-10 employees"],
+    ["11-50", "11-50 employees"],
+    ["51-200", "51-200 employees"],
+    ["201-500", "201-500 employees"],
+    ["500+", "More than 500 employees"],
+  ];
+
+  /**
+   * Plan choices from the plan catalogue (pricing.js), cheapest first
+   * @returns {array} [id, name] pairs (none until the catalogue has loaded)
+   */
+  function planOptions() {
+    if (!Pricing) return [];
+    try {
+      return Pricing.getCatalogue().plans.map((plan) => [plan.id, plan.name]);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  const BUSINESS_TYPES = [
+    ["accounting-firm", "Accounting firm"],
+    ["hr-consultancy", "HR consultancy"],
+    ["payroll-bureau", "Payroll bureau"],
+    ["software-reseller", "Software reseller"],
+    ["other", "Other"],
+  ];
+
+  const NIGERIAN_STATES = [
+    "Abia",
+    "Adamawa",
+    "Akwa Ibom",
+    "Anambra",
+    "Bauchi",
+    "Bayelsa",
+    "Benue",
+    "Borno",
+    "Cross River",
+    "Delta",
+    "Ebonyi",
+    "Edo",
+    "Ekiti",
+    "Enugu",
+    "Federal Capital Territory",
+    "Gombe",
+    "Imo",
+    "Jigawa",
+    "Kaduna",
+    "Kano",
+    "Katsina",
+    "Kebbi",
+    "Kogi",
+    "Kwara",
+    "Lagos",
+    "Nasarawa",
+    "Niger",
+    "Ogun",
+    "Ondo",
+    "Osun",
+    "Oyo",
+    "Plateau",
+    "Rivers",
+    "Sokoto",
+    "Taraba",
+    "Yobe",
+    "Zamfara",
+  ].map((state) => [state, state]);
+
+  // Scotland and Wales set their own income tax rates, so the nation matters
+  const UK_NATIONS = [
+    ["England", "England"],
+    ["Northern Ireland", "Northern Ireland"],
+    ["Scotland", "Scotland"],
+    ["Wales", "Wales"],
+  ];
+
+  const PAY_FREQUENCIES = [
+    ["monthly", "Monthly"],
+    ["fortnightly", "Fortnightly"],
+    ["weekly", "Weekly"],
+  ];
+
+  const MODULES = [
+    ["hr", "HR"],
+    ["payroll", "Payroll"],
+    ["accounting", "Accounting"],
+  ];
+
+  // Demos run Monday to Friday within these hours (local time)
+  const DEMO_HOURS = { from: 9, to: 17 };
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  const FULL_NAME = {
+    name: "fullName",
+    label: "Full name",
+    type: "text",
+    required: true,
+    maxLength: 100,
+  };
+  const EMAIL = {
+    name: "email",
+    label: "Email",
+    type: "email",
+    required: true,
+  };
+  const COUNTRY = {
+    name: "country",
+    label: "Country",
+    type: "select",
+    required: true,
+    options: COUNTRIES,
+  };
+  const company = (required) => ({
+    name: "company",
+    label: "Company",
+    type: "text",
+    required,
+    maxLength: 150,
+  });
+  const message = (required) => ({
+    name: "message",
+    label: "Message",
+    type: "textarea",
+    required,
+    maxLength: 2000,
+  });
+
+  const SCHEMAS = {
+    contact: {
+      fields: [
+        FULL_NAME,
+        EMAIL,
+        company(false),
+        {
+          name: "rolePosition",
+          label: "Role",
+          type: "text",
+          required: false,
+          maxLength: 100,
+        },
+        message(true),
+      ],
+    },
+    demo: {
+      fields: [
+        FULL_NAME,
+        EMAIL,
+        company(true),
+        {
+          name: "companySize",
+          label: "Company size",
+          type: "select",
+          required: true,
+          options: COMPANY_SIZES,
+        },
+        COUNTRY,
+        {
+          name: "demoSlot",
+          label: "Preferred demo time",
+          type: "datetime",
+          required: true,
+          future: true,
+          workingHours: DEMO_HOURS,
+        },
+        message(false),
+      ],
+    },
+    trial: {
+      fields: [
+        FULL_NAME,
+        EMAIL,
+        company(true),
+        COUNTRY,
+        {
+          name: "state",
+          label: "State or nation",
+          type: "select",
+          required: true,
+          dependsOn: "country",
+          options: { Nigeria: NIGERIAN_STATES, "United Kingdom": UK_NATIONS },
+        },
+        {
+          name: "headcount",
+          label: "Number of employees",
+          type: "integer",
+          required: true,
+          min: 1,
+          max: 100000,
+        },
+        {
+          name: "payFrequency",
+          label: "Pay frequency",
+          type: "select",
+          required: true,
+          options: PAY_FREQUENCIES,
+        },
+        {
+          name: "modules",
+          label: "Modules",
+          type: "multi",
+          required: true,
+          options: MODULES,
+        },
+        {
+          name: "plan",
+          label: "Plan",
+          type: "select",
+          required: true,
+          options: planOptions,
+        },
+      ],
+    },
+    seller: {
+      fields: [
+        FULL_NAME,
+        EMAIL,
+        company(true),
+        {
+          name: "businessType",
+          label: "Business type",
+          type: "select",
+          required: true,
+          options: BUSINESS_TYPES,
+        },
+        COUNTRY,
+        message(true),
+      ],
+    },
+  };
+
+  /**
+   * Schema for a form
+   * @param {string} [name] - data-form value (contact when missing or unknown)
+   * @returns {object} name and fields
+   */
+  function getSchema(name) {
+    const key = SCHEMAS[name] ? name : "contact";
+    return Object.assign({ name: key }, SCHEMAS[key]);
+  }
+
+  /**
+   * The choices for a select or multi field
+   * A field with dependsOn has a list per value of that other field; a
+   * function gives choices loaded at run time (the plans).
+   * @param {object} field - Field from a schema
+   * @param {object} [values] - The form's values
+   * @returns {array} [value, label] pairs
+   */
+  function getOptions(field, values = {}) {
+    if (Array.isArray(field.options)) return field.options;
+    if (typeof field.options === "function") return field.options(values);
+    return field.options[values[field.dependsOn]] || [];
+  }
+
+  /**
+   * Check one value against its field definition
+   * @param {object} field - Field from a schema
+   * @param {string|array} value - Raw value (trimmed; an array for multi)
+   * @param {Date} now - Current time, for date rules
+   * @param {object} [values] - The form's values, for dependent options
+   * @returns {string} Error message, or "" when valid
+   */
+  function validateField(field, value, now, values = {}) {
+    if (!value || !value.length) {
+      if (!field.required) return "";
+      if (field.type === "multi") {
+        return `Choose at least one of the ${field.label.toLowerCase()}.`;
+      }
+      return field.type === "select"
+        ? `Choose a ${field.label.toLowerCase()}.`
+        : `${field.label} is required.`;
+    }
+    if (field.maxLength && value.length > field.maxLength) {
+      return `${field.label} must be ${field.maxLength} characters or fewer.`;
+    }
+
+    switch (field.type) {
+      case "email":
+        return EMAIL_PATTERN.test(value)
+          ? ""
+          : "Enter a valid email address, like name@company.com.";
+      case "select":
+        return getOptions(field, values).some(([option]) => option === value)
+          ? ""
+          : `Choose a ${field.label.toLowerCase()} from the list.`;
+      case "multi":
+        return value.every((item) =>
+          field.options.some(([option]) => option === item)
+        )
+          ? ""
+          : `Choose ${field.label.toLowerCase()} from the list.`;
+      case "integer": {
+        const number = Number(value);
+        return Number.isInteger(number) &&
+          number >= field.min &&
+          number <= field.max
+          ? ""
+          : `${field.label} must be a whole number from ${field.min} to ` +
+              `${field.max.toLocaleString("en-GB")}.`;
+      }
+      case "datetime": {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          return `Enter a valid ${field.label.toLowerCase()}.`;
+        }
+        if (field.future && date <= now) {
+          return `${field.label} must be in the future.`;
+        }
+        const hours = field.workingHours;
+        if (
+          hours &&
+          (date.getDay() === 0 ||
+            date.getDay() === 6 ||
+            date.getHours() < hours.from ||
+            date.getHours() >= hours.to)
+        ) {
+          return `${field.label} must be Monday to Friday, ${hours.from}:00 to ${hours.to}:00.`;
+        }
+        return "";
+      }
+      default:
+        return "";
+    }
+  }
+
+  /**
+   * Validate a form's values against its schema
+   * Fields the form does not have (undefined values) are skipped, so one
+   * schema serves forms that leave out optional fields.
+   * @param {object} schema - Output of getSchema
+   * @param {object} values - Raw values by field name
+   * @param {Date} [now] - Current time
+   * @returns {object} errors (message by field name) and fields (the payload:
+   *   trimmed values, integers as numbers, multi fields as arrays)
+   */
+  function validate(schema, values, now = new Date()) {
+    const errors = {};
+    const fields = {};
+    schema.fields.forEach((field) => {
+      if (values[field.name] === undefined) return;
+      const value = Array.isArray(values[field.name])
+        ? values[field.name]
+        : String(values[field.name]).trim();
+      const error = validateField(field, value, now, values);
+      if (error) {
+        errors[field.name] = error;
+      } else if (value.length) {
+        fields[field.name] = field.type === "integer" ? Number(value) : value;
+      }
+    });
+    return { errors, fields };
+  }
+
+  /* ---------- Page wiring ---------- */
+
+  let errorCount = 0;
+
+  /**
+   * The control for a field within a form (for multi fields, the element
+   * that groups its checkboxes)
+   * @param {HTMLFormElement} form - Form
+   * @param {string} name - Field name
+   * @returns {Element|null} Control
+   */
+  function getControl(form, name) {
+    return (
+      form.querySelector(`[id="${name}"]`) ||
+      form.querySelector(`[name="${name}"]`)
+    );
+  }
+
+  /**
+   * A field's current value
+   * @param {HTMLFormElement} form - Form
+   * @param {object} field - Field from the schema
+   * @returns {string|array|undefined} Value (undefined when the form lacks it)
+   */
+  function readValue(form, field) {
+    const control = getControl(form, field.name);
+    if (!control) return undefined;
+    if (field.type !== "multi") return control.value;
+    return Array.from(
+      form.querySelectorAll(`[name="${field.name}"]:checked`),
+      (box) => box.value
+    );
+  }
+
+  /**
+   * The values of every schema field the form has
+   * @param {HTMLFormElement} form - Form
+   * @param {object} schema - The form's schema
+   * @returns {object} Values by field name
+   */
+  function readValues(form, schema) {
+    const values = {};
+    schema.fields.forEach((field) => {
+      const value = readValue(form, field);
+      if (value !== undefined) values[field.name] = value;
+    });
+    return values;
+  }
+
+  /**
+   * Fill a select's choices, keeping the current value when it still applies
+   * @param {HTMLSelectElement} select - Select with a prompt as first option
+   * @param {array} options - [value, label] pairs
+   */
+  function fillSelect(select, options) {
+    const value = select.value;
+    Array.from(select.options)
+      .slice(1)
+      .forEach((option) => option.remove());
+    options.forEach(([optionValue, label]) => {
+      select.appendChild(new Option(label, optionValue));
+    });
+    select.value = options.some(([optionValue]) => optionValue === value)
+      ? value
+      : "";
+  }
+
+  /**
+   * Put saved values back into a form
+   * @param {HTMLFormElement} form - Form prepared with attach
+   * @param {object} schema - The form's schema
+   * @param {object} values - Values by field name
+   */
+  function writeValues(form, schema, values) {
+    schema.fields.forEach((field) => {
+      const control = getControl(form, field.name);
+      if (!control || values[field.name] === undefined) return;
+      if (field.type === "multi") {
+        form.querySelectorAll(`[name="${field.name}"]`).forEach((box) => {
+          box.checked = values[field.name].includes(box.value);
+        });
+        return;
+      }
+      if (field.dependsOn) fillSelect(control, getOptions(field, values));
+      control.value = values[field.name];
+    });
+  }
+
+  /**
+   * Show or clear a field's inline error
+   * @param {Element} control - Input, select, textarea or checkbox group
+   * @param {string} message - Error ("" clears it)
+   */
+  function setFieldError(control, message) {
+    const error = document.getElementById(control.dataset.errorId);
+    control.classList.toggle("is-invalid", !!message);
+    if (message) {
+      control.setAttribute("aria-invalid", "true");
+    } else {
+      control.removeAttribute("aria-invalid");
+    }
+    error.textContent = message;
+  }
+
+  /**
+   * Prepare a form for its schema: fill select options and checkbox groups,
+   * add an error slot (a live region) under each field and re-check fields
+   * as they are fixed
+   * @param {HTMLFormElement} form - Form
+   * @returns {object} The form's schema
+   */
+  function attach(form) {
+    const schema = getSchema(form.dataset.form);
+    form.noValidate = true;
+
+    schema.fields.forEach((field) => {
+      const control = getControl(form, field.name);
+      if (!control) return;
+
+      if (field.type === "select" && control.options.length <= 1) {
+        fillSelect(control, getOptions(field, readValues(form, schema)));
+      }
+      if (field.dependsOn) {
+        const parent = getControl(form, field.dependsOn);
+        if (parent) {
+          parent.addEventListener("change", () => {
+            fillSelect(control, getOptions(field, readValues(form, schema)));
+          });
+        }
+      }
+      if (field.type === "multi" && !control.querySelector("input")) {
+        field.options.forEach(([value, label]) => {
+          const option = control.appendChild(document.createElement("div"));
+          option.className = "form-check";
+          const box = option.appendChild(document.createElement("input"));
+          box.className = "form-check-input";
+          box.type = "checkbox";
+          box.name = field.name;
+          box.value = value;
+          box.id = `${field.name}-${value}`;
+          const boxLabel = option.appendChild(document.createElement("label"));
+          boxLabel.className = "form-check-label";
+          boxLabel.htmlFor = box.id;
+          boxLabel.textContent = label;
+        });
+      }
+
+      const error = document.createElement("div");
+      error.id = `form-error-${++errorCount}`;
+      error.className = "form-error";
+      error.setAttribute("aria-live", "polite");
+      (field.type === "multi" ? control : control.parentNode).appendChild(
+        error
+      );
+      control.dataset.errorId = error.id;
+      control.setAttribute(
+        "aria-describedby",
+        [control.getAttribute("aria-describedby"), error.id]
+          .filter(Boolean)
+          .join(" ")
+      );
+
+      const recheck = () => {
+        const values = readValues(form, schema);
+        const value = values[field.name];
+        setFieldError(
+          control,
+          validateField(
+            field,
+            Array.isArray(value) ? value : value.trim(),
+            new Date(),
+            values
+          )
+        );
+      };
+      control.addEventListener("blur", () => {
+        if (field.type !== "multi" && control.value.trim()) recheck();
+      });
+      control.addEventListener("input", () => {
+        if (control.classList.contains("is-invalid")) recheck();
+      });
+      control.addEventListener("change", () => {
+        if (control.classList.contains("is-invalid")) recheck();
+      });
+    });
+
+    return schema;
+  }
+
+  /**
+   * Validate a form, showing each field's error and focusing the first
+   * @param {HTMLFormElement} form - Form prepared with attach
+   * @param {object} schema - The form's schema
+   * @param {array} [names] - Only check these fields (one step of a wizard)
+   * @returns {object|null} Payload fields, or null when something is invalid
+   */
+  function check(form, schema, names) {
+    const checked = names
+      ? schema.fields.filter((field) => names.includes(field.name))
+      : schema.fields;
+    const result = validate({ fields: checked }, readValues(form, schema));
+
+    let first = null;
+    checked.forEach((field) => {
+      const control = getControl(form, field.name);
+      if (!control) return;
+      setFieldError(control, result.errors[field.name] || "");
+      if (result.errors[field.name] && !first) first = control;
+    });
+
+    if (first) {
+      (first.matches("input, select, textarea")
+        ? first
+        : first.querySelector("input")
+      ).focus();
+      return null;
+    }
+    return result.fields;
+  }
+
+  return {
+    SCHEMAS,
+    getSchema,
+    getOptions,
+    validateField,
+    validate,
+    readValues,
+    writeValues,
+    attach,
+    check,
+  };
+});
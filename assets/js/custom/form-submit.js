@@ -0,0 +1,431 @@
+/**
+ * Form Submit
+ * Sends lead and contact forms to the backend as JSON, retrying with backoff
+ * when the network fails and keeping unsent submissions in localStorage until
+ * the browser is back online. A honeypot field and a minimum fill time keep
+ * out most spam bots.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./storage.js"));
+  } else {
+    root.FormSubmit = factory(root.StorageUtils);
+  }
+})(typeof self !== "undefined" ? self : this, function (StorageUtils) {
+  "use strict";
+
+  // Used when neither the form (data-endpoint) nor the page
+  // (<meta name="form-endpoint">) names one
+  const DEFAULT_ENDPOINT = "/api/leads";
+
+  const QUEUE_KEY = "hrpayhub.formQueue";
+  const QUEUE_LIMIT = 20;
+
+  // Hidden field people never see; bots that fill every input fill it too
+  const HONEYPOT_FIELD = "website";
+
+  // Anything sent faster than this after the form appeared was not typed
+  const MIN_FILL_MS = 3000;
+
+  const RETRIES = 3;
+  const BACKOFF_BASE_MS = 1000;
+  const BACKOFF_MAX_MS = 10000;
+
+  /**
+   * Error for a send that failed
+   * retryable is true for network errors and server-side failures (5xx, 429),
+   * false when the server rejected the submission itself.
+   */
+  class SubmitError extends Error {
+    constructor(message, status, retryable) {
+      super(message);
+      this.name = "SubmitError";
+      this.status = status;
+      this.retryable = retryable;
+    }
+  }
+
+  /**
+   * Whether a submission looks like a bot
+   * @param {object} fields - Form fields (including the honeypot)
+   * @param {number} startedAt - When the form appeared (ms)
+   * @param {number} now - Submit time (ms)
+   * @returns {boolean} True for spam
+   */
+  function isSpam(fields, startedAt, now) {
+    if (String(fields[HONEYPOT_FIELD] || "").trim()) return true;
+    return now - startedAt < MIN_FILL_MS;
+  }
+
+  /**
+   * A unique id so the server can ignore a resend it already has
+   * @returns {string} Id
+   */
+  function createId() {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  /**
+   * Build the JSON body for a submission (the honeypot is left out)
+   * @param {object} fields - Form fields
+   * @param {object} meta - form (which form) and page (path it was sent from)
+   * @param {Date} [submittedAt] - Submit time
+   * @returns {object} id, form, page, submittedAt and fields
+   */
+  function buildPayload(fields, meta, submittedAt = new Date()) {
+    const clean = {};
+    Object.keys(fields).forEach((key) => {
+      if (key === HONEYPOT_FIELD) return;
+      const value = fields[key];
+      clean[key] = typeof value === "string" ? value.trim() : value;
+    });
+    return {
+      id: createId(),
+      form: meta.form,
+      page: meta.page,
+      submittedAt: submittedAt.toISOString(),
+      fields: clean,
+    };
+  }
+
+  /**
+   * Wait before retry number attempt (0-based): 1s, 2s, 4s... up to 10s
+   * @param {number} attempt - Retries already made
+   * @returns {number} Delay (ms)
+   */
+  function backoffDelay(attempt) {
+    return Math.min(BACKOFF_BASE_MS * 2 ** attempt, BACKOFF_MAX_MS);
+  }
+
+  /**
+   * POST a payload once
+   * @param {string} endpoint - URL
+   * @param {object} payload - Output of buildPayload
+   * @param {function} fetchFn - fetch
+   * @returns {Promise<object>} Response body (empty object when not JSON)
+   */
+  function postJson(endpoint, payload, fetchFn) {
+    return fetchFn(endpoint, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify(payload),
+    }).then(
+      (response) =>
+        response
+          .json()
+          .catch(() => ({}))
+          .then((body) => {
+            if (response.ok) return body;
+            throw new SubmitError(
+              body.message || `The server answered ${response.status}.`,
+              response.status,
+              response.status >= 500 || response.status === 429
+            );
+          }),
+      (error) => {
+        throw new SubmitError(error.message, 0, true);
+      }
+    );
+  }
+
+  /**
+   * POST a payload, retrying network and server failures with backoff
+   * @param {string} endpoint - URL
+   * @param {object} payload - Output of buildPayload
+   * @param {object} [options] - fetch, sleep(ms) and retries, for tests
+   * @returns {Promise<object>} Response body; rejects with a SubmitError
+   */
+  function send(endpoint, payload, options = {}) {
+    const fetchFn = options.fetch || fetch;
+    const sleep =
+      options.sleep ||
+      ((ms) => new Promise((resolve) => setTimeout(resolve, ms)));
+    const retries = options.retries === undefined ? RETRIES : options.retries;
+
+    const attempt = (count) =>
+      postJson(endpoint, payload, fetchFn).catch((error) => {
+        if (!error.retryable || count >= retries) throw error;
+        return sleep(backoffDelay(count)).then(() => attempt(count + 1));
+      });
+    return attempt(0);
+  }
+
+  /**
+   * Read the unsent submissions
+   * @param {Storage} storage - localStorage
+   * @returns {array} Queue entries (endpoint and payload), oldest first
+   */
+  function readQueue(storage) {
+    try {
+      const queue = JSON.parse(storage.getItem(QUEUE_KEY));
+      return Array.isArray(queue)
+        ? queue.filter((item) => item && item.endpoint && item.payload)
+        : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Save the unsent submissions (an empty queue removes the key)
+   * @param {Storage} storage - localStorage
+   * @param {array} queue - Queue entries
+   * @returns {boolean} False when storage is unavailable or full
+   */
+  function writeQueue(storage, queue) {
+    try {
+      if (queue.length) {
+        storage.setItem(QUEUE_KEY, JSON.stringify(queue));
+      } else {
+        storage.removeItem(QUEUE_KEY);
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Keep a submission to send later
+   * The same submission is only queued once; past QUEUE_LIMIT the oldest go.
+   * @param {Storage} storage - localStorage
+   * @param {string} endpoint - URL
+   * @param {object} payload - Output of buildPayload
+   * @returns {boolean} False when it could not be saved
+   */
+  function enqueue(storage, endpoint, payload) {
+    const queue = readQueue(storage)
+      .filter((item) => item.payload.id !== payload.id)
+      .concat([{ endpoint, payload }]);
+    return writeQueue(storage, queue.slice(-QUEUE_LIMIT));
+  }
+
+  /**
+   * Resend queued submissions one at a time
+   * Sent and rejected entries leave the queue; the rest stay for next time,
+   * and the first network failure stops the run.
+   * @param {Storage} storage - localStorage
+   * @param {function} sendFn - (endpoint, payload) => Promise
+   * @returns {Promise<object>} sent, rejected and remaining counts
+   */
+  function flushQueue(storage, sendFn) {
+    const result = { sent: 0, rejected: 0, remaining: 0 };
+    const queue = readQueue(storage);
+
+    const next = (index) => {
+      if (index >= queue.length) return Promise.resolve();
+      const item = queue[index];
+      return sendFn(item.endpoint, item.payload).then(
+        () => {
+          result.sent++;
+          return next(index + 1);
+        },
+        (error) => {
+          if (error.retryable) return undefined;
+          result.rejected++;
+          return next(index + 1);
+        }
+      );
+    };
+
+    return next(0).then(() => {
+      // Drop what was handled; anything queued meanwhile stays
+      const done = queue
+        .slice(0, result.sent + result.rejected)
+        .map((item) => item.payload.id);
+      const remaining = readQueue(storage).filter(
+        (item) => !done.includes(item.payload.id)
+      );
+      writeQueue(storage, remaining);
+      result.remaining = remaining.length;
+      return result;
+    });
+  }
+
+  /* ---------- Page wiring ---------- */
+
+  /**
+   * Where a form posts to
+   * @param {HTMLFormElement} form - Form
+   * @returns {string} URL
+   */
+  function getEndpoint(form) {
+    const meta = document.querySelector('meta[name="form-endpoint"]');
+    return form.dataset.endpoint || (meta && meta.content) || DEFAULT_ENDPOINT;
+  }
+
+  /**
+   * The form's fields by name (or id when a field has no name)
+   * @param {HTMLFormElement} form - Form
+   * @returns {object} Field values
+   */
+  function readFields(form) {
+    const fields = {};
+    form.querySelectorAll("input, textarea, select").forEach((field) => {
+      const key = field.name || field.id;
+      if (!key || field.type === "submit" || field.type === "button") return;
+      if (field.type === "checkbox") {
+        fields[key] = field.checked ? field.value : "";
+      } else if (field.type !== "radio" || field.checked) {
+        fields[key] = field.value;
+      }
+    });
+    return fields;
+  }
+
+  /**
+   * Add the hidden honeypot field and note when the form appeared
+   * @param {HTMLFormElement} form - Form
+   */
+  function prepare(form) {
+    if (!form.querySelector(`[name="${HONEYPOT_FIELD}"]`)) {
+      const trap = document.createElement("div");
+      trap.className = "form-honeypot";
+      trap.setAttribute("aria-hidden", "true");
+      const input = trap.appendChild(document.createElement("input"));
+      input.type = "text";
+      input.name = HONEYPOT_FIELD;
+      input.tabIndex = -1;
+      input.autocomplete = "off";
+      form.appendChild(trap);
+    }
+    form.dataset.startedAt = String(Date.now());
+  }
+
+  /**
+   * Show the outcome of a submission under the form
+   * @param {HTMLFormElement} form - Form
+   * @param {string} type - success, danger or info (Bootstrap alert colours)
+   * @param {string} message - Message text
+   */
+  function showStatus(form, type, message) {
+    let status = form.querySelector(".form-status");
+    if (!status) {
+      status = form.appendChild(document.createElement("div"));
+      status.setAttribute("role", "status");
+      status.setAttribute("aria-live", "polite");
+    }
+    status.className = `form-status alert alert-${type} mt-3`;
+    status.textContent = message;
+  }
+
+  /**
+   * Send a form, showing progress and the outcome on the page
+   * The caller validates the fields first.
+   * @param {HTMLFormElement} form - Form
+   * @param {object} [options] - fields to send (defaults to every field in
+   *   the form) and successMessage
+   * @returns {Promise<string>} sent, queued, rejected or spam
+   */
+  function submit(form, options = {}) {
+    const button = form.querySelector('[type="submit"]');
+    const originalText = button ? button.textContent : "";
+    const success =
+      options.successMessage ||
+      "Thank you for your message! We'll get back to you soon.";
+
+    const done = (outcome, type, message) => {
+      if (button) {
+        button.textContent = originalText;
+        button.disabled = false;
+      }
+      showStatus(form, type, message);
+      if (outcome !== "rejected") {
+        form.reset();
+        prepare(form);
+      }
+      form.dispatchEvent(
+        new CustomEvent("formsubmit:done", { detail: { outcome } })
+      );
+      return outcome;
+    };
+
+    // Bots get the normal thank-you so they don't learn to adapt
+    const raw = readFields(form);
+    if (isSpam(raw, Number(form.dataset.startedAt) || 0, Date.now())) {
+      return Promise.resolve(done("spam", "success", success));
+    }
+
+    const endpoint = getEndpoint(form);
+    const payload = buildPayload(options.fields || raw, {
+      form: form.dataset.form || form.id || "contact",
+      page: window.location.pathname,
+    });
+    if (button) {
+      button.textContent = "Sending...";
+      button.disabled = true;
+    }
+
+    return send(endpoint, payload).then(
+      () => done("sent", "success", success),
+      (error) => {
+        const storage = StorageUtils.getStorage();
+        if (error.retryable && storage && enqueue(storage, endpoint, payload)) {
+          return done(
+            "queued",
+            "info",
+            "We couldn't reach our server, so your message is saved in this " +
+              "browser and will be sent automatically when you're back online."
+          );
+        }
+        return done(
+          "rejected",
+          "danger",
+          error.retryable
+            ? "We couldn't send your message. Please try again, or email " +
+                "care@hrpayhub.com."
+            : `We couldn't send your message: ${error.message}`
+        );
+      }
+    );
+  }
+
+  /**
+   * Resend anything queued from an earlier visit or while offline
+   * @returns {Promise<object|null>} flushQueue result, or null when there is nothing to do
+   */
+  function resendQueued() {
+    const storage = StorageUtils.getStorage();
+    if (!storage || !readQueue(storage).length || !navigator.onLine) {
+      return Promise.resolve(null);
+    }
+    return flushQueue(storage, (endpoint, payload) =>
+      send(endpoint, payload, { retries: 0 })
+    );
+  }
+
+  /**
+   * Prepare the page's forms and resend any queued submissions
+   * @param {string} selector - Forms to prepare
+   */
+  function init(selector) {
+    document.querySelectorAll(selector).forEach(prepare);
+    window.addEventListener("online", resendQueued);
+    resendQueued();
+  }
+
+  return {
+    DEFAULT_ENDPOINT,
+    QUEUE_KEY,
+    HONEYPOT_FIELD,
+    MIN_FILL_MS,
+    SubmitError,
+    isSpam,
+    buildPayload,
+    backoffDelay,
+    send,
+    readQueue,
+    enqueue,
+    flushQueue,
+    readFields,
+    showStatus,
+    submit,
+    init,
+  };
+});
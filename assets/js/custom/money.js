@@ -0,0 +1,118 @@
+/**
+ * Money Utilities
+ * Whole-kobo arithmetic for the payroll tools: conversion to and from naira,
+ * rate and fraction multiplication with an explicit rounding mode, and even
+ * splits where the final part absorbs the remainder.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MoneyUtils = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // halfUp: nearest kobo, halves away from zero; down: towards zero; up: away from zero
+  const ROUNDING_MODES = ["halfUp", "down", "up"];
+
+  // Rates are applied to six decimal places (0.025, 0.075, 0.0125 ...)
+  const RATE_SCALE = 1000000;
+
+  /**
+   * Convert naira to whole kobo
+   * @param {number|string} amount - Amount in naira
+   * @returns {number} Integer kobo (0 when not a number)
+   */
+  function toKobo(amount) {
+    const kobo = Number.parseFloat(amount) * 100;
+    // toFixed clears binary noise such as 1.005 * 100 = 100.49999...
+    return Number.isFinite(kobo) ? Math.round(Number(kobo.toFixed(4))) : 0;
+  }
+
+  /**
+   * Convert whole kobo to naira
+   * @param {number} kobo - Integer kobo
+   * @returns {number} Amount in naira (exact to 2 decimal places)
+   */
+  function fromKobo(kobo) {
+    return kobo / 100;
+  }
+
+  /**
+   * Multiply kobo by a fraction and round to whole kobo
+   * Exact for any size of payroll (BigInt), so no floating-point drift.
+   * @param {number} kobo - Integer kobo
+   * @param {number} numerator - Integer numerator
+   * @param {number} denominator - Integer denominator (not zero)
+   * @param {string} [mode] - One of ROUNDING_MODES
+   * @returns {number} Integer kobo
+   */
+  function scaleKobo(kobo, numerator, denominator, mode = "halfUp") {
+    if (!ROUNDING_MODES.includes(mode)) {
+      throw new Error(`Unknown rounding mode: ${mode}`);
+    }
+
+    const product = BigInt(kobo) * BigInt(numerator);
+    const divisor = BigInt(denominator);
+    const negative = product < 0n !== divisor < 0n;
+    const dividend = product < 0n ? -product : product;
+    const absDivisor = divisor < 0n ? -divisor : divisor;
+
+    let quotient = dividend / absDivisor;
+    const remainder = dividend % absDivisor;
+    if (
+      remainder !== 0n &&
+      (mode === "up" || (mode === "halfUp" && remainder * 2n >= absDivisor))
+    ) {
+      quotient += 1n;
+    }
+
+    return Number(negative ? -quotient : quotient);
+  }
+
+  /**
+   * Apply a percentage rate to an amount in kobo
+   * @param {number} kobo - Integer kobo
+   * @param {number} rate - Rate as a decimal (0.08 for 8%)
+   * @param {string} [mode] - One of ROUNDING_MODES
+   * @returns {number} Integer kobo
+   */
+  function applyRate(kobo, rate, mode = "halfUp") {
+    return scaleKobo(kobo, Math.round(rate * RATE_SCALE), RATE_SCALE, mode);
+  }
+
+  /**
+   * Split an amount into equal parts; the final part takes the remainder
+   * Every part but the last is rounded down, so the parts add up exactly.
+   * @param {number} kobo - Integer kobo
+   * @param {number} parts - Number of parts (1 or more)
+   * @returns {array} Integer kobo for each part
+   */
+  function splitKobo(kobo, parts) {
+    const count = Math.max(1, parts);
+    const share = scaleKobo(kobo, 1, count, "down");
+    const amounts = new Array(count).fill(share);
+    amounts[count - 1] = kobo - share * (count - 1);
+    return amounts;
+  }
+
+  /**
+   * Add up amounts in kobo
+   * @param {array} amounts - Integer kobo amounts
+   * @returns {number} Integer kobo
+   */
+  function sumKobo(amounts) {
+    return amounts.reduce((sum, amount) => sum + amount, 0);
+  }
+
+  return {
+    ROUNDING_MODES,
+    toKobo,
+    fromKobo,
+    scaleKobo,
+    applyRate,
+    splitKobo,
+    sumKobo,
+  };
+});
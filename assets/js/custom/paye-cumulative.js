@@ -0,0 +1,364 @@
+/**
+ * Cumulative PAYE
+ * Works out month-by-month PAYE on the cumulative basis (tax to date less tax
+ * already deducted) for a year where each month's earnings can differ.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./tax-core.js"), require("./money.js"));
+  } else {
+    root.PayeCumulative = factory(root.TaxCore, root.MoneyUtils);
+    document.addEventListener("DOMContentLoaded", root.PayeCumulative.init);
+  }
+})(typeof self !== "undefined" ? self : this, function (TaxCore, MoneyUtils) {
+  "use strict";
+
+  const MONTHS = [
+    "January",
+    "February",
+    "March",
+    "April",
+    "May",
+    "June",
+    "July",
+    "August",
+    "September",
+    "October",
+    "November",
+    "December",
+  ];
+
+  // Monthly earnings columns; bonus and arrears are taxed as other allowances
+  const GRID_FIELDS = [
+    { field: "basicSalary", label: "Basic" },
+    { field: "housingAllowance", label: "Housing" },
+    { field: "transportAllowance", label: "Transport" },
+    { field: "otherAllowances", label: "Other Allowances" },
+    { field: "leaveAllowance", label: "Leave Allowance" },
+    { field: "bonus", label: "Bonus / 13th Month" },
+    { field: "arrears", label: "Arrears" },
+  ];
+
+  // Flag a month when PAYE rises by more than this share of the month before
+  const JUMP_THRESHOLD = 0.25;
+
+  /**
+   * Total of one month's earnings
+   * @param {object} month - Monthly amounts keyed by GRID_FIELDS
+   * @returns {number} Monthly gross pay in kobo
+   */
+  function monthGrossKobo(month) {
+    return MoneyUtils.sumKobo(
+      GRID_FIELDS.map(({ field }) => MoneyUtils.toKobo(month[field]))
+    );
+  }
+
+  /**
+   * Salary object for the year, projected from earnings to date
+   * @param {array} months - Monthly earnings to date
+   * @param {object} base - Annual deductions, pension and regime settings
+   * @returns {object} Salary object for TaxCore.calculatePayroll
+   */
+  function annualiseToDate(months, base) {
+    const toDateKobo = {};
+    TaxCore.EARNING_FIELDS.forEach((field) => {
+      toDateKobo[field] = 0;
+    });
+    months.forEach((month) => {
+      GRID_FIELDS.forEach(({ field }) => {
+        const target = TaxCore.EARNING_FIELDS.includes(field)
+          ? field
+          : "otherAllowances";
+        toDateKobo[target] += MoneyUtils.toKobo(month[field]);
+      });
+    });
+
+    const salary = Object.assign({}, base);
+    Object.keys(toDateKobo).forEach((field) => {
+      salary[field] = MoneyUtils.fromKobo(
+        MoneyUtils.scaleKobo(
+          toDateKobo[field],
+          12,
+          months.length,
+          TaxCore.ROUNDING.proRata
+        )
+      );
+    });
+    return salary;
+  }
+
+  /**
+   * Work out PAYE, pension and net pay for each month on the cumulative basis
+   * Running totals are kept in whole kobo, so each month is exactly the
+   * figure to date less what earlier months took.
+   * @param {array} months - Twelve monthly earnings objects (GRID_FIELDS)
+   * @param {object} [base] - Annual deductions, pension and regime settings, as on the calculator
+   * @returns {object} One row per month and the year totals
+   */
+  function calculateCumulativePaye(months, base = {}) {
+    const { toKobo, fromKobo, splitKobo, sumKobo } = MoneyUtils;
+    const rows = [];
+    const deducted = { tax: 0, pension: 0, net: 0 };
+    let cumulativeGross = 0;
+
+    months.forEach((month, index) => {
+      const monthsToDate = index + 1;
+      const result = TaxCore.calculatePayroll(
+        annualiseToDate(months.slice(0, monthsToDate), base)
+      );
+
+      // Everything to date on the monthly split of the projected year (each
+      // month rounded down, December takes the remainder), less what earlier
+      // months already took
+      const toDate = (kobo) =>
+        sumKobo(splitKobo(kobo, 12).slice(0, monthsToDate));
+      const grossKobo = monthGrossKobo(month);
+      const taxToDate = toDate(toKobo(result.totalTax));
+      const pensionToDate = toDate(toKobo(result.pension));
+      const netToDate = toDate(toKobo(result.ans) - toKobo(result.totalTax));
+
+      const paye = fromKobo(taxToDate - deducted.tax);
+      const previous = rows[index - 1];
+      let flag = null;
+      if (paye < 0) {
+        flag = "refund";
+      } else if (
+        previous &&
+        paye > previous.paye * (1 + JUMP_THRESHOLD) &&
+        paye - previous.paye >= 1
+      ) {
+        flag = "jump";
+      }
+
+      cumulativeGross += grossKobo;
+      rows.push({
+        month: index + 1,
+        label: MONTHS[index],
+        gross: fromKobo(grossKobo),
+        pension: fromKobo(pensionToDate - deducted.pension),
+        paye,
+        net: fromKobo(netToDate - deducted.net),
+        cumulativeGross: fromKobo(cumulativeGross),
+        taxToDate: fromKobo(taxToDate),
+        taxRule: result.taxRule,
+        flag,
+      });
+
+      deducted.tax = taxToDate;
+      deducted.pension = pensionToDate;
+      deducted.net = netToDate;
+    });
+
+    const sum = (key) => fromKobo(sumKobo(rows.map((row) => toKobo(row[key]))));
+
+    return {
+      rows,
+      totals: {
+        gross: sum("gross"),
+        pension: sum("pension"),
+        paye: sum("paye"),
+        net: sum("net"),
+      },
+    };
+  }
+
+  /**
+   * Twelve months from an annual salary object
+   * Each earning is split into whole-kobo months; December takes the
+   * remainder, so the months add up to the annual salary.
+   * @param {object} salary - Annual salary object (calculator form values)
+   * @returns {array} Monthly earnings objects
+   */
+  function monthsFromAnnual(salary) {
+    const splits = {};
+    GRID_FIELDS.forEach(({ field }) => {
+      splits[field] = MoneyUtils.splitKobo(
+        MoneyUtils.toKobo(salary[field]),
+        MONTHS.length
+      );
+    });
+
+    return MONTHS.map((label, index) => {
+      const month = {};
+      GRID_FIELDS.forEach(({ field }) => {
+        month[field] = MoneyUtils.fromKobo(splits[field][index]);
+      });
+      return month;
+    });
+  }
+
+  /* ---------- Page wiring (calculator page only) ---------- */
+
+  /**
+   * Build the empty grid: one row per month, one input per earnings column
+   */
+  function renderGrid() {
+    const tbody = document.querySelector("#cumulativePayeTable tbody");
+    tbody.innerHTML = "";
+
+    MONTHS.forEach((label, index) => {
+      const tr = document.createElement("tr");
+      const name = document.createElement("td");
+      name.textContent = label;
+      tr.appendChild(name);
+
+      GRID_FIELDS.forEach(({ field, label: fieldLabel }) => {
+        const td = document.createElement("td");
+        const input = document.createElement("input");
+        input.type = "number";
+        input.min = "0";
+        input.step = "0.01";
+        input.className = "form-control form-control-sm";
+        input.dataset.month = index;
+        input.dataset.field = field;
+        input.setAttribute("aria-label", `${label} ${fieldLabel}`);
+        td.appendChild(input);
+        tr.appendChild(td);
+      });
+
+      ["gross", "pension", "paye", "net", "flag"].forEach((key) => {
+        const td = document.createElement("td");
+        td.dataset.result = key;
+        td.textContent = "—";
+        tr.appendChild(td);
+      });
+
+      tbody.appendChild(tr);
+    });
+  }
+
+  /**
+   * Read the grid inputs
+   * @returns {array} Twelve monthly earnings objects
+   */
+  function readGrid() {
+    const months = MONTHS.map(() => ({}));
+    document
+      .querySelectorAll("#cumulativePayeTable input[data-field]")
+      .forEach((input) => {
+        months[input.dataset.month][input.dataset.field] =
+          Number.parseFloat(input.value) || 0;
+      });
+    return months;
+  }
+
+  /**
+   * Write monthly earnings into the grid inputs
+   * @param {array} months - Twelve monthly earnings objects
+   */
+  function writeGrid(months) {
+    document
+      .querySelectorAll("#cumulativePayeTable input[data-field]")
+      .forEach((input) => {
+        const amount = months[input.dataset.month][input.dataset.field];
+        input.value = amount ? amount.toFixed(2) : "";
+      });
+  }
+
+  /**
+   * Deductions, pension and regime settings from the calculator form
+   * @returns {object} Annual salary object without earnings or employment period
+   */
+  function getBase() {
+    const values = getFormValues();
+
+    // The grid sets the months worked, so the period and earlier pay are left out
+    TaxCore.EARNING_FIELDS.concat(TaxCore.PREVIOUS_EMPLOYMENT_FIELDS, [
+      "startDate",
+      "endDate",
+    ]).forEach((field) => {
+      delete values[field];
+    });
+    return values;
+  }
+
+  /**
+   * Show the calculated months and totals
+   * @param {object} calculation - Result of calculateCumulativePaye
+   */
+  function renderResults(calculation) {
+    const rows = document.querySelectorAll("#cumulativePayeTable tbody tr");
+    const flags = {
+      jump: "PAYE jump",
+      refund: "Refund of over-deducted tax",
+    };
+
+    calculation.rows.forEach((row, index) => {
+      const tr = rows[index];
+      tr.className = row.flag ? "table-warning" : "";
+      ["gross", "pension", "paye", "net"].forEach((key) => {
+        tr.querySelector(`[data-result="${key}"]`).textContent = formatCurrency(
+          row[key]
+        );
+      });
+      tr.querySelector('[data-result="flag"]').textContent = row.flag
+        ? flags[row.flag]
+        : "";
+    });
+
+    const { totals } = calculation;
+    const flagged = calculation.rows.filter((row) => row.flag).length;
+    document.getElementById("cumulativePayeSummary").textContent =
+      `Year totals: gross ${formatCurrency(totals.gross)}, pension ` +
+      `${formatCurrency(totals.pension)}, PAYE ${formatCurrency(
+        totals.paye
+      )}, net pay ${formatCurrency(totals.net)}.` +
+      (flagged ? ` ${flagged} month(s) flagged.` : "");
+  }
+
+  /**
+   * Run the cumulative calculation on the grid
+   */
+  function calculate() {
+    const months = readGrid();
+    const errors = TaxCore.validateSalary(annualiseToDate(months, getBase()));
+    if (errors.length) {
+      document.getElementById("cumulativePayeSummary").textContent =
+        errors.join(" ");
+      return;
+    }
+    renderResults(calculateCumulativePaye(months, getBase()));
+  }
+
+  /**
+   * Initialise the cumulative PAYE panel if it is on the page
+   */
+  function init() {
+    const panel = document.getElementById("cumulativePaye");
+    if (!panel) return;
+
+    renderGrid();
+
+    document
+      .getElementById("cumulativePayeFill")
+      .addEventListener("click", () => {
+        writeGrid(monthsFromAnnual(getFormValues()));
+      });
+
+    // 13th month: one month's basic paid with December salary
+    document
+      .getElementById("cumulativePayeThirteenth")
+      .addEventListener("click", () => {
+        const december = document.querySelector(
+          '#cumulativePayeTable input[data-month="11"][data-field="bonus"]'
+        );
+        const basic = document.querySelector(
+          '#cumulativePayeTable input[data-month="11"][data-field="basicSalary"]'
+        );
+        december.value = basic.value;
+      });
+
+    document
+      .getElementById("cumulativePayeCalculate")
+      .addEventListener("click", calculate);
+  }
+
+  return {
+    MONTHS,
+    GRID_FIELDS,
+    JUMP_THRESHOLD,
+    calculateCumulativePaye,
+    monthsFromAnnual,
+    init,
+  };
+});
@@ -0,0 +1,615 @@
+/**
+ * PAYE Filing
+ * Builds the State IRS monthly PAYE remittance schedule from a payroll run and
+ * the year-end Form H1 annual return from twelve monthly schedules.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(
+      require("./money.js"),
+      require("./csv.js"),
+      require("./print.js")
+    );
+  } else {
+    root.PayeFiling = factory(root.MoneyUtils, root.CsvUtils, root.PrintUtils);
+    document.addEventListener("DOMContentLoaded", root.PayeFiling.init);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (MoneyUtils, CsvUtils, PrintUtils) {
+    "use strict";
+
+    // State revenue services PAYE is remitted to (state of residence): the
+    // 36 States and the FCT, by ISO 3166-2:NG code
+    const STATE_REVENUE_SERVICES = {
+      AB: "Abia State Internal Revenue Service (ASIRS)",
+      AD: "Adamawa State Internal Revenue Service (ADIRS)",
+      AK: "Akwa Ibom State Internal Revenue Service (AKIRS)",
+      AN: "Anambra State Internal Revenue Service (AIRS)",
+      BA: "Bauchi State Internal Revenue Service (BIRS)",
+      BY: "Bayelsa State Internal Revenue Service (BYIRS)",
+      BE: "Benue State Internal Revenue Service (BIRS)",
+      BO: "Borno State Internal Revenue Service (BIRS)",
+      CR: "Cross River State Internal Revenue Service (CRIRS)",
+      DE: "Delta State Board of Internal Revenue (DSBIR)",
+      EB: "Ebonyi State Internal Revenue Service (EBIRS)",
+      ED: "Edo State Internal Revenue Service (EIRS)",
+      EK: "Ekiti State Internal Revenue Service (EKIRS)",
+      EN: "Enugu State Internal Revenue Service (ESIRS)",
+      FC: "FCT Internal Revenue Service (FCT-IRS)",
+      GO: "Gombe State Internal Revenue Service (GIRS)",
+      IM: "Imo State Internal Revenue Service (IIRS)",
+      JI: "Jigawa State Internal Revenue Service (JIRS)",
+      KD: "Kaduna State Internal Revenue Service (KADIRS)",
+      KN: "Kano State Internal Revenue Service (KIRS)",
+      KT: "Katsina State Internal Revenue Service (KTIRS)",
+      KE: "Kebbi State Internal Revenue Service (KBIRS)",
+      KO: "Kogi State Internal Revenue Service (KGIRS)",
+      KW: "Kwara State Internal Revenue Service (KW-IRS)",
+      LA: "Lagos State Internal Revenue Service (LIRS)",
+      NA: "Nasarawa State Internal Revenue Service (NSIRS)",
+      NI: "Niger State Internal Revenue Service (NIGIRS)",
+      OG: "Ogun State Internal Revenue Service (OGIRS)",
+      ON: "Ondo State Internal Revenue Service (ODIRS)",
+      OS: "Osun State Internal Revenue Service (OIRS)",
+      OY: "Oyo State Board of Internal Revenue (OYBIR)",
+      PL: "Plateau State Internal Revenue Service (PSIRS)",
+      RI: "Rivers State Internal Revenue Service (RIRS)",
+      SO: "Sokoto State Internal Revenue Service (SIRS)",
+      TA: "Taraba State Internal Revenue Service (TRSIRS)",
+      YO: "Yobe State Internal Revenue Service (YBIRS)",
+      ZA: "Zamfara State Internal Revenue Service (ZIRS)",
+    };
+
+    // Monthly schedule columns; exported files can be re-imported for Form H1
+    const SCHEDULE_HEADER = [
+      "S/N",
+      "Employee ID",
+      "Employee Name",
+      "TIN",
+      "Month",
+      "Gross Income",
+      "Pension",
+      "Other Reliefs",
+      "Total Reliefs",
+      "Taxable Income",
+      "Tax Deducted",
+    ];
+
+    const ANNUAL_HEADER = [
+      "S/N",
+      "Employee ID",
+      "Employee Name",
+      "TIN",
+      "Months",
+      "Gross Income",
+      "Pension",
+      "Other Reliefs",
+      "Total Reliefs",
+      "Taxable Income",
+      "Tax Deducted",
+    ];
+
+    const AMOUNT_FIELDS = [
+      "gross",
+      "pension",
+      "otherReliefs",
+      "totalReliefs",
+      "taxable",
+      "tax",
+    ];
+
+    /**
+     * Turn a bulk payroll run into one schedule record per employee
+     * @param {array} results - BulkPayroll results (rows with errors are skipped)
+     * @param {string} month - Pay month as YYYY-MM
+     * @returns {array} Monthly schedule records
+     */
+    function buildMonthlyRecords(results, month) {
+      return results
+        .filter((row) => row.result)
+        .map((row) => {
+          // The month's share of the year, so twelve schedules add up exactly
+          const { schedule } = row.result;
+          const monthNumber = Number.parseInt(String(month).slice(5, 7), 10);
+          const payMonth =
+            schedule.find((entry) => entry.month === monthNumber) ||
+            schedule[0];
+
+          // Everything between gross and taxable income counts as a relief
+          const { toKobo, fromKobo } = MoneyUtils;
+          const totalReliefs =
+            toKobo(payMonth.gross) - toKobo(payMonth.taxable);
+
+          return {
+            employeeId: row.employeeId || "",
+            employeeName: row.employeeName || "",
+            tin: row.tin || "",
+            month,
+            gross: payMonth.gross,
+            pension: payMonth.pension,
+            otherReliefs: fromKobo(totalReliefs - toKobo(payMonth.pension)),
+            totalReliefs: fromKobo(totalReliefs),
+            taxable: payMonth.taxable,
+            tax: payMonth.tax,
+          };
+        });
+    }
+
+    /**
+     * Check records before export
+     * @param {array} records - Schedule records (monthly or annual)
+     * @returns {array} Issues as { row, message }; export is blocked when any exist
+     */
+    function validateRecords(records) {
+      const issues = [];
+
+      if (!records.length) {
+        issues.push({ row: null, message: "There are no employees to file." });
+      }
+
+      records.forEach((record, index) => {
+        const who =
+          record.employeeName || record.employeeId || `Row ${index + 1}`;
+
+        if (!String(record.tin || "").trim()) {
+          issues.push({ row: index + 1, message: `${who}: missing TIN` });
+        }
+
+        AMOUNT_FIELDS.forEach((field) => {
+          if (!Number.isFinite(record[field])) {
+            issues.push({
+              row: index + 1,
+              message: `${who}: ${field} is not a number`,
+            });
+          } else if (record[field] < 0) {
+            issues.push({
+              row: index + 1,
+              message: `${who}: ${field} is negative`,
+            });
+          }
+        });
+      });
+
+      return issues;
+    }
+
+    /**
+     * Add up the amount fields of a list of records
+     * @param {array} records - Schedule records
+     * @returns {object} Totals by amount field
+     */
+    function sumRecords(records) {
+      const totals = {};
+      AMOUNT_FIELDS.forEach((field) => {
+        totals[field] = MoneyUtils.fromKobo(
+          MoneyUtils.sumKobo(
+            records.map((record) => MoneyUtils.toKobo(record[field] || 0))
+          )
+        );
+      });
+      return totals;
+    }
+
+    /**
+     * Monthly remittance schedule as rows (header, employees, total)
+     * @param {array} records - Monthly schedule records
+     * @returns {array} Table rows
+     */
+    function monthlyScheduleRows(records) {
+      const totals = sumRecords(records);
+      const rows = records.map((record, index) => [
+        index + 1,
+        record.employeeId,
+        record.employeeName,
+        record.tin,
+        record.month,
+        ...AMOUNT_FIELDS.map((field) => record[field].toFixed(2)),
+      ]);
+
+      rows.push([
+        "TOTAL",
+        "",
+        `${records.length} employees`,
+        "",
+        records.length ? records[0].month : "",
+        ...AMOUNT_FIELDS.map((field) => totals[field].toFixed(2)),
+      ]);
+
+      return [SCHEDULE_HEADER].concat(rows);
+    }
+
+    /**
+     * Read monthly schedule rows (as exported by monthlyScheduleRows)
+     * @param {array} rows - Parsed CSV rows
+     * @returns {array} Monthly schedule records
+     */
+    function parseScheduleRows(rows) {
+      const headerIndex = rows.findIndex((row) => row.includes("TIN"));
+      if (headerIndex === -1) {
+        throw new Error("Not a PAYE schedule: no TIN column found.");
+      }
+
+      const header = rows[headerIndex];
+      const column = (title) => header.indexOf(title);
+      const fieldColumns = {
+        gross: column("Gross Income"),
+        pension: column("Pension"),
+        otherReliefs: column("Other Reliefs"),
+        totalReliefs: column("Total Reliefs"),
+        taxable: column("Taxable Income"),
+        tax: column("Tax Deducted"),
+      };
+
+      return rows
+        .slice(headerIndex + 1)
+        .filter((row) => row[0] !== "TOTAL")
+        .map((row) => {
+          const record = {
+            employeeId: row[column("Employee ID")] || "",
+            employeeName: row[column("Employee Name")] || "",
+            tin: row[column("TIN")] || "",
+            month: row[column("Month")] || "",
+          };
+          AMOUNT_FIELDS.forEach((field) => {
+            const text = String(row[fieldColumns[field]] || "").replace(
+              /[₦,\s]/g,
+              ""
+            );
+            record[field] = text === "" ? 0 : Number(text);
+          });
+          return record;
+        });
+    }
+
+    /**
+     * Add up monthly records per employee for the Form H1 annual return
+     * @param {array} records - Monthly schedule records for the year
+     * @param {string} year - Tax year (YYYY); records from other years are ignored
+     * @returns {array} One annual record per employee
+     */
+    function buildAnnualReturn(records, year) {
+      const employees = new Map();
+
+      records
+        .filter((record) => !year || String(record.month).indexOf(year) === 0)
+        .forEach((record) => {
+          // Match employees by TIN, falling back to ID then name
+          const key =
+            String(record.tin || "").trim() ||
+            (record.employeeId
+              ? `id:${record.employeeId}`
+              : `name:${record.employeeName}`);
+
+          if (!employees.has(key)) {
+            employees.set(key, {
+              employeeId: record.employeeId,
+              employeeName: record.employeeName,
+              tin: record.tin,
+              months: new Set(),
+              records: [],
+            });
+          }
+
+          const employee = employees.get(key);
+          employee.months.add(record.month);
+          employee.records.push(record);
+        });
+
+      return Array.from(employees.values()).map((employee) =>
+        Object.assign(
+          {
+            employeeId: employee.employeeId,
+            employeeName: employee.employeeName,
+            tin: employee.tin,
+            months: employee.months.size,
+          },
+          sumRecords(employee.records)
+        )
+      );
+    }
+
+    /**
+     * Form H1 annual return as rows (header, employees, total)
+     * @param {array} annualRecords - Output of buildAnnualReturn
+     * @returns {array} Table rows
+     */
+    function annualReturnRows(annualRecords) {
+      const totals = sumRecords(annualRecords);
+      const rows = annualRecords.map((record, index) => [
+        index + 1,
+        record.employeeId,
+        record.employeeName,
+        record.tin,
+        record.months,
+        ...AMOUNT_FIELDS.map((field) => record[field].toFixed(2)),
+      ]);
+
+      rows.push([
+        "TOTAL",
+        "",
+        `${annualRecords.length} employees`,
+        "",
+        "",
+        ...AMOUNT_FIELDS.map((field) => totals[field].toFixed(2)),
+      ]);
+
+      return [ANNUAL_HEADER].concat(rows);
+    }
+
+    /**
+     * Warnings that do not block the annual return (e.g. part-year employees)
+     * @param {array} annualRecords - Output of buildAnnualReturn
+     * @returns {array} Warning messages
+     */
+    function annualReturnWarnings(annualRecords) {
+      return annualRecords
+        .filter((record) => record.months !== 12)
+        .map(
+          (record) =>
+            `${record.employeeName || record.employeeId}: ${
+              record.months
+            } of 12 months filed`
+        );
+    }
+
+    /**
+     * Employer details block for printable documents
+     * @param {object} employer - name, tin, state
+     * @param {string} periodLabel - "Month: 2026-01" or "Year: 2026"
+     * @returns {string} HTML
+     */
+    function employerMetaHtml(employer, periodLabel) {
+      const escape = PrintUtils.escapeHtml;
+      return `<div class="meta">
+      <div><strong>Employer:</strong> ${escape(employer.name)}</div>
+      <div><strong>Employer TIN:</strong> ${escape(employer.tin)}</div>
+      <div><strong>Revenue Service:</strong> ${escape(
+        STATE_REVENUE_SERVICES[employer.state] || employer.state
+      )}</div>
+      <div><strong>${escape(periodLabel)}</strong></div>
+    </div>`;
+    }
+
+    /**
+     * Printable monthly remittance schedule
+     * @param {array} records - Monthly schedule records
+     * @param {object} employer - name, tin, state
+     * @param {string} month - Pay month as YYYY-MM
+     * @returns {string} Body HTML
+     */
+    function monthlyScheduleHtml(records, employer, month) {
+      const rows = monthlyScheduleRows(records);
+      return (
+        "<h1>Monthly PAYE Remittance Schedule</h1>" +
+        employerMetaHtml(employer, `Month: ${month}`) +
+        PrintUtils.buildTable(rows[0], rows.slice(1), {
+          amountColumns: [5, 6, 7, 8, 9, 10],
+          totalRow: true,
+        })
+      );
+    }
+
+    /**
+     * Printable Form H1 annual return
+     * @param {array} annualRecords - Output of buildAnnualReturn
+     * @param {object} employer - name, tin, state
+     * @param {string} year - Tax year (YYYY)
+     * @returns {string} Body HTML
+     */
+    function annualReturnHtml(annualRecords, employer, year) {
+      const rows = annualReturnRows(annualRecords);
+      return (
+        "<h1>Form H1 - Employer's Annual Declaration and Certificate</h1>" +
+        employerMetaHtml(employer, `Year of Assessment: ${year}`) +
+        PrintUtils.buildTable(rows[0], rows.slice(1), {
+          amountColumns: [5, 6, 7, 8, 9, 10],
+          totalRow: true,
+        }) +
+        "<p>I certify that the above particulars are correct and that tax has " +
+        "been deducted and remitted for every employee listed.</p>" +
+        "<p>Signature: ______________________ &nbsp; Date: ____________</p>"
+      );
+    }
+
+    /* ---------- Page wiring (calculator page only) ---------- */
+
+    let annualSourceRecords = [];
+
+    /**
+     * Read the employer details from the filing form
+     * @returns {object} name, tin, state
+     */
+    function getEmployer() {
+      return {
+        name: document.getElementById("employerName").value.trim(),
+        tin: document.getElementById("employerTin").value.trim(),
+        state: document.getElementById("employerState").value,
+      };
+    }
+
+    /**
+     * Show validation issues (or clear them)
+     * @param {array} messages - Messages to list
+     * @param {string} [level] - "danger" blocks export, "warning" does not
+     */
+    function showIssues(messages, level = "danger") {
+      const list = document.getElementById("payeFilingIssues");
+      list.innerHTML = "";
+      list.className = messages.length ? `alert alert-${level} mt-3` : "d-none";
+
+      messages.forEach((message) => {
+        const item = document.createElement("div");
+        item.textContent = message;
+        list.appendChild(item);
+      });
+    }
+
+    /**
+     * Issues that block export, including missing employer details
+     * @param {array} records - Records being exported
+     * @returns {array} Messages
+     */
+    function exportIssues(records) {
+      const employer = getEmployer();
+      const messages = [];
+      if (!employer.name) messages.push("Employer name is required.");
+      if (!employer.tin) messages.push("Employer TIN is required.");
+      return messages.concat(
+        validateRecords(records).map((issue) => issue.message)
+      );
+    }
+
+    /**
+     * Current month's records from the bulk payroll run
+     * @returns {array} Monthly schedule records
+     */
+    function currentMonthlyRecords() {
+      const month = document.getElementById("filingMonth").value;
+      const results = window.BulkPayroll ? window.BulkPayroll.getResults() : [];
+      return buildMonthlyRecords(results, month);
+    }
+
+    /**
+     * Export or print the monthly schedule
+     * @param {string} format - "csv" or "print"
+     */
+    function exportMonthlySchedule(format) {
+      const month = document.getElementById("filingMonth").value;
+      const records = currentMonthlyRecords();
+      const messages = exportIssues(records);
+      if (!month) messages.unshift("Choose the pay month.");
+
+      showIssues(messages);
+      if (messages.length) return;
+
+      if (format === "csv") {
+        CsvUtils.downloadFile(
+          `paye-schedule-${month}.csv`,
+          CsvUtils.toCSV(monthlyScheduleRows(records))
+        );
+      } else {
+        PrintUtils.openPrintWindow(
+          `PAYE Schedule ${month}`,
+          monthlyScheduleHtml(records, getEmployer(), month)
+        );
+      }
+    }
+
+    /**
+     * Export or print the Form H1 annual return
+     * @param {string} format - "csv" or "print"
+     */
+    function exportAnnualReturn(format) {
+      const year = document.getElementById("filingYear").value;
+      const annualRecords = buildAnnualReturn(annualSourceRecords, year);
+      const messages = exportIssues(annualRecords);
+      if (!/^\d{4}$/.test(year)) messages.unshift("Enter the tax year.");
+
+      if (messages.length) {
+        showIssues(messages);
+        return;
+      }
+      showIssues(annualReturnWarnings(annualRecords), "warning");
+
+      if (format === "csv") {
+        CsvUtils.downloadFile(
+          `form-h1-${year}.csv`,
+          CsvUtils.toCSV(annualReturnRows(annualRecords))
+        );
+      } else {
+        PrintUtils.openPrintWindow(
+          `Form H1 ${year}`,
+          annualReturnHtml(annualRecords, getEmployer(), year)
+        );
+      }
+    }
+
+    /**
+     * Load monthly schedule CSVs for the annual return
+     * @param {Event} e - Change event from the file input
+     */
+    function handleScheduleUpload(e) {
+      const files = Array.from(e.target.files);
+      const status = document.getElementById("annualReturnStatus");
+
+      Promise.all(
+        files.map((file) =>
+          file
+            .text()
+            .then((text) => parseScheduleRows(CsvUtils.parseCSV(text)))
+            .catch((error) => {
+              throw new Error(`${file.name}: ${error.message}`);
+            })
+        )
+      )
+        .then((schedules) => {
+          annualSourceRecords = [].concat(...schedules);
+          const months = new Set(annualSourceRecords.map((r) => r.month));
+          status.textContent = `${files.length} schedules loaded covering ${months.size} months.`;
+        })
+        .catch((error) => {
+          annualSourceRecords = [];
+          status.textContent = error.message;
+        });
+    }
+
+    /**
+     * Initialise the PAYE filing panel if it is on the page
+     */
+    function init() {
+      const panel = document.getElementById("payeFiling");
+      if (!panel) return;
+
+      const stateSelect = document.getElementById("employerState");
+      Object.entries(STATE_REVENUE_SERVICES).forEach(([code, name]) => {
+        stateSelect.appendChild(new Option(name, code));
+      });
+      // Lagos stays the default State
+      stateSelect.value = "LA";
+
+      // Default to this month and year
+      const today = new Date();
+      document.getElementById("filingMonth").value =
+        `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, "0")}`;
+      document.getElementById("filingYear").value = today.getFullYear() - 1;
+
+      document.addEventListener("bulkpayroll:updated", (e) => {
+        const count = e.detail.results.filter((row) => row.result).length;
+        document.getElementById("monthlyScheduleStatus").textContent = count
+          ? `${count} employees from the bulk payroll run are ready to file.`
+          : "Run a bulk payroll upload above to build the monthly schedule.";
+      });
+
+      document
+        .getElementById("monthlyScheduleCsv")
+        .addEventListener("click", () => exportMonthlySchedule("csv"));
+      document
+        .getElementById("monthlySchedulePrint")
+        .addEventListener("click", () => exportMonthlySchedule("print"));
+      document
+        .getElementById("annualReturnFiles")
+        .addEventListener("change", handleScheduleUpload);
+      document
+        .getElementById("annualReturnCsv")
+        .addEventListener("click", () => exportAnnualReturn("csv"));
+      document
+        .getElementById("annualReturnPrint")
+        .addEventListener("click", () => exportAnnualReturn("print"));
+    }
+
+    return {
+      STATE_REVENUE_SERVICES,
+      buildMonthlyRecords,
+      validateRecords,
+      monthlyScheduleRows,
+      parseScheduleRows,
+      buildAnnualReturn,
+      annualReturnRows,
+      annualReturnWarnings,
+      monthlyScheduleHtml,
+      annualReturnHtml,
+      init,
+    };
+  }
+);
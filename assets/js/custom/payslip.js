@@ -0,0 +1,345 @@
+/**
+ * Payslip Generator
+ * Turns a calculation result into an employee payslip (earnings, deductions,
+ * net pay) and prints one or many as a document that can be saved as PDF.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(
+      require("./money.js"),
+      require("./tax-core.js"),
+      require("./print.js")
+    );
+  } else {
+    root.Payslip = factory(root.MoneyUtils, root.TaxCore, root.PrintUtils);
+    document.addEventListener("DOMContentLoaded", root.Payslip.init);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (MoneyUtils, TaxCore, PrintUtils) {
+    "use strict";
+
+    // Payslip line labels for the salary object fields
+    const FIELD_LABELS = {
+      basicSalary: "Basic Salary",
+      housingAllowance: "Housing Allowance",
+      transportAllowance: "Transport Allowance",
+      leaveAllowance: "Leave Allowance",
+      mealsAllowance: "Meals Allowance",
+      energyAllowance: "Energy Allowance",
+      otherAllowances: "Other Allowances",
+      nhfContribution: "National Housing Fund",
+      nhisContribution: "NHIS",
+      voluntaryPension: "Voluntary Pension",
+      mortgageInterest: "Mortgage Interest",
+      lifeInsurance: "Life Insurance Premium",
+      tempDisabilityInsurance: "Temporary Disability Insurance",
+      permDisabilityInsurance: "Permanent Disability Insurance",
+      rentPaid: "Rent",
+    };
+
+    // Allowed against tax but paid by the employee, not withheld from pay
+    const RELIEF_FIELDS = ["rentPaid", "mortgageInterest"];
+
+    // Styles added to the shared print styles
+    const PAYSLIP_STYLES = `
+    .payslip { border: 1px solid #d0d5dd; padding: 16px; margin-bottom: 24px; }
+    .payslip-header { display: flex; justify-content: space-between; border-bottom: 2px solid #2271b6; padding-bottom: 8px; margin-bottom: 12px; }
+    .payslip-columns { display: flex; gap: 16px; }
+    .payslip-columns > div { flex: 1; }
+    .payslip-reliefs { font-size: 11px; color: #475467; margin-top: 8px; }
+    .net-pay { font-size: 16px; font-weight: 700; text-align: right; color: #2271b6; }
+  `;
+
+    /**
+     * Build the payslip lines for one employee and pay period
+     * Amounts come from the month's share of the year (TaxCore.getPayMonth), so
+     * a year of payslips adds up exactly to the annual figures.
+     * @param {object} options - company, employee, period (YYYY-MM) and result (TaxCore.calculatePayroll)
+     * @returns {object} Payslip with earnings, deductions, tax reliefs and totals (monthly)
+     */
+    function buildPayslip({
+      company = {},
+      employee = {},
+      period = "",
+      result,
+    }) {
+      const { inputs } = result;
+      const regime = TaxCore.getTaxRegime(result.regime);
+      const payMonth = TaxCore.getPayMonth(
+        result,
+        Number.parseInt(String(period).slice(5, 7), 10)
+      );
+
+      const earnings = TaxCore.EARNING_FIELDS.filter(
+        (field) => field === "basicSalary" || inputs[field] > 0
+      ).map((field) => ({
+        label: FIELD_LABELS[field],
+        amount: payMonth.earnings[field],
+      }));
+
+      // Amounts withheld from pay: pension, PAYE, NHF, NHIS, voluntary
+      // pension and insurances
+      const deductionFields = TaxCore.DEDUCTION_FIELDS.filter(
+        (field) =>
+          !RELIEF_FIELDS.includes(field) &&
+          result.allowableDeductions[field] > 0
+      );
+
+      const deductions = [
+        { label: "Pension (Employee)", amount: payMonth.pension },
+        { label: "PAYE Tax", amount: payMonth.tax },
+      ].concat(
+        deductionFields.map((field) => ({
+          label: FIELD_LABELS[field],
+          amount: payMonth.allowableDeductions[field],
+        }))
+      );
+
+      // Rent and mortgage interest only lower the tax (rent is a relief of
+      // its own where the regime has rent relief)
+      const reliefs = RELIEF_FIELDS.filter(
+        (field) => result.allowableDeductions[field] > 0
+      ).map((field) => ({
+        label: FIELD_LABELS[field],
+        amount: payMonth.allowableDeductions[field],
+      }));
+      if (result.reliefs.rent > 0) {
+        const { monthsWorked, monthsCovered } = result.period;
+        const month = result.schedule.findIndex(
+          (entry) => entry.month === payMonth.month
+        );
+        reliefs.push({
+          label: "Rent Relief",
+          amount: MoneyUtils.fromKobo(
+            MoneyUtils.splitKobo(
+              MoneyUtils.toKobo(result.reliefs.rent),
+              monthsCovered
+            ).slice(-monthsWorked)[month]
+          ),
+        });
+      }
+
+      const totalKobo = (lines) =>
+        MoneyUtils.sumKobo(lines.map((line) => MoneyUtils.toKobo(line.amount)));
+      const earningsKobo = totalKobo(earnings);
+      const deductionsKobo = totalKobo(deductions);
+
+      return {
+        company,
+        employee,
+        period,
+        regime: regime.label,
+        earnings,
+        deductions,
+        reliefs,
+        totalEarnings: MoneyUtils.fromKobo(earningsKobo),
+        totalDeductions: MoneyUtils.fromKobo(deductionsKobo),
+        netPay: MoneyUtils.fromKobo(earningsKobo - deductionsKobo),
+      };
+    }
+
+    /**
+     * Printable HTML for one payslip
+     * @param {object} payslip - Output of buildPayslip
+     * @param {function} formatMoney - Currency formatter (formatCurrency on the page)
+     * @returns {string} Payslip HTML
+     */
+    function payslipHtml(payslip, formatMoney) {
+      const escape = PrintUtils.escapeHtml;
+      const lines = (items) =>
+        items.map((line) => [line.label, formatMoney(line.amount)]);
+      const reliefNote = payslip.reliefs.length
+        ? `<div class="payslip-reliefs"><strong>Tax reliefs</strong> (not deducted from pay): ${escape(
+            payslip.reliefs
+              .map((line) => `${line.label} ${formatMoney(line.amount)}`)
+              .join("; ")
+          )}</div>`
+        : "";
+
+      return `<div class="payslip">
+      <div class="payslip-header">
+        <div>
+          <h1>${escape(payslip.company.name || "Payslip")}</h1>
+          <div>${escape(payslip.company.address || "")}</div>
+        </div>
+        <div>
+          <div><strong>Payslip</strong></div>
+          <div>Pay Period: ${escape(payslip.period)}</div>
+        </div>
+      </div>
+      <div class="meta">
+        <div><strong>Employee:</strong> ${escape(payslip.employee.name)}</div>
+        <div><strong>Employee ID:</strong> ${escape(payslip.employee.id)}</div>
+        <div><strong>TIN:</strong> ${escape(payslip.employee.tin)}</div>
+        <div><strong>Tax Basis:</strong> ${escape(payslip.regime)}</div>
+      </div>
+      <div class="payslip-columns">
+        <div>
+          <h2>Earnings</h2>
+          ${PrintUtils.buildTable(
+            ["Item", "Amount"],
+            lines(payslip.earnings).concat([
+              ["Total Earnings", formatMoney(payslip.totalEarnings)],
+            ]),
+            { amountColumns: [1], totalRow: true }
+          )}
+        </div>
+        <div>
+          <h2>Deductions</h2>
+          ${PrintUtils.buildTable(
+            ["Item", "Amount"],
+            lines(payslip.deductions).concat([
+              ["Total Deductions", formatMoney(payslip.totalDeductions)],
+            ]),
+            { amountColumns: [1], totalRow: true }
+          )}
+        </div>
+      </div>
+      ${reliefNote}
+      <div class="net-pay">Net Pay: ${escape(formatMoney(payslip.netPay))}</div>
+    </div>`;
+    }
+
+    /**
+     * Printable HTML for several payslips, one per page
+     * @param {array} payslips - Outputs of buildPayslip
+     * @param {function} formatMoney - Currency formatter
+     * @returns {string} Document body HTML
+     */
+    function payslipsHtml(payslips, formatMoney) {
+      return payslips
+        .map(
+          (payslip, index) =>
+            payslipHtml(payslip, formatMoney) +
+            (index < payslips.length - 1
+              ? '<div class="page-break"></div>'
+              : "")
+        )
+        .join("");
+    }
+
+    /* ---------- Page wiring (calculator page only) ---------- */
+
+    let lastCalculation = null;
+
+    /**
+     * Read the company and pay period fields
+     * @returns {object} company and period
+     */
+    function getPayslipHeader() {
+      return {
+        company: {
+          name: document.getElementById("payslipCompany").value.trim(),
+          address: document.getElementById("payslipAddress").value.trim(),
+        },
+        period: document.getElementById("payslipPeriod").value,
+      };
+    }
+
+    /**
+     * Show a status message under the payslip buttons
+     * @param {string} message - Message text
+     */
+    function setStatus(message) {
+      document.getElementById("payslipStatus").textContent = message;
+    }
+
+    /**
+     * Print the payslip for the single-employee calculation
+     */
+    function printSinglePayslip() {
+      if (!lastCalculation) {
+        setStatus("Calculate a salary above first.");
+        return;
+      }
+
+      const payslip = buildPayslip(
+        Object.assign(getPayslipHeader(), {
+          employee: {
+            name: document.getElementById("payslipEmployeeName").value.trim(),
+            id: document.getElementById("payslipEmployeeId").value.trim(),
+            tin: document.getElementById("payslipEmployeeTin").value.trim(),
+          },
+          result: lastCalculation,
+        })
+      );
+
+      setStatus("");
+      PrintUtils.openPrintWindow(
+        `Payslip ${payslip.period}`,
+        payslipHtml(payslip, formatCurrency),
+        PAYSLIP_STYLES
+      );
+    }
+
+    /**
+     * Print one payslip per employee from the bulk payroll run
+     */
+    function printBatchPayslips() {
+      const results = window.BulkPayroll ? window.BulkPayroll.getResults() : [];
+      const header = getPayslipHeader();
+      const payslips = results
+        .filter((row) => row.result)
+        .map((row) =>
+          buildPayslip(
+            Object.assign({}, header, {
+              employee: {
+                name: row.employeeName,
+                id: row.employeeId,
+                tin: row.tin,
+              },
+              result: row.result,
+            })
+          )
+        );
+
+      if (!payslips.length) {
+        setStatus("Upload a bulk payroll file above first.");
+        return;
+      }
+
+      setStatus(`${payslips.length} payslips generated.`);
+      PrintUtils.openPrintWindow(
+        `Payslips ${header.period}`,
+        payslipsHtml(payslips, formatCurrency),
+        PAYSLIP_STYLES
+      );
+    }
+
+    /**
+     * Initialise the payslip panel if it is on the page
+     */
+    function init() {
+      const panel = document.getElementById("payslipGenerator");
+      if (!panel) return;
+
+      const today = new Date();
+      document.getElementById("payslipPeriod").value =
+        `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, "0")}`;
+
+      document.addEventListener("taxcalculator:calculated", (e) => {
+        lastCalculation = e.detail.results;
+      });
+      document.addEventListener("bulkpayroll:updated", (e) => {
+        const count = e.detail.results.filter((row) => row.result).length;
+        document.getElementById("payslipBatch").disabled = !count;
+      });
+
+      document
+        .getElementById("payslipSingle")
+        .addEventListener("click", printSinglePayslip);
+      document
+        .getElementById("payslipBatch")
+        .addEventListener("click", printBatchPayslips);
+    }
+
+    return {
+      FIELD_LABELS,
+      buildPayslip,
+      payslipHtml,
+      payslipsHtml,
+      init,
+    };
+  }
+);
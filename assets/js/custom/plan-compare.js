@@ -0,0 +1,326 @@
+/**
+ * Plan Comparison
+ * Builds the feature comparison matrix on the pricing page from the plan
+ * catalogue (see pricing.js), so it always matches the tier cards. Features
+ * can be searched, narrowed to the ones that differ between plans and viewed
+ * with one plan highlighted; on small screens the matrix becomes an accordion
+ * with one panel per plan.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./pricing.js"));
+  } else {
+    root.PlanCompare = factory(root.Pricing);
+    document.addEventListener("DOMContentLoaded", root.PlanCompare.init);
+  }
+})(typeof self !== "undefined" ? self : this, function (Pricing) {
+  "use strict";
+
+  /**
+   * One row per feature with whether each plan includes it
+   * @param {object} catalogue - Plan catalogue
+   * @returns {array} Rows of id, label, from (first plan with it) and
+   *   included (true/false by plan id)
+   */
+  function buildRows(catalogue) {
+    // Plans are listed cheapest first and each includes the ones before it
+    const rank = (planId) =>
+      catalogue.plans.findIndex((plan) => plan.id === planId);
+    return catalogue.features.map((feature) => ({
+      id: feature.id,
+      label: feature.label,
+      from: feature.from,
+      included: Object.fromEntries(
+        catalogue.plans.map((plan, index) => [
+          plan.id,
+          rank(feature.from) <= index,
+        ])
+      ),
+    }));
+  }
+
+  /**
+   * Whether plans differ on a feature
+   * @param {object} row - Matrix row
+   * @returns {boolean} True when some plans have it and some do not
+   */
+  function isDifference(row) {
+    return new Set(Object.values(row.included)).size > 1;
+  }
+
+  /**
+   * Whether a feature matches a search: every word appears in its label
+   * @param {object} row - Matrix row
+   * @param {string} query - Search text
+   * @returns {boolean} True on a match (always, for an empty search)
+   */
+  function matches(row, query) {
+    const label = row.label.toLowerCase();
+    return String(query || "")
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean)
+      .every((word) => label.includes(word));
+  }
+
+  /**
+   * Rows left after the search and the differences filter
+   * @param {array} rows - Matrix rows
+   * @param {object} [filters] - query and differencesOnly
+   * @returns {array} Matching rows, in catalogue order
+   */
+  function filterRows(rows, { query = "", differencesOnly = false } = {}) {
+    return rows.filter(
+      (row) => matches(row, query) && (!differencesOnly || isDifference(row))
+    );
+  }
+
+  /**
+   * Heading for the features a plan adds
+   * @param {object} catalogue - Plan catalogue
+   * @param {string} planId - Plan the features first appear in
+   * @returns {string} Heading
+   */
+  function groupLabel(catalogue, planId) {
+    const index = catalogue.plans.findIndex((plan) => plan.id === planId);
+    return index === 0
+      ? "Included in every plan"
+      : `${catalogue.plans[index].name} and above`;
+  }
+
+  /* ---------- Page wiring (pricing page only) ---------- */
+
+  let table = null;
+  let rows = [];
+
+  /**
+   * Create an element with a class and text
+   * @param {string} tag - Tag name
+   * @param {string} [className] - Classes
+   * @param {string} [text] - Text content
+   * @returns {HTMLElement} Element
+   */
+  function create(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Tick or cross for a feature on a plan, with text for screen readers
+   * @param {boolean} included - Whether the plan has the feature
+   * @returns {array} Icon and hidden label
+   */
+  function mark(included) {
+    const icon = create(
+      "i",
+      included
+        ? "fa fa-check-circle text-success-dark display-1-5"
+        : "fa fa-times-circle text-danger-dark display-1-5"
+    );
+    icon.setAttribute("aria-hidden", "true");
+    return [
+      icon,
+      create("span", "visually-hidden", included ? "Included" : "Not included"),
+    ];
+  }
+
+  /**
+   * Header, feature groups and rows of the desktop table
+   * @param {object} catalogue - Plan catalogue
+   */
+  function renderTable(catalogue) {
+    const head = create("tr");
+    head.appendChild(create("th", "subtitle text-muted", "Features")).scope =
+      "col";
+    catalogue.plans.forEach((plan) => {
+      const th = head.appendChild(
+        create("th", "text-center subtitle text-muted", plan.name)
+      );
+      th.scope = "col";
+      th.dataset.plan = plan.id;
+    });
+    table.tHead.replaceChildren(head);
+
+    table.tBodies[0].replaceChildren(
+      ...rows.flatMap((row, index) => {
+        const cells = [];
+        if (!index || rows[index - 1].from !== row.from) {
+          const group = create("tr", "comparison-table__group");
+          group.dataset.group = row.from;
+          const heading = group.appendChild(
+            create("th", "bodytext2", groupLabel(catalogue, row.from))
+          );
+          heading.scope = "rowgroup";
+          heading.colSpan = catalogue.plans.length + 1;
+          cells.push(group);
+        }
+
+        const tr = create("tr");
+        tr.dataset.feature = row.id;
+        tr.dataset.group = row.from;
+        tr.appendChild(create("th", "bodytext2 fw-normal", row.label)).scope =
+          "row";
+        catalogue.plans.forEach((plan) => {
+          const td = tr.appendChild(create("td", "text-center"));
+          td.dataset.plan = plan.id;
+          td.append(...mark(row.included[plan.id]));
+        });
+        cells.push(tr);
+        return cells;
+      })
+    );
+  }
+
+  /**
+   * One accordion panel per plan for small screens
+   * @param {object} catalogue - Plan catalogue
+   */
+  function renderAccordion(catalogue) {
+    document.getElementById("compareAccordion").replaceChildren(
+      ...catalogue.plans.map((plan) => {
+        const item = create("div", "accordion-item border-0");
+        item.dataset.plan = plan.id;
+
+        const header = item.appendChild(
+          create("h3", "accordion-header subheading")
+        );
+        header.id = `compareHeading-${plan.id}`;
+        const button = header.appendChild(
+          create("button", "accordion-button collapsed fw-bold", plan.name)
+        );
+        button.type = "button";
+        button.dataset.bsToggle = "collapse";
+        button.dataset.bsTarget = `#compareTier-${plan.id}`;
+        button.setAttribute("aria-expanded", "false");
+        button.setAttribute("aria-controls", `compareTier-${plan.id}`);
+        button.appendChild(
+          create("span", "compare-accordion__count ms-auto me-3 fw-normal")
+        );
+
+        const panel = item.appendChild(
+          create("div", "accordion-collapse collapse")
+        );
+        panel.id = `compareTier-${plan.id}`;
+        panel.setAttribute("aria-labelledby", header.id);
+        const list = panel.appendChild(
+          create("ul", "accordion-body list-unstyled bodytext1 mb-0")
+        );
+        rows.forEach((row) => {
+          const li = list.appendChild(
+            create("li", "d-flex align-items-center gap-3 mb-3")
+          );
+          li.dataset.feature = row.id;
+          li.append(...mark(row.included[plan.id]), row.label);
+        });
+        return item;
+      })
+    );
+  }
+
+  /**
+   * Open an accordion panel (as Bootstrap's collapse would)
+   * @param {HTMLElement} item - Accordion item
+   */
+  function expand(item) {
+    item.querySelector(".accordion-collapse").classList.add("show");
+    const button = item.querySelector(".accordion-button");
+    button.classList.remove("collapsed");
+    button.setAttribute("aria-expanded", "true");
+  }
+
+  /**
+   * Apply the search, differences filter and highlight
+   * @param {boolean} [openHighlighted] - Open the highlighted plan's panel
+   */
+  function update(openHighlighted) {
+    const query = document.getElementById("compareSearch").value.trim();
+    const visible = new Set(
+      filterRows(rows, {
+        query,
+        differencesOnly: document.getElementById("compareDifferences").checked,
+      }).map((row) => row.id)
+    );
+    const highlight = document.getElementById("compareHighlight").value;
+
+    document
+      .querySelectorAll(
+        "#compareTable [data-feature], #compareAccordion [data-feature]"
+      )
+      .forEach((element) => {
+        element.hidden = !visible.has(element.dataset.feature);
+      });
+    table.querySelectorAll(".comparison-table__group").forEach((group) => {
+      group.hidden = !rows.some(
+        (row) => row.from === group.dataset.group && visible.has(row.id)
+      );
+    });
+
+    table.querySelectorAll("[data-plan]").forEach((cell) => {
+      cell.classList.toggle("is-highlighted", cell.dataset.plan === highlight);
+    });
+    document
+      .querySelectorAll("#compareAccordion .accordion-item")
+      .forEach((item) => {
+        const plan = item.dataset.plan;
+        const count = rows.filter(
+          (row) => visible.has(row.id) && row.included[plan]
+        ).length;
+        item.querySelector(".compare-accordion__count").textContent =
+          `${count} of ${visible.size} features`;
+        item.classList.toggle("is-highlighted", plan === highlight);
+        if (openHighlighted && plan === highlight) expand(item);
+      });
+
+    let status = `Showing ${visible.size} of ${rows.length} features.`;
+    if (!visible.size) {
+      status = query
+        ? `No features match "${query}".`
+        : "Every plan has the same features.";
+    }
+    document.getElementById("compareStatus").textContent = status;
+  }
+
+  /**
+   * Initialise the comparison if it is on the page
+   */
+  function init() {
+    table = document.getElementById("compareTable");
+    if (!table) return;
+
+    Pricing.loadCatalogue()
+      .then((catalogue) => {
+        rows = buildRows(catalogue);
+        const select = document.getElementById("compareHighlight");
+        catalogue.plans.forEach((plan) => {
+          select.add(new Option(plan.name, plan.id));
+        });
+        renderTable(catalogue);
+        renderAccordion(catalogue);
+        update();
+
+        const controls = document.getElementById("compareControls");
+        controls.addEventListener("input", () => update());
+        select.addEventListener("change", () => update(true));
+        controls.addEventListener("submit", (e) => e.preventDefault());
+      })
+      .catch(() => {
+        const message = create(
+          "p",
+          "alert alert-warning mb-0",
+          "The plan comparison could not be loaded. Please refresh the page."
+        );
+        table.closest(".col-12").replaceChildren(message);
+      });
+  }
+
+  return {
+    buildRows,
+    isDifference,
+    matches,
+    filterRows,
+    groupLabel,
+    init,
+  };
+});
@@ -0,0 +1,574 @@
+/**
+ * Subscription Pricing
+ * Loads the plan catalogue (tiers, prices per currency and billing cycle,
+ * minimum seats and features) from assets/data/plans.json, prices a number of
+ * seats on each plan, finds the cheapest plan covering a set of features and
+ * builds the schema.org offers for the pricing pages. The page wiring renders
+ * the tier cards and the price estimator from the same catalogue.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(
+      require("./money.js"),
+      require("../../data/plans.json")
+    );
+  } else {
+    root.Pricing = factory(root.MoneyUtils);
+    document.addEventListener("DOMContentLoaded", root.Pricing.init);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (MoneyUtils, bundledCatalogue) {
+    "use strict";
+
+    // Catalogue fetched by the pricing pages
+    const CATALOGUE_URL = "./assets/data/plans.json";
+
+    // Prices are per user per month, paid yearly or month by month
+    const BILLING_CYCLES = ["annual", "monthly"];
+
+    const ID_PATTERN = /^[a-z0-9-]+$/;
+
+    let catalogue = null;
+    let loading = null;
+
+    /**
+     * Check a catalogue: plans, their prices in every currency and features
+     * @param {object} data - Parsed catalogue
+     * @returns {array} Error messages (empty when valid)
+     */
+    function validateCatalogue(data) {
+      if (!data || typeof data !== "object") return ["plans must be an object"];
+      const errors = [];
+      const currencies = Array.isArray(data.currencies) ? data.currencies : [];
+      const plans = Array.isArray(data.plans) ? data.plans : [];
+      const features = Array.isArray(data.features) ? data.features : [];
+
+      if (!currencies.length) errors.push("plans.currencies cannot be empty");
+      currencies.forEach((currency, index) => {
+        if (!currency || !/^[A-Z]{3}$/.test(currency.code)) {
+          errors.push(`plans.currencies[${index}].code must be an ISO code`);
+        }
+      });
+
+      if (!plans.length) errors.push("plans.plans cannot be empty");
+      const planIds = [];
+      plans.forEach((plan, index) => {
+        const path = `plans.plans[${index}] (${plan && plan.id})`;
+        if (!plan || !ID_PATTERN.test(plan.id)) {
+          errors.push(`plans.plans[${index}].id must be a lower-case id`);
+          return;
+        }
+        if (planIds.includes(plan.id)) {
+          errors.push(`${path}: id is used more than once`);
+        }
+        planIds.push(plan.id);
+        if (!plan.name) errors.push(`${path}: name is required`);
+        if (!Number.isInteger(plan.minSeats) || plan.minSeats < 1) {
+          errors.push(`${path}: minSeats must be a whole number of at least 1`);
+        }
+        if (!plan.cta || !plan.cta.label || !plan.cta.url) {
+          errors.push(`${path}: cta needs a label and url`);
+        }
+        currencies.forEach(({ code }) => {
+          const prices = (plan.prices || {})[code];
+          BILLING_CYCLES.forEach((cycle) => {
+            const price = prices && prices[cycle];
+            if (typeof price !== "number" || !(price >= 0)) {
+              errors.push(`${path}: prices.${code}.${cycle} must be a number`);
+            }
+          });
+          if (prices && prices.annual > prices.monthly) {
+            errors.push(
+              `${path}: ${code} annual billing costs more than monthly`
+            );
+          }
+        });
+      });
+
+      if (!features.length) errors.push("plans.features cannot be empty");
+      const featureIds = new Set();
+      features.forEach((feature, index) => {
+        const path = `plans.features[${index}] (${feature && feature.id})`;
+        if (!feature || !ID_PATTERN.test(feature.id)) {
+          errors.push(`plans.features[${index}].id must be a lower-case id`);
+          return;
+        }
+        if (featureIds.has(feature.id)) {
+          errors.push(`${path}: id is used more than once`);
+        }
+        featureIds.add(feature.id);
+        if (!feature.label) errors.push(`${path}: label is required`);
+        if (!planIds.includes(feature.from)) {
+          errors.push(`${path}: from must be a plan id`);
+        }
+      });
+
+      return errors;
+    }
+
+    /**
+     * Validate a catalogue and make it the one in use
+     * @param {object} data - Parsed catalogue
+     * @returns {object} The catalogue
+     * @throws {Error} Listing every problem when the catalogue is invalid
+     */
+    function installCatalogue(data) {
+      const errors = validateCatalogue(data);
+      if (errors.length) {
+        throw new Error(`Invalid plan catalogue:\n${errors.join("\n")}`);
+      }
+      catalogue = data;
+      return catalogue;
+    }
+
+    /**
+     * Fetch and install the catalogue (browser)
+     * @param {string} [url] - Catalogue location
+     * @returns {Promise} Resolves with the catalogue
+     */
+    function loadCatalogue(url = CATALOGUE_URL) {
+      if (!loading) {
+        loading = fetch(url)
+          .then((response) => {
+            if (!response.ok) {
+              throw new Error(`Could not load ${url} (${response.status})`);
+            }
+            return response.json();
+          })
+          .then(installCatalogue);
+        loading.catch(() => {
+          loading = null;
+        });
+      }
+      return loading;
+    }
+
+    /**
+     * The catalogue in use
+     * @returns {object} Catalogue
+     * @throws {Error} When none has been loaded
+     */
+    function getCatalogue() {
+      if (!catalogue) throw new Error("Plan catalogue has not been loaded");
+      return catalogue;
+    }
+
+    /**
+     * Look up a plan by its id
+     * @param {string} id - Plan id (e.g. "gold")
+     * @returns {object|undefined} Plan
+     */
+    function getPlan(id) {
+      return getCatalogue().plans.find((plan) => plan.id === id);
+    }
+
+    /**
+     * Features on a plan: its own and those of every plan before it
+     * @param {string} id - Plan id
+     * @returns {array} Feature ids
+     */
+    function planFeatures(id) {
+      const plans = getCatalogue().plans.map((plan) => plan.id);
+      const rank = plans.indexOf(id);
+      if (rank === -1) return [];
+      return getCatalogue()
+        .features.filter((feature) => plans.indexOf(feature.from) <= rank)
+        .map((feature) => feature.id);
+    }
+
+    /**
+     * Price a number of seats on a plan
+     * Seats below the plan minimum are billed at the minimum. The saving is
+     * what annual billing saves over a year against paying month by month.
+     * @param {string} id - Plan id
+     * @param {object} [options] - seats, billing (annual or monthly) and
+     *   currency code
+     * @returns {object} Quote with amounts in minor units (pence or kobo)
+     * @throws {Error} For an unknown plan, billing cycle or currency
+     */
+    function quote(id, { seats = 1, billing = "annual", currency } = {}) {
+      const plan = getPlan(id);
+      if (!plan) throw new Error(`Unknown plan "${id}"`);
+      if (!BILLING_CYCLES.includes(billing)) {
+        throw new Error(`Unknown billing cycle "${billing}"`);
+      }
+      const code = currency || getCatalogue().currencies[0].code;
+      const prices = plan.prices[code];
+      if (!prices) throw new Error(`No ${code} prices for ${plan.name}`);
+
+      const requested = Math.max(Math.floor(Number(seats)) || 0, 0);
+      const billedSeats = Math.max(requested, plan.minSeats);
+      const unitPrice = MoneyUtils.toKobo(prices[billing]);
+      const perMonth = unitPrice * billedSeats;
+      const saving =
+        (MoneyUtils.toKobo(prices.monthly) - MoneyUtils.toKobo(prices.annual)) *
+        billedSeats *
+        12;
+
+      return {
+        plan: plan.id,
+        name: plan.name,
+        currency: code,
+        billing,
+        seats: requested,
+        billedSeats,
+        unitPrice,
+        perMonth,
+        perYear: perMonth * 12,
+        saving,
+      };
+    }
+
+    /**
+     * The cheapest plan that includes every feature asked for
+     * @param {array} featureIds - Feature ids
+     * @param {object} [options] - seats, billing and currency, as for quote
+     * @returns {object|null} Quote for the plan, or null when no plan has
+     *   them all
+     */
+    function cheapestPlanFor(featureIds, options) {
+      return getCatalogue()
+        .plans.filter((plan) => {
+          const included = planFeatures(plan.id);
+          return featureIds.every((feature) => included.includes(feature));
+        })
+        .map((plan) => quote(plan.id, options))
+        .reduce(
+          (best, candidate) =>
+            !best || candidate.perYear < best.perYear ? candidate : best,
+          null
+        );
+    }
+
+    /**
+     * Format an amount in minor units, dropping the decimals of whole amounts
+     * @param {number} minor - Amount in pence or kobo
+     * @param {string} currency - Currency code
+     * @returns {string} Formatted price (e.g. "£4.99", "₦4,999")
+     */
+    function formatPrice(minor, currency) {
+      const settings = getCatalogue().currencies.find(
+        (item) => item.code === currency
+      );
+      const digits = minor % 100 === 0 ? 0 : 2;
+      return new Intl.NumberFormat(settings ? settings.locale : "en-GB", {
+        style: "currency",
+        currency,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+      }).format(MoneyUtils.fromKobo(minor));
+    }
+
+    /**
+     * Price with its unit, as the schema.org offer needs it
+     * @param {number} price - Price per user per month
+     * @param {string} currency - Currency code
+     * @param {string} billing - Billing cycle
+     * @param {number} minSeats - Plan minimum
+     * @returns {object} UnitPriceSpecification
+     */
+    function unitPriceSpecification(price, currency, billing, minSeats) {
+      return {
+        "@type": "UnitPriceSpecification",
+        price: price.toFixed(2),
+        priceCurrency: currency,
+        unitText: "per user per month",
+        billingDuration: billing === "annual" ? "P1Y" : "P1M",
+        eligibleQuantity: {
+          "@type": "QuantitativeValue",
+          minValue: minSeats,
+          unitText: "users",
+        },
+      };
+    }
+
+    /**
+     * schema.org offers for every plan in every currency
+     * The headline price is the annual-billing price per user per month;
+     * both billing cycles are listed as price specifications.
+     * @returns {array} Offer objects for the SoftwareApplication block
+     */
+    function offersJsonLd() {
+      const { plans, currencies } = getCatalogue();
+      return plans.flatMap((plan) =>
+        currencies.map(({ code }) => ({
+          "@type": "Offer",
+          name: plan.name,
+          price: plan.prices[code].annual.toFixed(2),
+          priceCurrency: code,
+          url: plan.cta.url,
+          priceSpecification: BILLING_CYCLES.map((billing) =>
+            unitPriceSpecification(
+              plan.prices[code][billing],
+              code,
+              billing,
+              plan.minSeats
+            )
+          ),
+        }))
+      );
+    }
+
+    /* ---------- Page wiring (pricing pages only) ---------- */
+
+    let estimator = null;
+
+    /**
+     * Create an element with a class and text
+     * @param {string} tag - Tag name
+     * @param {string} [className] - Classes
+     * @param {string} [text] - Text content
+     * @returns {HTMLElement} Element
+     */
+    function create(tag, className, text) {
+      const element = document.createElement(tag);
+      if (className) element.className = className;
+      if (text !== undefined) element.textContent = text;
+      return element;
+    }
+
+    /**
+     * Seats, billing cycle and currency chosen in the estimator
+     * @returns {object} seats, billing and currency
+     */
+    function readOptions() {
+      const checked = (name) =>
+        estimator.querySelector(`input[name="${name}"]:checked`).value;
+      return {
+        seats: Number(document.getElementById("pricingSeats").value),
+        billing: checked("pricingBilling"),
+        currency: checked("pricingCurrency"),
+      };
+    }
+
+    /**
+     * Features ticked in the estimator
+     * @returns {array} Feature ids
+     */
+    function readFeatures() {
+      return Array.from(
+        estimator.querySelectorAll('input[name="pricingFeature"]:checked')
+      ).map((input) => input.value);
+    }
+
+    /**
+     * One tier card
+     * @param {object} plan - Plan
+     * @param {object} options - seats, billing and currency
+     * @param {boolean} recommended - Cheapest plan for the ticked features
+     * @returns {HTMLElement} Column holding the card
+     */
+    function renderCard(plan, options, recommended) {
+      const result = quote(plan.id, options);
+      const other = quote(plan.id, {
+        seats: options.seats,
+        currency: options.currency,
+        billing: options.billing === "annual" ? "monthly" : "annual",
+      });
+      const price = (amount) => formatPrice(amount, options.currency);
+
+      const column = create("div", "col-lg-3 col-md-6");
+      const card = column.appendChild(
+        create(
+          "div",
+          `card h-100 border-0 shadow-sm position-relative ${plan.cardClass}`
+        )
+      );
+      card.classList.toggle("is-recommended", recommended);
+      if (plan.badge) {
+        card.appendChild(create("div", "most-popular-badge", plan.badge));
+      }
+
+      const header = card.appendChild(
+        create(
+          "div",
+          "card-header text-center py-2 px-3 border-0 bg-transparent"
+        )
+      );
+      header.appendChild(create("h5", "subheadline2 mb-2 mt-4", plan.name));
+      header.appendChild(create("h2", "subheading2", price(result.unitPrice)));
+      const terms = header.appendChild(
+        create("ul", "text-start ps-4 bodytext1 mb-0 mt-3 fw-light")
+      );
+      terms.appendChild(
+        create(
+          "li",
+          "",
+          `Per user / month when billed ${options.billing === "annual" ? "annually" : "monthly"}`
+        )
+      );
+      terms.appendChild(create("li", "", `Minimum ${plan.minSeats} users`));
+      terms.appendChild(
+        create(
+          "li",
+          "",
+          `${price(other.unitPrice)} when billed ${other.billing === "annual" ? "annually" : "monthly"}`
+        )
+      );
+
+      const total = header.appendChild(create("p", "pricing-card__total"));
+      total.appendChild(
+        create(
+          "strong",
+          "",
+          options.billing === "annual"
+            ? `${price(result.perYear)} a year`
+            : `${price(result.perMonth)} a month`
+        )
+      );
+      total.append(` for ${result.billedSeats} users`);
+      if (result.saving > 0) {
+        header.appendChild(
+          create(
+            "p",
+            "pricing-card__saving",
+            options.billing === "annual"
+              ? `You save ${price(result.saving)} a year on annual billing`
+              : `Save ${price(result.saving)} a year with annual billing`
+          )
+        );
+      }
+
+      card.appendChild(create("hr", "short-divider"));
+
+      const body = card.appendChild(create("div", "card-body px-4 pt-0 pb-0"));
+      const list = body.appendChild(
+        create("ul", "list-unstyled bodytext1 mb-0")
+      );
+      const plans = getCatalogue().plans;
+      const previous = plans[plans.indexOf(plan) - 1];
+      const items = getCatalogue()
+        .features.filter((feature) => feature.from === plan.id)
+        .map((feature) => feature.label);
+      if (previous) items.unshift(`${previous.name} Plus`);
+      items.forEach((label, index) => {
+        const item = list.appendChild(
+          create(
+            "li",
+            `${index === items.length - 1 ? "mb-0" : "mb-3"} d-flex align-items-start`
+          )
+        );
+        item.appendChild(create("i", "bi bi-check2 text-primary me-3"));
+        item.append(label);
+      });
+
+      const footer = card.appendChild(
+        create("div", "card-footer bg-transparent border-0 px-4 pt-4 pb-4")
+      );
+      const link = footer.appendChild(
+        create("a", "btn btn-primary w-100", plan.cta.label)
+      );
+      link.href = plan.cta.url;
+      return column;
+    }
+
+    /**
+     * Tick boxes for every feature
+     */
+    function renderFeaturePicker() {
+      const picker = document.getElementById("pricingFeatures");
+      picker.replaceChildren(
+        ...getCatalogue().features.map((feature) => {
+          const wrapper = create("div", "form-check");
+          const input = wrapper.appendChild(
+            create("input", "form-check-input")
+          );
+          input.type = "checkbox";
+          input.name = "pricingFeature";
+          input.id = `pricingFeature-${feature.id}`;
+          input.value = feature.id;
+          const label = wrapper.appendChild(
+            create("label", "form-check-label", feature.label)
+          );
+          label.htmlFor = input.id;
+          return wrapper;
+        })
+      );
+    }
+
+    /**
+     * Re-price the cards and the cheapest-plan summary
+     */
+    function update() {
+      const options = readOptions();
+      const features = readFeatures();
+      const cheapest = features.length
+        ? cheapestPlanFor(features, options)
+        : null;
+
+      document
+        .getElementById("pricingCards")
+        .replaceChildren(
+          ...getCatalogue().plans.map((plan) =>
+            renderCard(plan, options, !!cheapest && cheapest.plan === plan.id)
+          )
+        );
+
+      const summary = document.getElementById("pricingCheapest");
+      if (!cheapest) {
+        summary.textContent =
+          "Tick the features you need to see the cheapest plan that covers them.";
+        return;
+      }
+      const price = (amount) => formatPrice(amount, options.currency);
+      summary.textContent =
+        `${cheapest.name} is the cheapest plan with the ${features.length} ` +
+        `feature${features.length === 1 ? "" : "s"} you picked: ` +
+        (options.billing === "annual"
+          ? `${price(cheapest.perYear)} a year`
+          : `${price(cheapest.perMonth)} a month`) +
+        ` for ${cheapest.billedSeats} users.`;
+    }
+
+    /**
+     * Initialise the estimator if it is on the page
+     */
+    function init() {
+      estimator = document.getElementById("pricingEstimator");
+      if (!estimator) return;
+
+      loadCatalogue()
+        .then(() => {
+          renderFeaturePicker();
+          update();
+          estimator.addEventListener("input", update);
+          estimator.addEventListener("change", update);
+          estimator.addEventListener("submit", (e) => e.preventDefault());
+        })
+        .catch(() => {
+          const message = create(
+            "p",
+            "alert alert-warning mb-0",
+            "Prices could not be loaded. Please refresh the page or "
+          );
+          const link = message.appendChild(
+            create("a", "", "see our pricing page")
+          );
+          link.href = "pricing.html";
+          message.append(".");
+          document.getElementById("pricingCards").replaceChildren(message);
+        });
+    }
+
+    if (bundledCatalogue) {
+      installCatalogue(bundledCatalogue);
+    }
+
+    return {
+      CATALOGUE_URL,
+      BILLING_CYCLES,
+      validateCatalogue,
+      installCatalogue,
+      loadCatalogue,
+      getCatalogue,
+      getPlan,
+      planFeatures,
+      quote,
+      cheapestPlanFor,
+      formatPrice,
+      offersJsonLd,
+      init,
+    };
+  }
+);
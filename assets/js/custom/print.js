@@ -0,0 +1,116 @@
+/**
+ * Print Utilities
+ * Builds standalone printable documents (schedules, returns, payslips) so they
+ * can be printed or saved as PDF without the site chrome.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PrintUtils = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Base styles for every printable document
+  const PRINT_STYLES = `
+    body { font-family: "Nunito", Arial, sans-serif; font-size: 12px; color: #343a40; margin: 24px; }
+    h1 { font-size: 18px; margin: 0 0 4px; color: #2271b6; }
+    h2 { font-size: 14px; margin: 16px 0 8px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+    th, td { border: 1px solid #d0d5dd; padding: 6px 8px; text-align: left; }
+    th { background: #2271b6; color: #fff; }
+    td.amount, th.amount { text-align: right; }
+    tr.total td { font-weight: 700; background: #e3f2fd; }
+    .meta { margin-bottom: 12px; }
+    .meta div { margin-bottom: 2px; }
+    .page-break { page-break-after: always; }
+    @page { margin: 12mm; }
+    @media print { body { margin: 0; } }
+  `;
+
+  /**
+   * Escape text for safe insertion into HTML
+   * @param {*} value - Text to escape
+   * @returns {string} Escaped HTML
+   */
+  function escapeHtml(value) {
+    return String(value === null || value === undefined ? "" : value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+  }
+
+  /**
+   * Build an HTML table from a header and rows
+   * @param {array} header - Column headings
+   * @param {array} rows - Rows of cell values
+   * @param {object} [options] - amountColumns (indexes) and totalRow (last row is a total)
+   * @returns {string} Table HTML
+   */
+  function buildTable(header, rows, options = {}) {
+    const amountColumns = options.amountColumns || [];
+    const cellClass = (index) =>
+      amountColumns.includes(index) ? ' class="amount"' : "";
+
+    const head = header
+      .map((title, index) => `<th${cellClass(index)}>${escapeHtml(title)}</th>`)
+      .join("");
+    const body = rows
+      .map((row, rowIndex) => {
+        const isTotal = options.totalRow && rowIndex === rows.length - 1;
+        const cells = row
+          .map(
+            (value, index) => `<td${cellClass(index)}>${escapeHtml(value)}</td>`
+          )
+          .join("");
+        return `<tr${isTotal ? ' class="total"' : ""}>${cells}</tr>`;
+      })
+      .join("");
+
+    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  }
+
+  /**
+   * Wrap body HTML in a complete printable document
+   * @param {string} title - Document title
+   * @param {string} bodyHtml - Document body
+   * @param {string} [extraStyles] - Additional CSS
+   * @returns {string} Full HTML document
+   */
+  function buildDocument(title, bodyHtml, extraStyles = "") {
+    return `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8" /><title>${escapeHtml(
+      title
+    )}</title><style>${PRINT_STYLES}${extraStyles}</style></head><body>${bodyHtml}</body></html>`;
+  }
+
+  /**
+   * Open a document in a new window and bring up the print dialog
+   * @param {string} title - Document title
+   * @param {string} bodyHtml - Document body
+   * @param {string} [extraStyles] - Additional CSS
+   * @returns {boolean} False when the browser blocked the window
+   */
+  function openPrintWindow(title, bodyHtml, extraStyles) {
+    const printWindow = window.open("", "_blank");
+    if (!printWindow) {
+      return false;
+    }
+
+    printWindow.document.open();
+    printWindow.document.write(buildDocument(title, bodyHtml, extraStyles));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+  }
+
+  return {
+    escapeHtml,
+    buildTable,
+    buildDocument,
+    openPrintWindow,
+  };
+});
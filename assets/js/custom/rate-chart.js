@@ -0,0 +1,556 @@
+/**
+ * Tax Rate Chart
+ * Sweeps gross salary over a range through the TaxCore pipeline and draws the
+ * effective rate, marginal rate and net pay as an SVG chart (no chart library).
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./tax-core.js"), require("./money.js"));
+  } else {
+    root.RateChart = factory(root.TaxCore, root.MoneyUtils);
+    document.addEventListener("DOMContentLoaded", root.RateChart.init);
+  }
+})(typeof self !== "undefined" ? self : this, function (TaxCore, MoneyUtils) {
+  "use strict";
+
+  // Marginal figures are for this much more gross pay a year
+  const MARGINAL_STEP = 100000;
+
+  // Points plotted across the range (evenly spaced, ends included)
+  const DEFAULT_POINTS = 121;
+
+  // Band starts are found to the nearest naira
+  const MAX_ITERATIONS = 60;
+
+  // Chart area in SVG units
+  const CHART = {
+    width: 720,
+    height: 360,
+    left: 56,
+    right: 80,
+    top: 16,
+    bottom: 40,
+  };
+
+  /**
+   * Check a salary range before sweeping it
+   * @param {number} from - Lowest annual gross
+   * @param {number} to - Highest annual gross
+   * @returns {array} Error messages (empty when valid)
+   */
+  function validateRange(from, to) {
+    const errors = [];
+    if (!(from >= 0)) {
+      errors.push("Enter a starting salary of zero or more.");
+    }
+    if (!(to > from)) {
+      errors.push("The end of the range must be above the start.");
+    }
+    return errors;
+  }
+
+  /**
+   * The salary package scaled to a new annual gross
+   * Each earning keeps its share of the package; basic salary takes the
+   * rounding so the parts add up exactly. Deductions are left as entered.
+   * @param {object} values - Plain salary object (annual amounts)
+   * @param {number} gross - Annual gross to scale to
+   * @returns {object} Salary object with the earnings scaled
+   */
+  function scaleSalary(values, gross) {
+    const salary = Object.assign({}, values);
+    const targetKobo = MoneyUtils.toKobo(gross);
+    const currentKobo = MoneyUtils.toKobo(TaxCore.calculateGross(values));
+    let allocated = 0;
+
+    TaxCore.EARNING_FIELDS.forEach((field) => {
+      const kobo = currentKobo
+        ? MoneyUtils.scaleKobo(
+            MoneyUtils.toKobo(values[field]),
+            targetKobo,
+            currentKobo
+          )
+        : 0;
+      allocated += kobo;
+      salary[field] = MoneyUtils.fromKobo(kobo);
+    });
+    salary.basicSalary = MoneyUtils.fromKobo(
+      MoneyUtils.toKobo(salary.basicSalary) + targetKobo - allocated
+    );
+
+    return salary;
+  }
+
+  /**
+   * Index of the highest tax band that income reaches (-1 for none)
+   * @param {object} result - TaxCore.calculatePayroll result
+   * @returns {number} Band index
+   */
+  function topBand(result) {
+    let band = -1;
+    result.breakdown.forEach((row, index) => {
+      if (row.taxableAmount > 0) band = index;
+    });
+    return band;
+  }
+
+  /**
+   * Effective and marginal figures for one salary
+   * @param {object} salary - Plain salary object (annual amounts)
+   * @returns {object} gross, tax, net, netMonthly, effectiveRate, marginalRate, extraNet, band
+   */
+  function ratePoint(salary) {
+    const result = TaxCore.calculatePayroll(salary);
+    const next = TaxCore.calculatePayroll(
+      scaleSalary(salary, result.gross + MARGINAL_STEP)
+    );
+    const tax = result.annual.tax;
+
+    return {
+      gross: result.gross,
+      tax,
+      net: result.annual.net,
+      netMonthly: result.monthly.net,
+      effectiveRate: result.gross > 0 ? tax / result.gross : 0,
+      marginalRate: (next.annual.tax - tax) / MARGINAL_STEP,
+      extraNet: MoneyUtils.fromKobo(
+        MoneyUtils.toKobo(next.annual.net) -
+          MoneyUtils.toKobo(result.annual.net)
+      ),
+      band: topBand(result),
+    };
+  }
+
+  /**
+   * Run the calculation across a range of annual gross salaries
+   * @param {object} values - Plain salary object (sets the pay structure)
+   * @param {number} from - Lowest annual gross
+   * @param {number} to - Highest annual gross
+   * @param {number} [points] - Number of points (2 or more)
+   * @returns {array} Outputs of ratePoint, lowest gross first
+   */
+  function sweepSalary(values, from, to, points = DEFAULT_POINTS) {
+    const count = Math.max(2, points);
+    return Array.from({ length: count }, (item, index) =>
+      ratePoint(
+        scaleSalary(
+          values,
+          Math.round(from + ((to - from) * index) / (count - 1))
+        )
+      )
+    );
+  }
+
+  /**
+   * Where income first reaches each tax band within the range
+   * Band changes between plotted points are narrowed down to the naira.
+   * @param {object} values - Plain salary object (sets the pay structure)
+   * @param {array} points - Output of sweepSalary
+   * @returns {array} gross, band (index), bracket and rate for each band start
+   */
+  function findBandStarts(values, points) {
+    const bandAt = (gross) =>
+      TaxCore.calculatePayroll(scaleSalary(values, gross));
+    const starts = [];
+
+    for (let index = 1; index < points.length; index++) {
+      // A wide step can cross more than one band start
+      let band = points[index - 1].band;
+      let from = points[index - 1].gross;
+      while (band < points[index].band) {
+        let low = from;
+        let high = points[index].gross;
+        let iterations = 0;
+        while (high - low > 1 && iterations < MAX_ITERATIONS) {
+          const mid = Math.floor((low + high) / 2);
+          if (topBand(bandAt(mid)) > band) {
+            high = mid;
+          } else {
+            low = mid;
+          }
+          iterations += 1;
+        }
+
+        const result = bandAt(high);
+        band = topBand(result);
+        from = high;
+        starts.push({
+          gross: high,
+          band,
+          bracket: result.breakdown[band].bracket,
+          rate: result.breakdown[band].rate,
+        });
+      }
+    }
+
+    return starts;
+  }
+
+  /**
+   * A round number at or above a value, for axis limits
+   * @param {number} value - Value to round up
+   * @returns {number} A round multiple of a power of ten (1, 1.5, 2, 2.5 ... 10)
+   */
+  function niceCeiling(value) {
+    if (!(value > 0)) return 1;
+    const power = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 1.5, 2, 2.5, 3, 4, 5, 6, 8, 10].find(
+      (factor) => factor * power >= value
+    );
+    return step * power;
+  }
+
+  /**
+   * Short naira amount for axis labels
+   * @param {number} amount - Amount in naira
+   * @returns {string} e.g. "₦1.5m", "₦800k"
+   */
+  function formatCompact(amount) {
+    if (Math.abs(amount) >= 1000000) {
+      return `₦${Number((amount / 1000000).toFixed(1))}m`;
+    }
+    if (Math.abs(amount) >= 1000) {
+      return `₦${Math.round(amount / 1000)}k`;
+    }
+    return `₦${Math.round(amount)}`;
+  }
+
+  /**
+   * Scales that map figures to SVG coordinates
+   * @param {array} points - Output of sweepSalary
+   * @returns {object} x, rate and net functions plus the axis maximums
+   */
+  function chartScales(points) {
+    const from = points[0].gross;
+    const to = points[points.length - 1].gross;
+    const maxRate = niceCeiling(
+      Math.max(0.05, ...points.map((point) => point.marginalRate)) * 100
+    );
+    const maxNet = niceCeiling(Math.max(...points.map((point) => point.net)));
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const plotHeight = CHART.height - CHART.top - CHART.bottom;
+    const bottom = CHART.height - CHART.bottom;
+
+    return {
+      maxRate,
+      maxNet,
+      x: (gross) => CHART.left + ((gross - from) / (to - from)) * plotWidth,
+      rate: (rate) => bottom - ((rate * 100) / maxRate) * plotHeight,
+      net: (net) => bottom - (net / maxNet) * plotHeight,
+    };
+  }
+
+  /**
+   * SVG markup for the chart
+   * @param {array} points - Output of sweepSalary
+   * @param {object} [marks] - current (ratePoint for the employee) and bandStarts
+   * @returns {string} SVG element markup
+   */
+  function buildChart(points, marks = {}) {
+    const scales = chartScales(points);
+    const bottom = CHART.height - CHART.bottom;
+    const right = CHART.width - CHART.right;
+    const coord = (value) => value.toFixed(1);
+    const line = (read, scale, className) =>
+      `<polyline class="${className}" fill="none" points="${points
+        .map(
+          (point) =>
+            `${coord(scales.x(point.gross))},${coord(scale(read(point)))}`
+        )
+        .join(" ")}" />`;
+
+    const grid = [0, 0.25, 0.5, 0.75, 1]
+      .map((share) => {
+        const y = coord(scales.rate((share * scales.maxRate) / 100));
+        return (
+          `<line class="rate-chart-grid" x1="${CHART.left}" x2="${right}" y1="${y}" y2="${y}" />` +
+          `<text class="rate-chart-axis" x="${CHART.left - 6}" y="${y}" text-anchor="end" dominant-baseline="middle">${Number(
+            (share * scales.maxRate).toFixed(1)
+          )}%</text>` +
+          `<text class="rate-chart-axis" x="${right + 6}" y="${y}" dominant-baseline="middle">${formatCompact(
+            share * scales.maxNet
+          )}</text>`
+        );
+      })
+      .join("");
+
+    const from = points[0].gross;
+    const to = points[points.length - 1].gross;
+    const xTicks = [0, 0.25, 0.5, 0.75, 1]
+      .map((share) => {
+        const gross = from + share * (to - from);
+        return `<text class="rate-chart-axis" x="${coord(
+          scales.x(gross)
+        )}" y="${bottom + 18}" text-anchor="middle">${formatCompact(
+          gross
+        )}</text>`;
+      })
+      .join("");
+
+    const bandLines = (marks.bandStarts || [])
+      .map(
+        (start) =>
+          `<line class="rate-chart-band" x1="${coord(scales.x(start.gross))}" x2="${coord(
+            scales.x(start.gross)
+          )}" y1="${CHART.top}" y2="${bottom}"><title>${Math.round(
+            start.rate * 100
+          )}% band from ${formatCompact(start.gross)} gross</title></line>`
+      )
+      .join("");
+
+    const current = marks.current;
+    const currentMark =
+      current && current.gross >= from && current.gross <= to
+        ? `<g class="rate-chart-current">` +
+          `<line x1="${coord(scales.x(current.gross))}" x2="${coord(
+            scales.x(current.gross)
+          )}" y1="${CHART.top}" y2="${bottom}" />` +
+          `<circle cx="${coord(scales.x(current.gross))}" cy="${coord(
+            scales.rate(current.effectiveRate)
+          )}" r="5" />` +
+          `<circle cx="${coord(scales.x(current.gross))}" cy="${coord(
+            scales.net(current.net)
+          )}" r="5" />` +
+          `<text x="${coord(scales.x(current.gross) + 6)}" y="${
+            CHART.top + 12
+          }">You</text></g>`
+        : "";
+
+    return (
+      `<svg class="rate-chart-svg" viewBox="0 0 ${CHART.width} ${CHART.height}" role="img" tabindex="0" aria-label="Effective rate, marginal rate and net pay from ${formatCompact(
+        from
+      )} to ${formatCompact(to)} gross a year">` +
+      grid +
+      xTicks +
+      `<text class="rate-chart-axis" x="${CHART.left + (right - CHART.left) / 2}" y="${
+        CHART.height - 4
+      }" text-anchor="middle">Annual gross salary</text>` +
+      bandLines +
+      line((point) => point.net, scales.net, "rate-chart-net") +
+      line((point) => point.marginalRate, scales.rate, "rate-chart-marginal") +
+      line(
+        (point) => point.effectiveRate,
+        scales.rate,
+        "rate-chart-effective"
+      ) +
+      currentMark +
+      `<line class="rate-chart-guide d-none" y1="${CHART.top}" y2="${bottom}" />` +
+      "</svg>"
+    );
+  }
+
+  /**
+   * Plotted point nearest a position along the x axis
+   * @param {array} points - Output of sweepSalary
+   * @param {number} x - Position in SVG units
+   * @returns {number} Point index
+   */
+  function nearestPoint(points, x) {
+    const plotWidth = CHART.width - CHART.left - CHART.right;
+    const share = (x - CHART.left) / plotWidth;
+    return Math.min(
+      points.length - 1,
+      Math.max(0, Math.round(share * (points.length - 1)))
+    );
+  }
+
+  /* ---------- Page wiring (calculator page only) ---------- */
+
+  let lastValues = null;
+  let plotted = [];
+  let hoverIndex = 0;
+
+  /**
+   * Format a rate as a percentage
+   * @param {number} rate - Rate as a decimal
+   * @returns {string} e.g. "12.35%"
+   */
+  function formatRate(rate) {
+    return `${(rate * 100).toFixed(2)}%`;
+  }
+
+  /**
+   * Show the exact figures for one plotted point
+   * @param {number} index - Point index
+   */
+  function showPoint(index) {
+    const point = plotted[index];
+    if (!point) return;
+    hoverIndex = index;
+
+    const svg = document.querySelector("#rateChartPlot svg");
+    const x = chartScales(plotted).x(point.gross).toFixed(1);
+    const guide = svg.querySelector(".rate-chart-guide");
+    guide.setAttribute("x1", x);
+    guide.setAttribute("x2", x);
+    guide.classList.remove("d-none");
+
+    const tooltip = document.getElementById("rateChartTooltip");
+    tooltip.innerHTML = "";
+    [
+      [
+        "Gross",
+        `${formatCurrency(point.gross)} a year (${formatCurrency(
+          point.gross / 12
+        )} a month)`,
+      ],
+      ["Effective rate", formatRate(point.effectiveRate)],
+      ["Marginal rate", formatRate(point.marginalRate)],
+      [
+        "Net pay",
+        `${formatCurrency(point.net)} a year (${formatCurrency(
+          point.netMonthly
+        )} a month)`,
+      ],
+      [
+        `Next ${formatCurrency(MARGINAL_STEP)}`,
+        `${formatCurrency(point.extraNet)} more net pay`,
+      ],
+    ].forEach(([label, value]) => {
+      const row = tooltip.appendChild(document.createElement("div"));
+      row.appendChild(document.createElement("strong")).textContent =
+        `${label}: `;
+      row.appendChild(document.createTextNode(value));
+    });
+    tooltip.classList.remove("d-none");
+    tooltip.style.left = `${(Number(x) / CHART.width) * 100}%`;
+  }
+
+  /**
+   * Hide the hover guide and figures
+   */
+  function hidePoint() {
+    const guide = document.querySelector("#rateChartPlot .rate-chart-guide");
+    if (guide) guide.classList.add("d-none");
+    document.getElementById("rateChartTooltip").classList.add("d-none");
+  }
+
+  /**
+   * Fill the range inputs with a range around the current salary
+   * @param {number} gross - Current annual gross
+   */
+  function setDefaultRange(gross) {
+    document.getElementById("rateChartFrom").value = 0;
+    document.getElementById("rateChartTo").value = niceCeiling(
+      Math.max(gross * 2, 1200000)
+    );
+  }
+
+  /**
+   * Sweep the chosen range and draw the chart
+   */
+  function draw() {
+    const status = document.getElementById("rateChartStatus");
+    if (!lastValues) {
+      status.textContent = "Calculate a salary above first.";
+      return;
+    }
+
+    const from = Number.parseFloat(
+      document.getElementById("rateChartFrom").value
+    );
+    const to = Number.parseFloat(document.getElementById("rateChartTo").value);
+    const errors = validateRange(from, to);
+    if (errors.length) {
+      status.textContent = errors.join(" ");
+      return;
+    }
+
+    plotted = sweepSalary(lastValues, from, to);
+    const current = ratePoint(lastValues);
+    const bandStarts = findBandStarts(lastValues, plotted);
+    const nextBand = bandStarts.find((start) => start.gross > current.gross);
+
+    document.getElementById("rateChartPlot").innerHTML = buildChart(plotted, {
+      current,
+      bandStarts,
+    });
+    status.textContent =
+      `At ${formatCurrency(current.gross)} a year the effective rate is ` +
+      `${formatRate(current.effectiveRate)} and the marginal rate ` +
+      `${formatRate(current.marginalRate)}: the next ` +
+      `${formatCurrency(MARGINAL_STEP)} adds ${formatCurrency(
+        current.extraNet
+      )} to net pay.` +
+      (nextBand
+        ? ` The ${Math.round(nextBand.rate * 100)}% band starts at ` +
+          `${formatCurrency(nextBand.gross)} gross.`
+        : "");
+    hidePoint();
+  }
+
+  /**
+   * Point under the mouse, from its position over the SVG
+   * @param {MouseEvent} e - Mouse event
+   */
+  function handlePointerMove(e) {
+    const svg = e.currentTarget.querySelector("svg");
+    if (!svg || !plotted.length) return;
+    const box = svg.getBoundingClientRect();
+    if (!box.width) return;
+    showPoint(
+      nearestPoint(plotted, ((e.clientX - box.left) / box.width) * CHART.width)
+    );
+  }
+
+  /**
+   * Arrow keys step through the points for keyboard users
+   * @param {KeyboardEvent} e - Key event
+   */
+  function handleKeydown(e) {
+    if (!plotted.length) return;
+    const steps = {
+      ArrowLeft: -1,
+      ArrowRight: 1,
+      Home: -Infinity,
+      End: Infinity,
+    };
+    if (!(e.key in steps)) return;
+    e.preventDefault();
+    showPoint(
+      Math.min(plotted.length - 1, Math.max(0, hoverIndex + steps[e.key]))
+    );
+  }
+
+  /**
+   * Initialise the rate chart panel if it is on the page
+   */
+  function init() {
+    const panel = document.getElementById("rateChart");
+    if (!panel) return;
+
+    document.addEventListener("taxcalculator:calculated", (e) => {
+      lastValues = e.detail.values;
+      const gross = e.detail.results.gross;
+      const from = Number.parseFloat(
+        document.getElementById("rateChartFrom").value
+      );
+      const to = Number.parseFloat(
+        document.getElementById("rateChartTo").value
+      );
+      // Keep a range the user chose while it still includes the salary
+      if (!(from <= gross && to > gross)) setDefaultRange(gross);
+      draw();
+    });
+
+    document.getElementById("rateChartUpdate").addEventListener("click", draw);
+
+    const plot = document.getElementById("rateChartPlot");
+    plot.addEventListener("mousemove", handlePointerMove);
+    plot.addEventListener("mouseleave", hidePoint);
+    plot.addEventListener("keydown", handleKeydown);
+    plot.addEventListener("focusout", hidePoint);
+  }
+
+  return {
+    MARGINAL_STEP,
+    validateRange,
+    scaleSalary,
+    ratePoint,
+    sweepSalary,
+    findBandStarts,
+    buildChart,
+    nearestPoint,
+    init,
+  };
+});
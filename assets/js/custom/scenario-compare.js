@@ -0,0 +1,423 @@
+/**
+ * Scenario Comparison
+ * Keeps several named calculations (pay structures or tax regimes) and lays
+ * them out side by side, with each figure's difference from the first.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(
+      require("./tax-core.js"),
+      require("./money.js"),
+      require("./csv.js"),
+      require("./print.js")
+    );
+  } else {
+    root.ScenarioCompare = factory(
+      root.TaxCore,
+      root.MoneyUtils,
+      root.CsvUtils,
+      root.PrintUtils
+    );
+    document.addEventListener("DOMContentLoaded", root.ScenarioCompare.init);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (TaxCore, MoneyUtils, CsvUtils, PrintUtils) {
+    "use strict";
+
+    // Columns that still fit side by side on a laptop screen
+    const MAX_SCENARIOS = 5;
+
+    // Amount rows before and after the tax bands: [label, value from scenario]
+    const SUMMARY_ROWS = [
+      ["Annual Gross", (scenario) => scenario.results.gross],
+      ["Annual Net Salary (ANS)", (scenario) => scenario.results.ans],
+      ["Total Reliefs", (scenario) => scenario.results.reliefs.total],
+      ["Annual Taxable Income (ATI)", (scenario) => scenario.results.ati],
+    ];
+    const TOTAL_ROWS = [
+      ["Annual Tax", (scenario) => scenario.results.annual.tax],
+      ["Monthly Tax", (scenario) => scenario.results.monthly.tax],
+      ["Net Monthly Pay", (scenario) => scenario.results.monthly.net],
+      ["Employer Pension (Annual)", (scenario) => scenario.employerPension],
+    ];
+
+    /**
+     * Calculate a named scenario from a salary object
+     * Employer pension is always worked out so scenarios compare like for like,
+     * whatever the levy switches on the form.
+     * @param {string} name - Scenario name (blank for "Scenario")
+     * @param {object} values - Plain salary object (annual amounts)
+     * @returns {object} name, values, results (TaxCore.calculatePayroll) and employerPension
+     */
+    function createScenario(name, values) {
+      const results = TaxCore.calculatePayroll(values);
+      const cost = TaxCore.calculateEmployerCost(values, {
+        employerPension: true,
+      });
+
+      return {
+        name: String(name || "").trim() || "Scenario",
+        values: Object.assign({}, values),
+        results,
+        employerPension: cost.employerPension,
+      };
+    }
+
+    /**
+     * The same salary calculated under every tax regime
+     * @param {object} values - Plain salary object (annual amounts)
+     * @returns {array} One scenario per regime, named after it
+     */
+    function regimeScenarios(values) {
+      return TaxCore.getRegimeIds().map((regime) => {
+        const salary = Object.assign({}, values, { regime });
+        const rules = TaxCore.getTaxRegime(
+          regime,
+          TaxCore.getRuleDate(salary),
+          salary.jurisdiction
+        );
+        return createScenario(rules.label, salary);
+      });
+    }
+
+    /**
+     * Difference between two amounts, exact to the kobo
+     * @param {number} amount - Amount in naira
+     * @param {number} baseline - Amount it is compared with
+     * @returns {number} amount - baseline
+     */
+    function difference(amount, baseline) {
+      return MoneyUtils.fromKobo(
+        MoneyUtils.toKobo(amount) - MoneyUtils.toKobo(baseline)
+      );
+    }
+
+    /**
+     * Lay scenarios out as comparison rows
+     * The first scenario is the baseline. Tax bands are matched by position,
+     * since regimes name and size their bands differently; a scenario with
+     * fewer bands shows null for the ones it lacks.
+     * @param {array} scenarios - Outputs of createScenario
+     * @returns {object} names and rows ({label, kind, values, notes, differences, differs})
+     */
+    function buildComparison(scenarios) {
+      const amountRow = (label, values, notes) => {
+        const baseline = values[0];
+        const differences = values.map((value, index) =>
+          index === 0 || value === null || baseline === null
+            ? null
+            : difference(value, baseline)
+        );
+        return {
+          label,
+          kind: "amount",
+          values,
+          notes: notes || values.map(() => ""),
+          differences,
+          differs: values.map(
+            (value, index) => index > 0 && value !== baseline
+          ),
+        };
+      };
+
+      const regimeLabels = scenarios.map(
+        (scenario) =>
+          TaxCore.getTaxRegime(
+            scenario.results.regime,
+            TaxCore.getRuleDate(scenario.values),
+            scenario.values.jurisdiction
+          ).label
+      );
+      const bandCount = Math.max(
+        0,
+        ...scenarios.map((scenario) => scenario.results.breakdown.length)
+      );
+      const bandRows = [];
+      for (let index = 0; index < bandCount; index++) {
+        const bands = scenarios.map(
+          (scenario) => scenario.results.breakdown[index] || null
+        );
+        bandRows.push(
+          amountRow(
+            `Tax Band ${index + 1}`,
+            bands.map((band) => (band ? band.taxAmount : null)),
+            bands.map((band) =>
+              band ? `${band.bracket} at ${Math.round(band.rate * 100)}%` : ""
+            )
+          )
+        );
+      }
+
+      const rows = [
+        {
+          label: "Tax Regime",
+          kind: "text",
+          values: regimeLabels,
+          notes: regimeLabels.map(() => ""),
+          differences: regimeLabels.map(() => null),
+          differs: regimeLabels.map(
+            (label, index) => index > 0 && label !== regimeLabels[0]
+          ),
+        },
+      ]
+        .concat(
+          SUMMARY_ROWS.map(([label, read]) =>
+            amountRow(label, scenarios.map(read))
+          )
+        )
+        .concat(bandRows)
+        .concat(
+          TOTAL_ROWS.map(([label, read]) =>
+            amountRow(label, scenarios.map(read))
+          )
+        );
+
+      return {
+        names: scenarios.map((scenario) => scenario.name),
+        rows,
+      };
+    }
+
+    /**
+     * Comparison as export rows: each scenario after the first is followed by
+     * its difference from the first
+     * @param {object} comparison - Output of buildComparison
+     * @returns {array} Header row followed by one row per comparison row
+     */
+    function comparisonRows(comparison) {
+      const [baseline, ...others] = comparison.names;
+      const header = ["Item", baseline].concat(
+        ...others.map((name) => [name, `${name} vs ${baseline}`])
+      );
+      const amount = (value) => (value === null ? "" : value.toFixed(2));
+
+      const rows = comparison.rows.map((row) => {
+        const cell = (index) =>
+          row.kind === "text" ? row.values[index] : amount(row.values[index]);
+        const cells = [row.label, cell(0)];
+        for (let index = 1; index < row.values.length; index++) {
+          cells.push(
+            cell(index),
+            row.kind === "text"
+              ? row.differs[index]
+                ? "Different"
+                : "Same"
+              : amount(row.differences[index])
+          );
+        }
+        return cells;
+      });
+
+      return [header].concat(rows);
+    }
+
+    /**
+     * Printable comparison
+     * @param {object} comparison - Output of buildComparison
+     * @returns {string} Body HTML
+     */
+    function comparisonHtml(comparison) {
+      const rows = comparisonRows(comparison);
+      return (
+        "<h1>Salary Scenario Comparison</h1>" +
+        PrintUtils.buildTable(rows[0], rows.slice(1), {
+          amountColumns: rows[0].map((title, index) => index).slice(1),
+        })
+      );
+    }
+
+    /* ---------- Page wiring (calculator page only) ---------- */
+
+    let scenarios = [];
+    let lastValues = null;
+
+    /**
+     * Show a status message under the comparison buttons
+     * @param {string} message - Message text
+     */
+    function setStatus(message) {
+      document.getElementById("scenarioCompareStatus").textContent = message;
+    }
+
+    /**
+     * Signed difference text for a cell
+     * @param {number} amount - Difference in naira
+     * @returns {string} e.g. "+₦1,000.00"
+     */
+    function formatDifference(amount) {
+      return (
+        (amount > 0 ? "+" : amount < 0 ? "−" : "") +
+        formatCurrency(Math.abs(amount))
+      );
+    }
+
+    /**
+     * Draw the comparison table (or hide it when there is nothing to compare)
+     */
+    function render() {
+      const results = document.getElementById("scenarioCompareResults");
+      const table = document.getElementById("scenarioCompareTable");
+      results.classList.toggle("d-none", !scenarios.length);
+      document.getElementById("scenarioCompareClear").disabled =
+        !scenarios.length;
+      if (!scenarios.length) return;
+
+      const comparison = buildComparison(scenarios);
+      const headRow = document.createElement("tr");
+      headRow.appendChild(document.createElement("th")).textContent = "Item";
+      comparison.names.forEach((name, index) => {
+        const th = document.createElement("th");
+        th.textContent = index === 0 ? `${name} (baseline)` : name;
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "btn btn-link btn-sm p-0 ms-2";
+        remove.dataset.remove = index;
+        remove.setAttribute("aria-label", `Remove ${name}`);
+        remove.textContent = "✕";
+        th.appendChild(remove);
+        headRow.appendChild(th);
+      });
+
+      const body = comparison.rows.map((row) => {
+        const tr = document.createElement("tr");
+        tr.appendChild(document.createElement("th")).textContent = row.label;
+        row.values.forEach((value, index) => {
+          const td = tr.appendChild(document.createElement("td"));
+          if (row.differs[index]) td.className = "table-warning";
+          if (value === null) {
+            td.textContent = "—";
+            return;
+          }
+          td.textContent = row.kind === "text" ? value : formatCurrency(value);
+          if (row.differences[index]) {
+            const change = td.appendChild(document.createElement("small"));
+            change.className = "d-block scenario-difference";
+            change.textContent = formatDifference(row.differences[index]);
+          }
+          if (row.notes[index]) {
+            const note = td.appendChild(document.createElement("small"));
+            note.className = "d-block text-muted";
+            note.textContent = row.notes[index];
+          }
+        });
+        return tr;
+      });
+
+      table.querySelector("thead").replaceChildren(headRow);
+      table.querySelector("tbody").replaceChildren(...body);
+    }
+
+    /**
+     * Add scenarios, keeping within MAX_SCENARIOS
+     * @param {array} added - Outputs of createScenario
+     */
+    function addScenarios(added) {
+      const room = MAX_SCENARIOS - scenarios.length;
+      scenarios = scenarios.concat(added.slice(0, Math.max(0, room)));
+      setStatus(
+        added.length > room
+          ? `Up to ${MAX_SCENARIOS} scenarios can be compared; remove one to add more.`
+          : ""
+      );
+      render();
+    }
+
+    /**
+     * Save the latest calculation as a named scenario
+     */
+    function saveScenario() {
+      if (!lastValues) {
+        setStatus("Calculate a salary above first.");
+        return;
+      }
+
+      const nameInput = document.getElementById("scenarioName");
+      addScenarios([
+        createScenario(
+          nameInput.value || `Scenario ${scenarios.length + 1}`,
+          lastValues
+        ),
+      ]);
+      nameInput.value = "";
+    }
+
+    /**
+     * Export or print the comparison
+     * @param {string} format - "csv" or "print"
+     */
+    function exportComparison(format) {
+      const comparison = buildComparison(scenarios);
+      if (format === "csv") {
+        CsvUtils.downloadFile(
+          "salary-scenarios.csv",
+          CsvUtils.toCSV(comparisonRows(comparison))
+        );
+      } else {
+        PrintUtils.openPrintWindow(
+          "Salary Scenario Comparison",
+          comparisonHtml(comparison)
+        );
+      }
+    }
+
+    /**
+     * Initialise the comparison panel if it is on the page
+     */
+    function init() {
+      const panel = document.getElementById("scenarioCompare");
+      if (!panel) return;
+
+      document.addEventListener("taxcalculator:calculated", (e) => {
+        lastValues = e.detail.values;
+      });
+
+      document
+        .getElementById("scenarioSave")
+        .addEventListener("click", saveScenario);
+      document
+        .getElementById("scenarioRegimes")
+        .addEventListener("click", () => {
+          if (!lastValues) {
+            setStatus("Calculate a salary above first.");
+            return;
+          }
+          addScenarios(regimeScenarios(lastValues));
+        });
+      document
+        .getElementById("scenarioCompareClear")
+        .addEventListener("click", () => {
+          scenarios = [];
+          setStatus("");
+          render();
+        });
+      document
+        .getElementById("scenarioCompareTable")
+        .addEventListener("click", (e) => {
+          const button = e.target.closest("[data-remove]");
+          if (!button) return;
+          scenarios.splice(Number(button.dataset.remove), 1);
+          setStatus("");
+          render();
+        });
+      document
+        .getElementById("scenarioCompareCsv")
+        .addEventListener("click", () => exportComparison("csv"));
+      document
+        .getElementById("scenarioComparePrint")
+        .addEventListener("click", () => exportComparison("print"));
+
+      render();
+    }
+
+    return {
+      MAX_SCENARIOS,
+      createScenario,
+      regimeScenarios,
+      buildComparison,
+      comparisonRows,
+      comparisonHtml,
+      init,
+    };
+  }
+);
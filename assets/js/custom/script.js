@@ -212,44 +212,31 @@
 
   /**
    * Form Validation
+   * Each form is checked against the schema named by its data-form attribute
+   * (form-schemas.js), then handed to FormSubmit (form-submit.js), which
+   * posts it and shows the outcome on the page.
    */
   function initializeFormValidation() {
-    const contactForm = document.querySelector(".contact-form");
+    const contactForms = document.querySelectorAll(".contact-form");
+    const FormSchemas = window.FormSchemas;
+    const FormSubmit = window.FormSubmit;
 
-    if (contactForm) {
-      contactForm.addEventListener("submit", function (e) {
-        e.preventDefault();
+    if (!contactForms.length || !FormSchemas || !FormSubmit) return;
 
-        // Basic validation
-        const fullName = document.getElementById("fullName").value.trim();
-        const email = document.getElementById("email").value.trim();
-        const message = document.getElementById("message").value.trim();
-
-        if (!fullName || !email || !message) {
-          alert("Please fill in all required fields.");
-          return;
-        }
+    FormSubmit.init(".contact-form");
+    contactForms.forEach(function (contactForm) {
+      const schema = FormSchemas.attach(contactForm);
 
-        if (!isValidEmail(email)) {
-          alert("Please enter a valid email address.");
-          return;
-        }
-
-        // Simulate form submission
-        const submitBtn = contactForm.querySelector('button[type="submit"]');
-        const originalText = submitBtn.textContent;
+      contactForm.addEventListener("submit", function (e) {
+        e.preventDefault();
 
-        submitBtn.textContent = "Sending...";
-        submitBtn.disabled = true;
+        const status = contactForm.querySelector(".form-status");
+        if (status) status.remove();
 
-        setTimeout(function () {
-          alert("Thank you for your message! We'll get back to you soon.");
-          contactForm.reset();
-          submitBtn.textContent = originalText;
-          submitBtn.disabled = false;
-        }, 2000);
+        const fields = FormSchemas.check(contactForm, schema);
+        if (fields) FormSubmit.submit(contactForm, { fields: fields });
       });
-    }
+    });
   }
 
   /**
@@ -418,14 +405,6 @@
     );
   }
 
-  /**
-   * Utility Functions
-   */
-  function isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
-  }
-
   // Error handling
   window.addEventListener("error", function (e) {
     console.error("JavaScript Error:", e.error);
@@ -0,0 +1,30 @@
+/**
+ * Storage Utilities
+ * Shared access to localStorage for the tools that save state in the browser
+ * (calculator history, queued form submissions, sign-up progress).
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StorageUtils = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /**
+   * localStorage, or null where the browser blocks it (or outside a browser)
+   * @returns {Storage|null} Storage
+   */
+  function getStorage() {
+    try {
+      return window.localStorage;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return {
+    getStorage,
+  };
+});
@@ -0,0 +1,858 @@
+/**
+ * Tax Calculator Core
+ * DOM-free Nigerian payroll calculation shared by the calculator page and the
+ * Node test suite. Takes a plain salary object and returns the full result.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./tax-rules.js"), require("./money.js"));
+  } else {
+    root.TaxCore = factory(root.TaxRules, root.MoneyUtils);
+  }
+})(typeof self !== "undefined" ? self : this, function (TaxRules, MoneyUtils) {
+  "use strict";
+
+  const { toKobo, fromKobo, scaleKobo, applyRate, splitKobo, sumKobo } =
+    MoneyUtils;
+
+  // Bands, reliefs, pension, NHF and NHIS rates, minimum tax and minimum wage
+  // come from the date-effective rule sets in assets/data/tax-rules.json (see
+  // tax-rules.js); the regime selectable on the form picks which family of
+  // rule sets applies
+  const DEFAULT_REGIME = "current";
+
+  // Rounding to whole kobo at each step (MoneyUtils.ROUNDING_MODES). Monthly
+  // amounts are rounded down and the final month takes the remainder, so the
+  // months add up exactly to the annual figures.
+  const ROUNDING = {
+    contribution: "halfUp", // pension, NHF, NHIS and employer levies
+    proRata: "halfUp", // part-year pay, relief floors and caps, band widths
+    relief: "halfUp", // reliefs worked out as a share of ANS or rent
+    bandTax: "halfUp", // tax in each band
+    minimumTax: "halfUp",
+  };
+
+  // Levies switched on unless the caller says otherwise
+  const DEFAULT_EMPLOYER_LEVIES = {
+    employerPension: true,
+    nsitf: true,
+    itf: false,
+    groupLifePremium: 0,
+  };
+
+  // Earnings that make up gross salary, in payslip order
+  const EARNING_FIELDS = [
+    "basicSalary",
+    "housingAllowance",
+    "transportAllowance",
+    "leaveAllowance",
+    "mealsAllowance",
+    "energyAllowance",
+    "otherAllowances",
+  ];
+
+  // Deductions taken from gross salary before pension
+  const DEDUCTION_FIELDS = [
+    "nhfContribution",
+    "nhisContribution",
+    "voluntaryPension",
+    "mortgageInterest",
+    "lifeInsurance",
+    "tempDisabilityInsurance",
+    "permDisabilityInsurance",
+    "rentPaid",
+  ];
+
+  // Pay and tax from an earlier employer in the same tax year
+  const PREVIOUS_EMPLOYMENT_FIELDS = [
+    "previousGross",
+    "previousPension",
+    "previousTax",
+  ];
+
+  const REQUIRED_FIELDS = [
+    "basicSalary",
+    "housingAllowance",
+    "transportAllowance",
+  ];
+
+  /**
+   * Look up the rule set for a tax regime, falling back to the current law
+   * @param {string} regimeId - Regime identifier ("current" or "2026")
+   * @param {string} [date] - Pay period date (YYYY-MM-DD); picks the version in force
+   * @param {string} [jurisdiction] - Jurisdiction code (e.g. "NG" or "NG-LA")
+   * @returns {object} Rule set (see tax-rules.js)
+   */
+  function getTaxRegime(regimeId, date, jurisdiction) {
+    return (
+      TaxRules.selectRuleSet({ regime: regimeId, date, jurisdiction }) ||
+      TaxRules.selectRuleSet({ regime: DEFAULT_REGIME, date, jurisdiction })
+    );
+  }
+
+  /**
+   * Accept either a regime identifier or a rule set already looked up
+   * @param {string|object} regime - Regime identifier or rule set
+   * @returns {object} Rule set
+   */
+  function resolveRules(regime) {
+    return regime && typeof regime === "object" ? regime : getTaxRegime(regime);
+  }
+
+  /**
+   * Tax year a calculation falls in when no end date is given
+   * @returns {number} The calendar year today
+   */
+  function currentTaxYear() {
+    return new Date().getFullYear();
+  }
+
+  /**
+   * Date that decides which rule set applies: the end date, else a start date
+   * in the current tax year or later (staff who joined earlier are on a full
+   * current year, as when no dates are given)
+   * @param {object} values - Salary object
+   * @returns {string|undefined} YYYY-MM-DD, or undefined when no date applies
+   */
+  function getRuleDate(values) {
+    if (parseDate(values.endDate)) return values.endDate;
+    const start = parseDate(values.startDate);
+    return start && start.year >= currentTaxYear()
+      ? values.startDate
+      : undefined;
+  }
+
+  /**
+   * Rule set for a normalised salary object (regime, pay period, jurisdiction)
+   * @param {object} values - Normalised salary object
+   * @returns {object} Rule set
+   */
+  function getSalaryRules(values) {
+    return getTaxRegime(
+      values.regime,
+      getRuleDate(values),
+      values.jurisdiction
+    );
+  }
+
+  /**
+   * Fill in defaults so every amount is a number
+   * @param {object} salary - Plain salary object (annual amounts)
+   * @returns {object} Normalised salary object
+   */
+  function normalizeSalary(salary) {
+    const input = salary || {};
+    const normalized = {};
+
+    EARNING_FIELDS.concat(DEDUCTION_FIELDS, PREVIOUS_EMPLOYMENT_FIELDS, [
+      "pensionContribution",
+    ]).forEach((field) => {
+      normalized[field] = fromKobo(toKobo(input[field]));
+    });
+    normalized.pensionEnabled = input.pensionEnabled !== false;
+    normalized.nhfEnabled = input.nhfEnabled === true;
+    normalized.nhisEnabled = input.nhisEnabled === true;
+    normalized.startDate = input.startDate || "";
+    normalized.endDate = input.endDate || "";
+    normalized.jurisdiction =
+      input.jurisdiction || TaxRules.DEFAULT_JURISDICTION;
+    normalized.regime = getTaxRegime(
+      input.regime,
+      getRuleDate(normalized),
+      normalized.jurisdiction
+    ).regime;
+
+    return normalized;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date without time zone shifts
+   * @param {string} text - Date from a date input
+   * @returns {object|null} year, month (1-12), day and time (ms), or null if invalid
+   */
+  function parseDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(text || "").trim());
+    if (!match) return null;
+
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    return { year, month, day, time: date.getTime() };
+  }
+
+  /**
+   * Work out the months of the tax year covered by this employment
+   * A month counts when the employee is on the payroll for any part of it.
+   * Without an end date the employee is still on the payroll, so the tax year
+   * is the current one (or a later start date's) and a start in an earlier
+   * year counts as the full year.
+   * @param {object} values - Normalised salary object
+   * @returns {object} year, startMonth, endMonth, monthsWorked and monthsCovered (including any previous employment)
+   */
+  function getEmploymentPeriod(values) {
+    const start = parseDate(values.startDate);
+    const end = parseDate(values.endDate);
+    let year = null;
+    if (end) {
+      year = end.year;
+    } else if (start) {
+      year = Math.max(start.year, currentTaxYear());
+    }
+
+    const startMonth = start && start.year === year ? start.month : 1;
+    const endMonth = end ? end.month : 12;
+    const monthsWorked = Math.max(1, endMonth - startMonth + 1);
+
+    // An earlier employer is taken to cover the months before the start date
+    const hasPrevious = PREVIOUS_EMPLOYMENT_FIELDS.some(
+      (field) => values[field] > 0
+    );
+
+    return {
+      year,
+      startMonth,
+      endMonth,
+      monthsWorked,
+      monthsCovered: hasPrevious ? endMonth : monthsWorked,
+      partYear: monthsWorked < 12,
+    };
+  }
+
+  /**
+   * Check a salary object before calculating
+   * @param {object} salary - Plain salary object
+   * @returns {array} Error messages (empty when valid)
+   */
+  function validateSalary(salary) {
+    const input = salary || {};
+    const errors = [];
+
+    if (REQUIRED_FIELDS.some((field) => !Number.parseFloat(input[field]))) {
+      errors.push(
+        "Please fill in all required fields (Basic Salary, Housing Allowance, and Transport Allowance)"
+      );
+    }
+
+    const negative = EARNING_FIELDS.concat(
+      DEDUCTION_FIELDS,
+      PREVIOUS_EMPLOYMENT_FIELDS,
+      ["pensionContribution"]
+    ).filter((field) => Number.parseFloat(input[field]) < 0);
+    if (negative.length) {
+      errors.push(`Amounts cannot be negative: ${negative.join(", ")}`);
+    }
+
+    const start = parseDate(input.startDate);
+    const end = parseDate(input.endDate);
+    if ((input.startDate && !start) || (input.endDate && !end)) {
+      errors.push("Start and end dates must be valid dates (YYYY-MM-DD)");
+    } else if (start && end && start.time > end.time) {
+      errors.push("End date cannot be before the start date");
+    } else if (start && end && start.year !== end.year) {
+      errors.push(
+        "Start and end dates must fall in the same tax year (leave the start date blank for staff who joined in an earlier year)"
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Sum gross salary (all earnings)
+   * @param {object} values - Normalised salary object
+   * @returns {number} Annual gross salary
+   */
+  function calculateGross(values) {
+    return fromKobo(
+      sumKobo(EARNING_FIELDS.map((field) => toKobo(values[field])))
+    );
+  }
+
+  /**
+   * Pensionable pay: Basic + Housing + Transport
+   * @param {object} values - Normalised salary object
+   * @returns {number} Annual pension base in kobo
+   */
+  function pensionBaseKobo(values) {
+    return sumKobo(
+      ["basicSalary", "housingAllowance", "transportAllowance"].map((field) =>
+        toKobo(values[field])
+      )
+    );
+  }
+
+  /**
+   * Calculate the employee pension contribution
+   * @param {object} values - Normalised salary object
+   * @returns {number} Annual pension contribution
+   */
+  function calculatePension(values) {
+    if (!values.pensionEnabled) {
+      return values.pensionContribution;
+    }
+
+    const { pension } = getSalaryRules(values);
+    const amount = applyRate(
+      pensionBaseKobo(values),
+      pension.employeeRate,
+      ROUNDING.contribution
+    );
+    return fromKobo(
+      pension.cap === null ? amount : Math.min(amount, toKobo(pension.cap))
+    );
+  }
+
+  /**
+   * Calculate the National Housing Fund contribution
+   * @param {object} values - Normalised salary object
+   * @returns {number} Annual NHF contribution
+   */
+  function calculateNHF(values) {
+    return values.nhfEnabled
+      ? fromKobo(
+          applyRate(
+            toKobo(values.basicSalary),
+            getSalaryRules(values).nhfRate,
+            ROUNDING.contribution
+          )
+        )
+      : values.nhfContribution;
+  }
+
+  /**
+   * Calculate the employee NHIS contribution
+   * @param {object} values - Normalised salary object
+   * @returns {number} Annual NHIS contribution
+   */
+  function calculateNHIS(values) {
+    return values.nhisEnabled
+      ? fromKobo(
+          applyRate(
+            toKobo(values.basicSalary),
+            getSalaryRules(values).nhisRate,
+            ROUNDING.contribution
+          )
+        )
+      : values.nhisContribution;
+  }
+
+  /**
+   * Work out each allowable deduction taken from gross salary
+   * @param {object} values - Salary object
+   * @returns {object} Annual amount by deduction field (pension excluded)
+   */
+  function calculateDeductions(values) {
+    const salary = normalizeSalary(values);
+    const rules = getSalaryRules(salary);
+    const deductions = {};
+
+    DEDUCTION_FIELDS.forEach((field) => {
+      deductions[field] = salary[field];
+    });
+    deductions.nhfContribution = calculateNHF(salary);
+    deductions.nhisContribution = calculateNHIS(salary);
+
+    // Where there is rent relief (2026 regime) rent is not a deduction
+    if (rules.reliefs.rent) {
+      deductions.rentPaid = 0;
+    }
+
+    return deductions;
+  }
+
+  /**
+   * Calculate Annual Net Salary (ANS)
+   * @param {object} values - Salary object
+   * @returns {number} Annual Net Salary
+   */
+  function calculateANS(values) {
+    const salary = normalizeSalary(values);
+    const statutoryDeductions = sumKobo(
+      Object.values(calculateDeductions(salary)).map(toKobo)
+    );
+
+    return fromKobo(
+      toKobo(calculateGross(salary)) -
+        statutoryDeductions -
+        toKobo(calculatePension(salary))
+    );
+  }
+
+  /**
+   * Calculate the reliefs allowed against ANS
+   * @param {number} ans - Annual Net Salary
+   * @param {string|object} [regime] - Tax regime identifier or rule set
+   * @param {number} [rentPaid] - Annual rent paid (2026 rent relief)
+   * @param {number} [months] - Months of the year covered (pro-rates the fixed amounts)
+   * @returns {object} Relief amounts and their total
+   */
+  function calculateReliefs(
+    ans,
+    regime = DEFAULT_REGIME,
+    rentPaid = 0,
+    months = 12
+  ) {
+    const { consolidated, rent } = resolveRules(regime).reliefs;
+    const ansKobo = toKobo(ans);
+    const proRata = (amount) =>
+      scaleKobo(toKobo(amount), months, 12, ROUNDING.proRata);
+    const kobo = { consolidated: 0, additional: 0, rent: 0 };
+
+    if (rent) {
+      // Share of rent paid, up to the cap
+      kobo.rent = Math.min(
+        applyRate(toKobo(rentPaid), rent.rate, ROUNDING.relief),
+        proRata(rent.cap)
+      );
+    }
+
+    if (consolidated) {
+      // Higher of the fixed floor or a share of ANS, plus a further share of ANS
+      kobo.consolidated = Math.max(
+        proRata(consolidated.floor),
+        applyRate(ansKobo, consolidated.ansRate, ROUNDING.relief)
+      );
+      kobo.additional = applyRate(
+        ansKobo,
+        consolidated.additionalAnsRate,
+        ROUNDING.relief
+      );
+    }
+
+    return {
+      consolidated: fromKobo(kobo.consolidated),
+      additional: fromKobo(kobo.additional),
+      rent: fromKobo(kobo.rent),
+      total: fromKobo(sumKobo(Object.values(kobo))),
+    };
+  }
+
+  /**
+   * Calculate Annual Taxable Income (ATI)
+   * @param {number} ans - Annual Net Salary
+   * @param {string|object} [regime] - Tax regime identifier or rule set
+   * @param {number} [rentPaid] - Annual rent paid (2026 rent relief)
+   * @returns {number} Annual Taxable Income
+   */
+  function calculateATI(ans, regime = DEFAULT_REGIME, rentPaid = 0) {
+    const reliefs = calculateReliefs(ans, regime, rentPaid);
+
+    // ATI = ANS - Reliefs
+    return fromKobo(Math.max(0, toKobo(ans) - toKobo(reliefs.total)));
+  }
+
+  /**
+   * Calculate tax for each bracket
+   * @param {number} ati - Annual Taxable Income
+   * @param {string|object} [regime] - Tax regime identifier or rule set
+   * @param {number} [months] - Months of the year covered (pro-rates each band)
+   * @returns {object} Tax breakdown by bracket
+   */
+  function calculateTaxBreakdown(ati, regime = DEFAULT_REGIME, months = 12) {
+    const breakdown = [];
+    let remainingIncome = toKobo(ati);
+    let totalTax = 0;
+
+    for (const bracket of resolveRules(regime).brackets) {
+      if (remainingIncome <= 0) {
+        breakdown.push({
+          bracket: bracket.label,
+          rate: bracket.rate,
+          taxableAmount: 0,
+          taxAmount: 0,
+        });
+        continue;
+      }
+
+      const bracketSize =
+        bracket.max === Number.POSITIVE_INFINITY
+          ? remainingIncome
+          : scaleKobo(
+              toKobo(bracket.max - bracket.min),
+              months,
+              12,
+              ROUNDING.proRata
+            );
+      const taxableInThisBracket = Math.min(remainingIncome, bracketSize);
+      const taxForThisBracket = applyRate(
+        taxableInThisBracket,
+        bracket.rate,
+        ROUNDING.bandTax
+      );
+
+      breakdown.push({
+        bracket: bracket.label,
+        rate: bracket.rate,
+        taxableAmount: fromKobo(taxableInThisBracket),
+        taxAmount: fromKobo(taxForThisBracket),
+      });
+
+      totalTax += taxForThisBracket;
+      remainingIncome -= taxableInThisBracket;
+    }
+
+    return { breakdown, totalTax: fromKobo(totalTax) };
+  }
+
+  /**
+   * Apply the minimum-wage exemption and minimum tax to the band tax
+   * @param {number} ati - Annual Taxable Income
+   * @param {number} gross - Annual gross income
+   * @param {string|object} [regime] - Tax regime identifier or rule set
+   * @param {number} [months] - Months of the year covered
+   * @returns {object} Band breakdown, band tax, tax payable and the rule that decided it
+   */
+  function calculateTaxLiability(
+    ati,
+    gross,
+    regime = DEFAULT_REGIME,
+    months = 12
+  ) {
+    const rules = resolveRules(regime);
+    const { breakdown, totalTax: bandTax } = calculateTaxBreakdown(
+      ati,
+      rules,
+      months
+    );
+    const minimumTax = fromKobo(
+      applyRate(toKobo(gross), rules.minimumTaxRate, ROUNDING.minimumTax)
+    );
+
+    // "bands", "minimumWage" (exempt) or "minimumTax"
+    let rule = "bands";
+    let totalTax = bandTax;
+
+    if (gross > 0 && toKobo(gross) <= toKobo(rules.minimumWage) * months) {
+      rule = "minimumWage";
+      totalTax = 0;
+    } else if (bandTax < minimumTax) {
+      rule = "minimumTax";
+      totalTax = minimumTax;
+    }
+
+    return { breakdown, bandTax, minimumTax, totalTax, rule };
+  }
+
+  /**
+   * Split the period's pay over the months worked
+   * Each earning, deduction, the pension and the tax are split separately;
+   * every month is rounded down and the final month takes the remainder.
+   * @param {object} kobo - earnings and allowableDeductions (by field), pension, ati and tax in kobo
+   * @param {object} period - Result of getEmploymentPeriod
+   * @returns {array} One entry per month worked, amounts in kobo (lines by field included)
+   */
+  function splitPayKobo(kobo, period) {
+    const { monthsWorked, monthsCovered, startMonth } = period;
+    const splitFields = (amounts) => {
+      const splits = {};
+      Object.keys(amounts).forEach((field) => {
+        splits[field] = splitKobo(amounts[field], monthsWorked);
+      });
+      return splits;
+    };
+    const earnings = splitFields(kobo.earnings);
+    const deductions = splitFields(kobo.allowableDeductions);
+    const pension = splitKobo(kobo.pension, monthsWorked);
+    const tax = splitKobo(kobo.tax, monthsWorked);
+    // Taxable income is spread over every month covered, including any earlier employer
+    const taxable = splitKobo(kobo.ati, monthsCovered).slice(-monthsWorked);
+
+    return pension.map((monthPension, index) => {
+      const pick = (splits) => {
+        const lines = {};
+        Object.keys(splits).forEach((field) => {
+          lines[field] = splits[field][index];
+        });
+        return lines;
+      };
+      const earningLines = pick(earnings);
+      const deductionLines = pick(deductions);
+      const gross = sumKobo(Object.values(earningLines));
+      const deductionTotal = sumKobo(Object.values(deductionLines));
+      const ans = gross - monthPension - deductionTotal;
+
+      return {
+        month: startMonth + index,
+        earnings: earningLines,
+        allowableDeductions: deductionLines,
+        gross,
+        pension: monthPension,
+        deductions: deductionTotal,
+        ans,
+        taxable: taxable[index],
+        tax: tax[index],
+        net: ans - tax[index],
+      };
+    });
+  }
+
+  /**
+   * Run the full payroll calculation for one employee
+   * Amounts are annual rates; with start/end dates or a previous employer the
+   * reliefs and bands are pro-rated to the months covered, and "annual"
+   * figures are for the months worked here. Every step is worked in whole
+   * kobo (see ROUNDING); "schedule" holds the month-by-month deductions,
+   * which add up exactly to the annual figures, and "monthly" is a regular
+   * (not final) month.
+   * @param {object} salary - Plain salary object (annual amounts)
+   * @returns {object} ANS, ATI, reliefs, band breakdown, annual, monthly and month-by-month figures
+   */
+  function calculatePayroll(salary) {
+    const values = normalizeSalary(salary);
+    const ruleDate = getRuleDate(values);
+    const rules = getSalaryRules(values);
+    const period = getEmploymentPeriod(values);
+    const forMonthsWorked = (amount) =>
+      scaleKobo(toKobo(amount), period.monthsWorked, 12, ROUNDING.proRata);
+    const byField = (amounts) => {
+      const kobo = {};
+      Object.keys(amounts).forEach((field) => {
+        kobo[field] = forMonthsWorked(amounts[field]);
+      });
+      return kobo;
+    };
+
+    // Pay for the months worked at this employer
+    const earningsKobo = byField(
+      Object.fromEntries(EARNING_FIELDS.map((field) => [field, values[field]]))
+    );
+    const deductionsKobo = byField(calculateDeductions(values));
+    const grossKobo = sumKobo(Object.values(earningsKobo));
+    const pensionKobo = forMonthsWorked(calculatePension(values));
+    const deductionTotalKobo = sumKobo(Object.values(deductionsKobo));
+    const employmentAnsKobo = grossKobo - pensionKobo - deductionTotalKobo;
+
+    // Tax is worked out on the whole period, including the previous employer
+    const previous = {
+      gross: values.previousGross,
+      pension: values.previousPension,
+      tax: values.previousTax,
+    };
+    const ansKobo =
+      employmentAnsKobo + toKobo(previous.gross) - toKobo(previous.pension);
+    const reliefs = calculateReliefs(
+      fromKobo(ansKobo),
+      rules,
+      fromKobo(forMonthsWorked(values.rentPaid)),
+      period.monthsCovered
+    );
+    const atiKobo = Math.max(0, ansKobo - toKobo(reliefs.total));
+    const { breakdown, bandTax, minimumTax, totalTax, rule } =
+      calculateTaxLiability(
+        fromKobo(atiKobo),
+        fromKobo(grossKobo + toKobo(previous.gross)),
+        rules,
+        period.monthsCovered
+      );
+    const taxPayableKobo = Math.max(0, toKobo(totalTax) - toKobo(previous.tax));
+
+    const schedule = splitPayKobo(
+      {
+        earnings: earningsKobo,
+        allowableDeductions: deductionsKobo,
+        pension: pensionKobo,
+        ati: atiKobo,
+        tax: taxPayableKobo,
+      },
+      period
+    ).map((month) => ({
+      month: month.month,
+      gross: fromKobo(month.gross),
+      pension: fromKobo(month.pension),
+      deductions: fromKobo(month.deductions),
+      ans: fromKobo(month.ans),
+      taxable: fromKobo(month.taxable),
+      tax: fromKobo(month.tax),
+      net: fromKobo(month.net),
+    }));
+    const regular = schedule[0];
+
+    const toNaira = (kobo) => {
+      const naira = {};
+      Object.keys(kobo).forEach((field) => {
+        naira[field] = fromKobo(kobo[field]);
+      });
+      return naira;
+    };
+
+    return {
+      regime: rules.regime,
+      // Rule set used; inForce is false when the regime was not law on the pay period date
+      ruleSet: {
+        id: rules.id,
+        jurisdiction: rules.jurisdiction,
+        effectiveFrom: rules.effectiveFrom,
+        effectiveTo: rules.effectiveTo,
+        inForce: ruleDate ? TaxRules.isInForce(rules, ruleDate) : null,
+      },
+      inputs: values,
+      period,
+      previous,
+      earnings: toNaira(earningsKobo),
+      gross: fromKobo(grossKobo),
+      pension: fromKobo(pensionKobo),
+      deductions: fromKobo(deductionTotalKobo),
+      allowableDeductions: toNaira(deductionsKobo),
+      ans: fromKobo(ansKobo),
+      reliefs,
+      ati: fromKobo(atiKobo),
+      breakdown,
+      bandTax,
+      minimumTax,
+      taxRule: rule,
+      totalTax,
+      taxPayable: fromKobo(taxPayableKobo),
+      annual: {
+        gross: fromKobo(grossKobo),
+        ans: fromKobo(employmentAnsKobo),
+        tax: fromKobo(taxPayableKobo),
+        net: fromKobo(employmentAnsKobo - taxPayableKobo), // Net Salary After Tax
+      },
+      monthly: {
+        gross: regular.gross,
+        ans: regular.ans, // Monthly Net Salary
+        tax: regular.tax, // Monthly Tax
+        net: regular.net, // Monthly Net Salary After Tax
+      },
+      schedule,
+    };
+  }
+
+  /**
+   * Pay lines for one month of a calculation, by earning and deduction
+   * @param {object} result - Result of calculatePayroll
+   * @param {number} [month] - Calendar month (1-12); a regular month when not worked or not given
+   * @returns {object} The schedule entry plus earnings and allowableDeductions by field (naira)
+   */
+  function getPayMonth(result, month) {
+    const index = Math.max(
+      0,
+      result.schedule.findIndex((entry) => entry.month === month)
+    );
+    const kobo = (amounts) => {
+      const converted = {};
+      Object.keys(amounts).forEach((field) => {
+        converted[field] = toKobo(amounts[field]);
+      });
+      return converted;
+    };
+    const lines = splitPayKobo(
+      {
+        earnings: kobo(result.earnings),
+        allowableDeductions: kobo(result.allowableDeductions),
+        pension: toKobo(result.pension),
+        ati: toKobo(result.ati),
+        tax: toKobo(result.annual.tax),
+      },
+      result.period
+    )[index];
+    const naira = (amounts) => {
+      const converted = {};
+      Object.keys(amounts).forEach((field) => {
+        converted[field] = fromKobo(amounts[field]);
+      });
+      return converted;
+    };
+
+    return Object.assign({}, result.schedule[index], {
+      earnings: naira(lines.earnings),
+      allowableDeductions: naira(lines.allowableDeductions),
+    });
+  }
+
+  /**
+   * Calculate the employer's cost to company for one employee
+   * Like calculatePayroll, a part-year employment (start/end dates) is
+   * pro-rated to the months worked, and "monthly" is a regular month: each
+   * line is split on its own, rounded down, so the lines add up to the total.
+   * @param {object} salary - Plain salary object (annual amounts)
+   * @param {object} [levies] - employerPension, nsitf, itf switches and annual groupLifePremium
+   * @returns {object} Each levy, total levies, annual (months worked) and monthly figures
+   */
+  function calculateEmployerCost(salary, levies = {}) {
+    const values = normalizeSalary(salary);
+    const options = Object.assign({}, DEFAULT_EMPLOYER_LEVIES, levies);
+    const rules = getSalaryRules(values);
+    const { monthsWorked } = getEmploymentPeriod(values);
+    const forMonthsWorked = (kobo) =>
+      scaleKobo(kobo, monthsWorked, 12, ROUNDING.proRata);
+
+    const annualGrossKobo = toKobo(calculateGross(values));
+    const levy = (base, rate) =>
+      forMonthsWorked(applyRate(base, rate, ROUNDING.contribution));
+
+    const grossKobo = forMonthsWorked(annualGrossKobo);
+    const kobo = {
+      employerPension: options.employerPension
+        ? levy(pensionBaseKobo(values), rules.pension.employerRate)
+        : 0,
+      nsitf: options.nsitf ? levy(annualGrossKobo, rules.nsitfRate) : 0,
+      itf: options.itf ? levy(annualGrossKobo, rules.itfRate) : 0,
+      groupLife: forMonthsWorked(Math.max(0, toKobo(options.groupLifePremium))),
+    };
+    const totalLevies = sumKobo(Object.values(kobo));
+
+    const regularMonth = (amount) => splitKobo(amount, monthsWorked)[0];
+    const monthlyKobo = {};
+    Object.keys(kobo).forEach((field) => {
+      monthlyKobo[field] = regularMonth(kobo[field]);
+    });
+    const monthlyGross = regularMonth(grossKobo);
+    const monthlyLevies = sumKobo(Object.values(monthlyKobo));
+
+    return {
+      gross: fromKobo(grossKobo),
+      employerPension: fromKobo(kobo.employerPension),
+      nsitf: fromKobo(kobo.nsitf),
+      itf: fromKobo(kobo.itf),
+      groupLife: fromKobo(kobo.groupLife),
+      totalLevies: fromKobo(totalLevies),
+      monthsWorked,
+      annual: {
+        gross: fromKobo(grossKobo),
+        levies: fromKobo(totalLevies),
+        total: fromKobo(grossKobo + totalLevies),
+      },
+      monthly: {
+        gross: fromKobo(monthlyGross),
+        employerPension: fromKobo(monthlyKobo.employerPension),
+        nsitf: fromKobo(monthlyKobo.nsitf),
+        itf: fromKobo(monthlyKobo.itf),
+        groupLife: fromKobo(monthlyKobo.groupLife),
+        levies: fromKobo(monthlyLevies),
+        total: fromKobo(monthlyGross + monthlyLevies),
+      },
+    };
+  }
+
+  return {
+    DEFAULT_REGIME,
+    ROUNDING,
+    DEFAULT_EMPLOYER_LEVIES,
+    EARNING_FIELDS,
+    DEDUCTION_FIELDS,
+    PREVIOUS_EMPLOYMENT_FIELDS,
+    getTaxRegime,
+    getRegimeIds: TaxRules.getRegimeIds,
+    getRuleDate,
+    normalizeSalary,
+    parseDate,
+    getEmploymentPeriod,
+    validateSalary,
+    calculateGross,
+    calculatePension,
+    calculateNHF,
+    calculateNHIS,
+    calculateDeductions,
+    calculateANS,
+    calculateReliefs,
+    calculateATI,
+    calculateTaxBreakdown,
+    calculateTaxLiability,
+    calculatePayroll,
+    getPayMonth,
+    calculateEmployerCost,
+  };
+});
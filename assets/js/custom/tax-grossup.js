@@ -0,0 +1,189 @@
+/**
+ * Net-to-Gross (Gross-Up) Solver
+ * Works out the gross package that produces a target monthly take-home pay,
+ * using the same pension, relief and tax band rules as TaxCore.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./money.js"), require("./tax-core.js"));
+  } else {
+    root.TaxGrossUp = factory(root.MoneyUtils, root.TaxCore);
+  }
+})(typeof self !== "undefined" ? self : this, function (MoneyUtils, TaxCore) {
+  "use strict";
+
+  // Salary components the solved package is split across
+  const SPLIT_FIELDS = [
+    "basicSalary",
+    "housingAllowance",
+    "transportAllowance",
+  ];
+
+  const DEFAULT_SPLIT = {
+    basicSalary: 50,
+    housingAllowance: 30,
+    transportAllowance: 20,
+  };
+
+  // Safety limit on the bisection (monthly gross is searched in kobo)
+  const MAX_ITERATIONS = 100;
+
+  // Net pay is rounded line by line, so a whole-kobo monthly package can step
+  // past the target; up to this many annual kobo are then added to the last
+  // component of the package just below it
+  const MAX_TOP_UP_KOBO = 1200;
+
+  /**
+   * Check a gross-up request before solving
+   * @param {number} targetMonthlyNet - Target monthly net pay after tax
+   * @param {object} split - Percentage split keyed by SPLIT_FIELDS
+   * @returns {array} Error messages (empty when valid)
+   */
+  function validateGrossUpRequest(targetMonthlyNet, split) {
+    const errors = [];
+
+    if (!(Number.parseFloat(targetMonthlyNet) > 0)) {
+      errors.push("Please enter a target monthly net pay greater than zero.");
+    }
+
+    const percentages = SPLIT_FIELDS.map(
+      (field) => Number.parseFloat(split && split[field]) || 0
+    );
+    if (percentages.some((percent) => percent < 0)) {
+      errors.push("Allowance split percentages cannot be negative.");
+    }
+    if (Math.abs(percentages.reduce((sum, p) => sum + p, 0) - 100) > 0.001) {
+      errors.push(
+        "Basic, Housing and Transport percentages must add up to 100%."
+      );
+    }
+
+    return errors;
+  }
+
+  /**
+   * Split an annual package (in kobo) across the salary components
+   * @param {number} annualKobo - Annual package in kobo
+   * @param {object} split - Percentage split keyed by SPLIT_FIELDS
+   * @param {number} [topUpKobo] - Extra annual kobo for the last component
+   * @returns {object} Annual amounts in naira keyed by SPLIT_FIELDS
+   */
+  function allocatePackage(annualKobo, split, topUpKobo = 0) {
+    const amounts = {};
+    let allocated = 0;
+
+    SPLIT_FIELDS.forEach((field, index) => {
+      // The last component takes the remainder so the parts add up exactly
+      const kobo =
+        index === SPLIT_FIELDS.length - 1
+          ? annualKobo - allocated + topUpKobo
+          : Math.round(
+              (annualKobo * (Number.parseFloat(split[field]) || 0)) / 100
+            );
+      allocated += kobo;
+      amounts[field] = MoneyUtils.fromKobo(kobo);
+    });
+
+    return amounts;
+  }
+
+  /**
+   * Run the forward calculation for a monthly package
+   * @param {number} monthlyKobo - Monthly package in kobo
+   * @param {object} split - Percentage split keyed by SPLIT_FIELDS
+   * @param {object} baseSalary - Other salary inputs (allowances, deductions)
+   * @param {number} [topUpKobo] - Extra annual kobo for the last component
+   * @returns {object} Salary object, TaxCore result and monthly net in kobo
+   */
+  function evaluate(monthlyKobo, split, baseSalary, topUpKobo = 0) {
+    const salary = Object.assign(
+      {},
+      baseSalary,
+      allocatePackage(monthlyKobo * 12, split, topUpKobo)
+    );
+    const result = TaxCore.calculatePayroll(salary);
+
+    return {
+      salary,
+      result,
+      netKobo: MoneyUtils.toKobo(result.monthly.net),
+    };
+  }
+
+  /**
+   * Find the gross package that gives the target monthly net pay
+   * The smallest whole-kobo monthly package that reaches the target is found
+   * first; when its net pay overshoots, the package a kobo below is topped up
+   * an annual kobo at a time (each step adds at most a kobo of net pay).
+   * @param {number} targetMonthlyNet - Target monthly net pay after tax
+   * @param {object} [split] - Percentage split keyed by SPLIT_FIELDS
+   * @param {object} [baseSalary] - Other salary inputs (regime, pension, extras)
+   * @returns {object} Solved package, gross pay, salary object and result
+   */
+  function solveGrossUp(
+    targetMonthlyNet,
+    split = DEFAULT_SPLIT,
+    baseSalary = {}
+  ) {
+    const targetKobo = MoneyUtils.toKobo(targetMonthlyNet);
+
+    // Grow the upper bound until it clears the target
+    let low = 0;
+    let high = Math.max(targetKobo * 2, 100);
+    let iterations = 0;
+    while (
+      evaluate(high, split, baseSalary).netKobo < targetKobo &&
+      iterations < MAX_ITERATIONS
+    ) {
+      low = high;
+      high *= 2;
+      iterations += 1;
+    }
+
+    // Net pay rises with gross, so bisect for the smallest package that hits it
+    while (high - low > 1 && iterations < MAX_ITERATIONS) {
+      const mid = Math.floor((low + high) / 2);
+      if (evaluate(mid, split, baseSalary).netKobo >= targetKobo) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+      iterations += 1;
+    }
+
+    let monthlyKobo = high;
+    let topUpKobo = 0;
+    let solution = evaluate(high, split, baseSalary);
+    if (solution.netKobo !== targetKobo && high > 0) {
+      for (let extra = 1; extra <= MAX_TOP_UP_KOBO; extra += 1) {
+        const candidate = evaluate(high - 1, split, baseSalary, extra);
+        if (candidate.netKobo === targetKobo) {
+          monthlyKobo = high - 1;
+          topUpKobo = extra;
+          solution = candidate;
+          break;
+        }
+      }
+    }
+    const annualKobo = monthlyKobo * 12 + topUpKobo;
+
+    return {
+      annualPackage: MoneyUtils.fromKobo(annualKobo),
+      monthlyGross: solution.result.monthly.gross,
+      annualGross: solution.result.gross,
+      components: allocatePackage(monthlyKobo * 12, split, topUpKobo),
+      salary: solution.salary,
+      result: solution.result,
+      exact: solution.netKobo === targetKobo,
+      difference: MoneyUtils.fromKobo(solution.netKobo - targetKobo),
+    };
+  }
+
+  return {
+    SPLIT_FIELDS,
+    DEFAULT_SPLIT,
+    validateGrossUpRequest,
+    allocatePackage,
+    solveGrossUp,
+  };
+});
@@ -0,0 +1,418 @@
+/**
+ * Tax Rule Tables
+ * Loads the versioned, date-effective tax rule sets (bands, reliefs, pension,
+ * NHF, NHIS, NSITF and ITF rates, minimum tax and minimum wage) from assets/data/tax-rules.json, checks
+ * them against the rule file schema and picks the set for a regime and date.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("../../data/tax-rules.json"));
+  } else {
+    root.TaxRules = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function (bundledRules) {
+  "use strict";
+
+  // Rule file fetched by the calculator page
+  const RULES_URL = "./assets/data/tax-rules.json";
+
+  // Rule sets for a state without its own fall back to the federal ones
+  const DEFAULT_JURISDICTION = "NG";
+
+  const RATE = { type: "number", minimum: 0, maximum: 1 };
+  const AMOUNT = { type: "number", minimum: 0 };
+  const TEXT = { type: "string", minLength: 1 };
+  const DATE_PATTERN = "^\\d{4}-\\d{2}-\\d{2}$";
+
+  // One band of the tax table; max is null for the open top band
+  const BAND_SCHEMA = {
+    type: "object",
+    required: ["min", "max", "rate", "label"],
+    additionalProperties: false,
+    properties: {
+      min: AMOUNT,
+      max: { type: ["number", "null"], minimum: 0 },
+      rate: RATE,
+      label: TEXT,
+    },
+  };
+
+  const RULE_SET_SCHEMA = {
+    type: "object",
+    required: [
+      "id",
+      "regime",
+      "jurisdiction",
+      "label",
+      "effectiveFrom",
+      "effectiveTo",
+      "bands",
+      "reliefs",
+      "pension",
+      "nhfRate",
+      "nhisRate",
+      "nsitfRate",
+      "itfRate",
+      "minimumTaxRate",
+      "minimumWage",
+      "atiDescription",
+      "rentHelp",
+    ],
+    additionalProperties: false,
+    properties: {
+      id: { type: "string", pattern: "^[a-z0-9-]+$" },
+      regime: TEXT,
+      // Country code, or country-state for a state rule (e.g. NG-LA)
+      jurisdiction: { type: "string", pattern: "^[A-Z]{2}(-[A-Z0-9]{1,3})?$" },
+      label: TEXT,
+      source: TEXT,
+      effectiveFrom: { type: "string", pattern: DATE_PATTERN },
+      effectiveTo: { type: ["string", "null"], pattern: DATE_PATTERN },
+      bands: { type: "array", minItems: 1, items: BAND_SCHEMA },
+      reliefs: {
+        type: "object",
+        required: ["consolidated", "rent"],
+        additionalProperties: false,
+        properties: {
+          // Higher of floor or ansRate of ANS, plus additionalAnsRate of ANS
+          consolidated: {
+            type: ["object", "null"],
+            required: ["floor", "ansRate", "additionalAnsRate"],
+            additionalProperties: false,
+            properties: {
+              floor: AMOUNT,
+              ansRate: RATE,
+              additionalAnsRate: RATE,
+            },
+          },
+          // Share of rent paid, up to an annual cap
+          rent: {
+            type: ["object", "null"],
+            required: ["rate", "cap"],
+            additionalProperties: false,
+            properties: { rate: RATE, cap: AMOUNT },
+          },
+        },
+      },
+      pension: {
+        type: "object",
+        required: ["employeeRate", "employerRate"],
+        additionalProperties: false,
+        properties: {
+          employeeRate: RATE,
+          employerRate: RATE,
+          // Annual limit on the auto-calculated employee contribution
+          cap: { type: ["number", "null"], minimum: 0 },
+        },
+      },
+      // Shares of basic salary for the NHF and NHIS switches on the form
+      nhfRate: RATE,
+      nhisRate: RATE,
+      // Employer levies on gross pay: NSITF on total payroll, ITF on annual
+      // payroll (5+ staff or ₦50m+ turnover)
+      nsitfRate: RATE,
+      itfRate: RATE,
+      minimumTaxRate: RATE,
+      minimumWage: AMOUNT, // monthly
+      atiDescription: TEXT,
+      rentHelp: TEXT,
+    },
+  };
+
+  const RULES_SCHEMA = {
+    type: "object",
+    required: ["schemaVersion", "ruleSets"],
+    additionalProperties: false,
+    properties: {
+      schemaVersion: { enum: [1] },
+      ruleSets: { type: "array", minItems: 1, items: RULE_SET_SCHEMA },
+    },
+  };
+
+  let ruleSets = [];
+  let loading = null;
+
+  /**
+   * JSON type name of a value
+   * @param {*} value - Any JSON value
+   * @returns {string} object, array, string, number, boolean or null
+   */
+  function typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+
+  /**
+   * Check a value against a schema (the JSON Schema keywords used above)
+   * @param {*} value - Value to check
+   * @param {object} schema - Schema
+   * @param {string} path - Location of the value, for messages
+   * @returns {array} Error messages (empty when valid)
+   */
+  function checkSchema(value, schema, path) {
+    const type = typeOf(value);
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return [`${path} must be one of ${schema.enum.join(", ")}`];
+    }
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.includes(type) || (type === "number" && !isFinite(value))) {
+        return [`${path} must be ${types.join(" or ")}`];
+      }
+    }
+
+    const errors = [];
+    if (type === "number") {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+      }
+    } else if (type === "string") {
+      if (schema.minLength && value.length < schema.minLength) {
+        errors.push(`${path} cannot be empty`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path} "${value}" does not match ${schema.pattern}`);
+      }
+    } else if (type === "array") {
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${path} needs at least ${schema.minItems} item(s)`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...checkSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+    } else if (type === "object") {
+      const properties = schema.properties || {};
+      (schema.required || []).forEach((key) => {
+        if (!(key in value)) errors.push(`${path}.${key} is required`);
+      });
+      Object.keys(value).forEach((key) => {
+        if (properties[key]) {
+          errors.push(
+            ...checkSchema(value[key], properties[key], `${path}.${key}`)
+          );
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not a known field`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a YYYY-MM-DD string is a real calendar date
+   * @param {string} text - Date string
+   * @returns {boolean} True for a valid date
+   */
+  function isValidDate(text) {
+    const date = new Date(`${text}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(text);
+  }
+
+  /**
+   * Check a rule file: the schema, then bands, dates and overlapping versions
+   * @param {object} data - Parsed rule file
+   * @returns {array} Error messages (empty when valid)
+   */
+  function validateRuleFile(data) {
+    const errors = checkSchema(data, RULES_SCHEMA, "rules");
+    if (errors.length) return errors;
+
+    const ids = new Set();
+    data.ruleSets.forEach((set, index) => {
+      const path = `rules.ruleSets[${index}] (${set.id})`;
+
+      if (ids.has(set.id)) errors.push(`${path}: id is used more than once`);
+      ids.add(set.id);
+
+      set.bands.forEach((band, bandIndex) => {
+        const previous = set.bands[bandIndex - 1];
+        const last = bandIndex === set.bands.length - 1;
+        if ((previous ? previous.max : 0) !== band.min) {
+          errors.push(
+            `${path}: band ${bandIndex + 1} must start where the one before ends`
+          );
+        }
+        if (last ? band.max !== null : band.max === null) {
+          errors.push(`${path}: only the top band has no maximum`);
+        } else if (band.max !== null && band.max <= band.min) {
+          errors.push(`${path}: band ${bandIndex + 1} ends before it starts`);
+        }
+      });
+
+      if (
+        !isValidDate(set.effectiveFrom) ||
+        (set.effectiveTo && !isValidDate(set.effectiveTo))
+      ) {
+        errors.push(`${path}: effective dates must be real dates`);
+      } else if (set.effectiveTo && set.effectiveTo < set.effectiveFrom) {
+        errors.push(`${path}: effectiveTo is before effectiveFrom`);
+      }
+
+      // Two versions of one regime cannot both be in force on the same day
+      data.ruleSets.slice(0, index).forEach((other) => {
+        if (
+          other.regime === set.regime &&
+          other.jurisdiction === set.jurisdiction &&
+          other.effectiveFrom <= (set.effectiveTo || "9999-12-31") &&
+          set.effectiveFrom <= (other.effectiveTo || "9999-12-31")
+        ) {
+          errors.push(`${path}: dates overlap with ${other.id}`);
+        }
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Turn a rule set from the file into the form the calculation uses
+   * @param {object} set - Rule set from the file
+   * @returns {object} Rule set with an open top band of Infinity
+   */
+  function compileRuleSet(set) {
+    return Object.assign({}, set, {
+      brackets: set.bands.map((band) =>
+        Object.assign({}, band, {
+          max: band.max === null ? Number.POSITIVE_INFINITY : band.max,
+        })
+      ),
+      pension: Object.assign({ cap: null }, set.pension),
+    });
+  }
+
+  /**
+   * Validate a rule file and make its rule sets the ones in use
+   * @param {object} data - Parsed rule file
+   * @returns {array} Compiled rule sets, oldest first
+   * @throws {Error} Listing every problem when the file is invalid
+   */
+  function installRules(data) {
+    const errors = validateRuleFile(data);
+    if (errors.length) {
+      throw new Error(`Invalid tax rules:\n${errors.join("\n")}`);
+    }
+
+    ruleSets = data.ruleSets
+      .map(compileRuleSet)
+      .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    return ruleSets;
+  }
+
+  /**
+   * Fetch and install the rule file (browser)
+   * @param {string} [url] - Rule file location
+   * @returns {Promise} Resolves with the compiled rule sets
+   */
+  function loadRules(url = RULES_URL) {
+    if (!loading) {
+      loading = fetch(url)
+        .then((response) => {
+          if (!response.ok) {
+            throw new Error(`Could not load ${url} (${response.status})`);
+          }
+          return response.json();
+        })
+        .then(installRules);
+      loading.catch(() => {
+        loading = null;
+      });
+    }
+    return loading;
+  }
+
+  /**
+   * Check whether a rule set is in force on a date
+   * @param {object} set - Rule set
+   * @param {string} date - YYYY-MM-DD
+   * @returns {boolean} True when the date falls in its effective period
+   */
+  function isInForce(set, date) {
+    return (
+      set.effectiveFrom <= date && (!set.effectiveTo || date <= set.effectiveTo)
+    );
+  }
+
+  /**
+   * Pick the rule set for a regime, jurisdiction and date
+   * For a known regime this is the version in force on the date (or the
+   * nearest one when none is); with no date it is the latest version. For an
+   * unknown regime it is whichever rule set is in force on the date.
+   * @param {object} criteria - regime, jurisdiction and date (YYYY-MM-DD)
+   * @returns {object|null} Compiled rule set, or null when nothing matches
+   * @throws {Error} When no rules have been loaded
+   */
+  function selectRuleSet({ regime, jurisdiction, date } = {}) {
+    if (!ruleSets.length) {
+      throw new Error("Tax rules have not been loaded");
+    }
+
+    let candidates = ruleSets.filter(
+      (set) => set.jurisdiction === (jurisdiction || DEFAULT_JURISDICTION)
+    );
+    if (!candidates.length) {
+      candidates = ruleSets.filter(
+        (set) => set.jurisdiction === DEFAULT_JURISDICTION
+      );
+    }
+
+    const versions = candidates.filter((set) => set.regime === regime);
+    if (!versions.length) {
+      return (date && candidates.find((set) => isInForce(set, date))) || null;
+    }
+    if (!date) {
+      return versions[versions.length - 1];
+    }
+
+    const started = versions.filter((set) => set.effectiveFrom <= date);
+    return started.length ? started[started.length - 1] : versions[0];
+  }
+
+  /**
+   * Look up a rule set by its id
+   * @param {string} id - Rule set id (e.g. "ng-pita-2024")
+   * @returns {object|undefined} Compiled rule set
+   */
+  function getRuleSet(id) {
+    return ruleSets.find((set) => set.id === id);
+  }
+
+  /**
+   * Regimes available for a jurisdiction
+   * @param {string} [jurisdiction] - Jurisdiction code
+   * @returns {array} Regime identifiers
+   */
+  function getRegimeIds(jurisdiction = DEFAULT_JURISDICTION) {
+    return Array.from(
+      new Set(
+        ruleSets
+          .filter((set) => set.jurisdiction === jurisdiction)
+          .map((set) => set.regime)
+      )
+    );
+  }
+
+  if (bundledRules) {
+    installRules(bundledRules);
+  }
+
+  return {
+    RULES_URL,
+    DEFAULT_JURISDICTION,
+    RULES_SCHEMA,
+    validateRuleFile,
+    installRules,
+    loadRules,
+    isInForce,
+    selectRuleSet,
+    getRuleSet,
+    getRegimeIds,
+  };
+});
@@ -1,22 +1,24 @@
 /**
  * Tax Calculator JavaScript
- * Handles all calculations and form interactions for the Nigerian tax calculator
+ * Handles form interactions for the Nigerian tax calculator; the calculations
+ * themselves live in tax-core.js
  */
 
-// Tax brackets configuration (Nigerian tax system)
-const TAX_BRACKETS = [
-  { min: 0, max: 300000, rate: 0.07, label: "First ₦300,000" },
-  { min: 300000, max: 600000, rate: 0.11, label: "Next ₦300,000" },
-  { min: 600000, max: 1100000, rate: 0.15, label: "Next ₦500,000" },
-  { min: 1100000, max: 1600000, rate: 0.19, label: "Next ₦500,000" },
-  { min: 1600000, max: 3200000, rate: 0.21, label: "Next ₦1,600,000" },
-  {
-    min: 3200000,
-    max: Number.POSITIVE_INFINITY,
-    rate: 0.24,
-    label: "Amount Above ₦3,200,000",
-  },
-];
+// Calculation core (assets/js/custom/tax-core.js, loaded before this file);
+// its rule tables are fetched by TaxRules.loadRules when the page loads
+const { DEFAULT_REGIME, getTaxRegime } = TaxCore;
+
+// Result labels for the allowable deductions (TaxCore.DEDUCTION_FIELDS)
+const DEDUCTION_LABELS = {
+  nhfContribution: "National Housing Fund",
+  nhisContribution: "NHIS Contribution",
+  voluntaryPension: "Voluntary Pension Contribution",
+  mortgageInterest: "Mortgage Interest",
+  lifeInsurance: "Life Insurance Premium",
+  tempDisabilityInsurance: "Temporary Disability Insurance",
+  permDisabilityInsurance: "Permanent Disability Insurance",
+  rentPaid: "Rent Paid",
+};
 
 /**
  * Format number as Nigerian Naira currency
@@ -76,105 +78,218 @@ function getFormValues() {
         document.getElementById("permDisabilityInsurance").value
       ) || 0,
     rentPaid: Number.parseFloat(document.getElementById("rentPaid").value) || 0,
+    nhfContribution:
+      Number.parseFloat(document.getElementById("nhfContribution").value) || 0,
+    nhfEnabled: document.getElementById("nhfToggle").checked,
+    nhisContribution:
+      Number.parseFloat(document.getElementById("nhisContribution").value) || 0,
+    nhisEnabled: document.getElementById("nhisToggle").checked,
+    voluntaryPension:
+      Number.parseFloat(document.getElementById("voluntaryPension").value) || 0,
+    mortgageInterest:
+      Number.parseFloat(document.getElementById("mortgageInterest").value) || 0,
+    startDate: document.getElementById("startDate").value,
+    endDate: document.getElementById("endDate").value,
+    previousGross:
+      Number.parseFloat(document.getElementById("previousGross").value) || 0,
+    previousPension:
+      Number.parseFloat(document.getElementById("previousPension").value) || 0,
+    previousTax:
+      Number.parseFloat(document.getElementById("previousTax").value) || 0,
     pensionContribution:
       Number.parseFloat(document.getElementById("pensionContribution").value) ||
       0,
     pensionEnabled: document.getElementById("pensionToggle").checked,
+    regime: document.getElementById("taxRegime").value || DEFAULT_REGIME,
   };
 }
 
 /**
- * Calculate Annual Net Salary (ANS)
- * @param {object} values - Form values object
- * @returns {number} Annual Net Salary
+ * Fill the form from a values object (the shape getFormValues returns)
+ * Amounts the form works out itself (pension, NHF, NHIS while switched on)
+ * are recalculated rather than copied.
+ * @param {object} values - Form values
  */
-function calculateANS(values) {
-  const grossSalary =
-    values.basicSalary +
-    values.housingAllowance +
-    values.transportAllowance +
-    values.leaveAllowance +
-    values.mealsAllowance +
-    values.energyAllowance +
-    values.otherAllowances;
-
-  const statutoryDeductions =
-    values.lifeInsurance +
-    values.tempDisabilityInsurance +
-    values.permDisabilityInsurance +
-    values.rentPaid;
-
-  // Add pension contribution if enabled
-  let pensionDeduction = 0;
-  if (values.pensionEnabled) {
-    // 8% of (Basic + Housing + Transport)
-    const pensionBase =
-      values.basicSalary + values.housingAllowance + values.transportAllowance;
-    pensionDeduction = pensionBase * 0.08;
-
-    // Update pension input field with calculated value
-    document.getElementById("pensionContribution").value =
-      pensionDeduction.toFixed(2);
-  } else {
-    pensionDeduction = values.pensionContribution;
-  }
+function setFormValues(values) {
+  const toggles = {
+    pensionEnabled: "pensionToggle",
+    nhfEnabled: "nhfToggle",
+    nhisEnabled: "nhisToggle",
+  };
+  Object.entries(toggles).forEach(([field, toggleId]) => {
+    document.getElementById(toggleId).checked = !!values[field];
+  });
+  updatePensionContribution();
+  updateAutoContributions();
 
-  return grossSalary - statutoryDeductions - pensionDeduction;
+  const autoFields = {
+    pensionContribution: values.pensionEnabled,
+    nhfContribution: values.nhfEnabled,
+    nhisContribution: values.nhisEnabled,
+  };
+  TaxCore.EARNING_FIELDS.concat(
+    TaxCore.DEDUCTION_FIELDS,
+    TaxCore.PREVIOUS_EMPLOYMENT_FIELDS,
+    ["pensionContribution", "startDate", "endDate"]
+  ).forEach((fieldId) => {
+    if (autoFields[fieldId]) return;
+    document.getElementById(fieldId).value = values[fieldId] || "";
+  });
+
+  if (TaxCore.getRegimeIds().includes(values.regime)) {
+    document.getElementById("taxRegime").value = values.regime;
+  }
+  showRegimeDetails();
+  if (values.pensionEnabled) updatePensionContribution();
+  updateAutoContributions();
 }
 
 /**
- * Calculate Annual Taxable Income (ATI)
- * @param {number} ans - Annual Net Salary
- * @returns {number} Annual Taxable Income
+ * Get the employer levy switches
+ * @returns {object} Levy options for TaxCore.calculateEmployerCost
  */
-function calculateATI(ans) {
-  // Higher of NGN 200,000 or 1% of ANS
-  const consolidatedRelief = Math.max(200000, ans * 0.01);
+function getEmployerLevyValues() {
+  return {
+    employerPension: document.getElementById("employerPensionToggle").checked,
+    nsitf: document.getElementById("nsitfToggle").checked,
+    itf: document.getElementById("itfToggle").checked,
+    groupLifePremium:
+      Number.parseFloat(document.getElementById("groupLifePremium").value) || 0,
+  };
+}
 
-  // 20% of ANS
-  const additionalRelief = ans * 0.2;
+/**
+ * Get the net-to-gross inputs
+ * @returns {object} Target monthly net pay and allowance split
+ */
+function getGrossUpValues() {
+  return {
+    targetMonthlyNet:
+      Number.parseFloat(document.getElementById("targetNetPay").value) || 0,
+    split: {
+      basicSalary:
+        Number.parseFloat(document.getElementById("splitBasic").value) || 0,
+      housingAllowance:
+        Number.parseFloat(document.getElementById("splitHousing").value) || 0,
+      transportAllowance:
+        Number.parseFloat(document.getElementById("splitTransport").value) || 0,
+    },
+  };
+}
 
-  // ATI = ANS - Consolidated Relief - Additional Relief
-  return Math.max(0, ans - consolidatedRelief - additionalRelief);
+/**
+ * Whether the form is in net-to-gross mode
+ * @returns {boolean} True when solving for gross pay
+ */
+function isGrossUpMode() {
+  return document.getElementById("calculationMode").value === "netToGross";
 }
 
 /**
- * Calculate tax for each bracket
- * @param {number} ati - Annual Taxable Income
- * @returns {object} Tax breakdown by bracket
+ * Show or hide the net-to-gross inputs and results for the chosen mode
  */
-function calculateTaxBreakdown(ati) {
-  const breakdown = [];
-  let remainingIncome = ati;
-  let totalTax = 0;
-
-  for (const bracket of TAX_BRACKETS) {
-    if (remainingIncome <= 0) {
-      breakdown.push({
-        bracket: bracket.label,
-        rate: bracket.rate,
-        taxableAmount: 0,
-        taxAmount: 0,
-      });
-      continue;
-    }
+function updateCalculationMode() {
+  const grossUp = isGrossUpMode();
 
-    const bracketSize = bracket.max - bracket.min;
-    const taxableInThisBracket = Math.min(remainingIncome, bracketSize);
-    const taxForThisBracket = taxableInThisBracket * bracket.rate;
+  document.getElementById("grossUpFields").classList.toggle("d-none", !grossUp);
+  document
+    .getElementById("grossUpResultSection")
+    .classList.toggle("d-none", !grossUp);
 
-    breakdown.push({
-      bracket: bracket.label,
-      rate: bracket.rate,
-      taxableAmount: taxableInThisBracket,
-      taxAmount: taxForThisBracket,
-    });
+  // The split components are worked out by the solver in net-to-gross mode
+  TaxGrossUp.SPLIT_FIELDS.forEach((fieldId) => {
+    document.getElementById(fieldId).readOnly = grossUp;
+  });
+}
+
+/**
+ * Solve the gross package for the target net pay and fill in the form
+ * @returns {object|null} Salary object for the solved package, or null if invalid
+ */
+function applyGrossUp() {
+  const { targetMonthlyNet, split } = getGrossUpValues();
 
-    totalTax += taxForThisBracket;
-    remainingIncome -= taxableInThisBracket;
+  const errors = TaxGrossUp.validateGrossUpRequest(targetMonthlyNet, split);
+  if (errors.length) {
+    alert(errors.join("\n"));
+    return null;
   }
 
-  return { breakdown, totalTax };
+  const solution = TaxGrossUp.solveGrossUp(
+    targetMonthlyNet,
+    split,
+    getFormValues()
+  );
+
+  Object.entries(solution.components).forEach(([fieldId, amount]) => {
+    document.getElementById(fieldId).value = amount.toFixed(2);
+  });
+
+  document.getElementById("grossPackageResult").value = formatCurrency(
+    solution.monthlyGross
+  );
+  document.getElementById("grossUpNote").textContent = solution.exact
+    ? "Gross pay needed to reach the target net pay"
+    : `Closest package is ${formatCurrency(
+        Math.abs(solution.difference)
+      )} ${solution.difference > 0 ? "above" : "below"} the target net pay`;
+
+  return solution.salary;
+}
+
+/**
+ * Render empty tax bracket rows (plus the total row) for a rule set
+ * @param {object} rules - Rule set (TaxCore.getTaxRegime)
+ */
+function renderTaxTable(rules) {
+  const tbody = document.querySelector("#taxBandTable tbody");
+  const rows = rules.brackets.map(
+    (bracket) => `
+      <tr>
+        <td>${bracket.label}</td>
+        <td>${Math.round(bracket.rate * 100)}%</td>
+        <td class="taxable-amount">—</td>
+        <td class="tax-amount">—</td>
+      </tr>`
+  );
+
+  rows.push(`
+      <tr class="table-info">
+        <td colspan="2"><strong>Total</strong></td>
+        <td class="taxable-amount"><strong>—</strong></td>
+        <td class="tax-amount"><strong>—</strong></td>
+      </tr>`);
+
+  tbody.innerHTML = rows.join("");
+}
+
+/**
+ * Show the bands and help text for the selected tax regime
+ */
+function showRegimeDetails() {
+  const regime = getTaxRegime(document.getElementById("taxRegime").value);
+
+  renderTaxTable(regime);
+  document.getElementById("atiSubtitle").textContent = regime.atiDescription;
+  document.getElementById("rentPaidHelp").textContent = regime.rentHelp;
+  document.getElementById("nhfHelp").textContent =
+    `${regime.nhfRate * 100}% of Basic Salary when switched on.`;
+  document.getElementById("nhisHelp").textContent =
+    `${regime.nhisRate * 100}% of Basic Salary when switched on.`;
+}
+
+/**
+ * Switch the form and results to the selected tax regime
+ */
+function updateTaxRegime() {
+  showRegimeDetails();
+  // NHF and NHIS rates can differ between rule sets
+  updateAutoContributions();
+
+  // Re-run the calculation if results are already showing
+  if (document.getElementById("ansResult").value) {
+    calculateTax();
+  }
 }
 
 /**
@@ -183,7 +298,7 @@ function calculateTaxBreakdown(ati) {
  * @param {number} totalTax - Total tax amount
  */
 function updateTaxTable(breakdown, totalTax) {
-  const tableRows = document.querySelectorAll(".tax-table tbody tr");
+  const tableRows = document.querySelectorAll("#taxBandTable tbody tr");
 
   breakdown.forEach((item, index) => {
     if (index < tableRows.length - 1) {
@@ -217,7 +332,7 @@ function updateTaxTable(breakdown, totalTax) {
 
 /**
  * Update all result fields
- * @param {object} results - Calculation results object
+ * @param {object} results - Result of TaxCore.calculatePayroll
  */
 function updateResults(results) {
   // Update main result cards
@@ -226,60 +341,259 @@ function updateResults(results) {
 
   // Update final results
   document.getElementById("annualTaxResult").value = formatCurrency(
-    results.annualTax
+    results.annual.tax
+  );
+  document.getElementById("anstResult").value = formatCurrency(
+    results.annual.net
+  );
+  document.getElementById("mnstResult").value = formatCurrency(
+    results.monthly.net
+  );
+  document.getElementById("mnsResult").value = formatCurrency(
+    results.monthly.ans
   );
-  document.getElementById("anstResult").value = formatCurrency(results.anst);
-  document.getElementById("mnstResult").value = formatCurrency(results.mnst);
-  document.getElementById("mnsResult").value = formatCurrency(results.mns);
   document.getElementById("monthlyTaxResult").value = formatCurrency(
-    results.monthlyTax
+    results.monthly.tax
+  );
+}
+
+/**
+ * Explain what decided the tax: minimum-wage exemption, minimum tax, a part
+ * year or tax already deducted by a previous employer
+ * @param {object|null} results - Result of TaxCore.calculatePayroll, or null to clear
+ */
+function updateTaxNotes(results) {
+  const note = document.getElementById("taxRuleNote");
+  const notes = [];
+  const rules = results && TaxRules.getRuleSet(results.ruleSet.id);
+
+  if (results && results.taxRule === "minimumWage") {
+    notes.push(
+      `Exempt: gross pay is at or below the national minimum wage (${formatCurrency(
+        rules.minimumWage
+      )} a month), so no PAYE is due. The band tax of ${formatCurrency(
+        results.bandTax
+      )} does not apply.`
+    );
+  } else if (results && results.taxRule === "minimumTax") {
+    notes.push(
+      `Minimum tax applies: the band tax of ${formatCurrency(
+        results.bandTax
+      )} is less than ${rules.minimumTaxRate * 100}% of gross income, so ${formatCurrency(
+        results.minimumTax
+      )} is payable instead.`
+    );
+  }
+
+  if (results && results.ruleSet.inForce === false) {
+    notes.push(
+      `${rules.label} was not in force for this pay period (in force from ${
+        rules.effectiveFrom
+      }${rules.effectiveTo ? ` to ${rules.effectiveTo}` : ""}).`
+    );
+  }
+
+  if (results && results.period.monthsCovered < 12) {
+    notes.push(
+      `Part year: reliefs and tax bands are pro-rated to ${results.period.monthsCovered} months.`
+    );
+  }
+  if (results && results.period.partYear) {
+    notes.push(
+      `Annual figures cover the ${results.period.monthsWorked} months worked here; monthly figures are per month worked.`
+    );
+  }
+  if (results && results.previous.tax > 0) {
+    notes.push(
+      `Tax due for the year to date is ${formatCurrency(
+        results.totalTax
+      )}; ${formatCurrency(
+        Math.min(results.previous.tax, results.totalTax)
+      )} already deducted by the previous employer is credited.`
+    );
+  }
+
+  note.className = notes.length ? "alert alert-info mt-3" : "d-none";
+  note.innerHTML = "";
+  notes.forEach((message) => {
+    const item = document.createElement("div");
+    item.textContent = message;
+    note.appendChild(item);
+  });
+}
+
+/**
+ * Render the gross-to-ATI path: each deduction, ANS, each relief and ATI
+ * @param {object|null} results - Result of TaxCore.calculatePayroll, or null to clear
+ */
+function updateReliefBreakdown(results) {
+  const tbody = document.getElementById("reliefBreakdownBody");
+  if (!results) {
+    tbody.innerHTML = '<tr><td colspan="2">—</td></tr>';
+    return;
+  }
+
+  const rules = TaxRules.getRuleSet(results.ruleSet.id);
+  const { consolidated, rent } = rules.reliefs;
+  const percent = (rate) => `${rate * 100}%`;
+  const deductionLabels = Object.assign({}, DEDUCTION_LABELS, {
+    nhfContribution: `${DEDUCTION_LABELS.nhfContribution} (${percent(rules.nhfRate)} of Basic)`,
+  });
+  const row = (label, amount) =>
+    `<tr><td>${label}</td><td>${formatCurrency(amount)}</td></tr>`;
+  const totalRow = (label, amount) =>
+    `<tr class="table-info"><td><strong>${label}</strong></td><td><strong>${formatCurrency(
+      amount
+    )}</strong></td></tr>`;
+
+  const deductionRows = Object.entries(results.allowableDeductions)
+    .filter(([, amount]) => amount > 0)
+    .map(([field, amount]) => row(`Less: ${deductionLabels[field]}`, amount));
+
+  const reliefRows = [];
+  if (consolidated) {
+    reliefRows.push(
+      row(
+        `Less: Consolidated Relief (higher of ${formatCurrency(
+          consolidated.floor
+        )} or ${percent(consolidated.ansRate)} of ANS)`,
+        results.reliefs.consolidated
+      ),
+      row(
+        `Less: Consolidated Relief (${percent(
+          consolidated.additionalAnsRate
+        )} of ANS)`,
+        results.reliefs.additional
+      )
+    );
+  }
+  if (rent) {
+    reliefRows.push(
+      row(
+        `Less: Rent Relief (${percent(rent.rate)} of rent, max ${formatCurrency(
+          rent.cap
+        )})`,
+        results.reliefs.rent
+      )
+    );
+  }
+
+  const previousRows = [];
+  if (results.previous.gross > 0 || results.previous.pension > 0) {
+    previousRows.push(
+      row("Add: Gross Pay from Previous Employer", results.previous.gross),
+      row("Less: Pension from Previous Employer", results.previous.pension)
+    );
+  }
+
+  tbody.innerHTML = [
+    row("Gross Salary", results.gross),
+    row("Less: Pension (Employee)", results.pension),
+  ]
+    .concat(deductionRows, previousRows, [
+      totalRow("Annual Net Salary (ANS)", results.ans),
+    ])
+    .concat(reliefRows, [totalRow("Annual Taxable Income (ATI)", results.ati)])
+    .join("");
+}
+
+/**
+ * Render the cost to company table
+ * @param {object|null} cost - Result of TaxCore.calculateEmployerCost, or null to clear
+ * @param {object} [levies] - Levy switches used for the calculation
+ * @param {object} [rules] - Rule set used (for the levy rates in the labels)
+ */
+function updateEmployerCost(cost, levies = {}, rules = null) {
+  const percent = (rate) => `${Math.round(rate * 10000) / 100}%`;
+  const label = (name, rate) => (rules ? `${name} (${percent(rate)})` : name);
+  const rows = [
+    ["Gross Salary", "gross", true],
+    [
+      label("Employer Pension", rules && rules.pension.employerRate),
+      "employerPension",
+      levies.employerPension,
+    ],
+    [label("NSITF", rules && rules.nsitfRate), "nsitf", levies.nsitf],
+    [label("ITF", rules && rules.itfRate), "itf", levies.itf],
+    ["Group Life Premium", "groupLife", levies.groupLifePremium > 0],
+  ];
+
+  // Monthly cells are a regular month's kobo split, so they add up to the total
+  const cells = (key, enabled) => {
+    if (!cost) return "<td>—</td><td>—</td>";
+    if (!enabled) return "<td>Off</td><td>Off</td>";
+    return `<td>${formatCurrency(cost.monthly[key])}</td><td>${formatCurrency(
+      cost[key]
+    )}</td>`;
+  };
+
+  const body = rows.map(
+    ([label, key, enabled]) =>
+      `<tr><td>${label}</td>${cells(key, enabled)}</tr>`
   );
+  body.push(
+    `<tr class="table-info"><td><strong>Total Cost to Company</strong></td>${
+      cost
+        ? `<td><strong>${formatCurrency(
+            cost.monthly.total
+          )}</strong></td><td><strong>${formatCurrency(
+            cost.annual.total
+          )}</strong></td>`
+        : "<td><strong>—</strong></td><td><strong>—</strong></td>"
+    }</tr>`
+  );
+
+  document.getElementById("employerCostBody").innerHTML = body.join("");
 }
 
 /**
  * Main calculation function
- * Orchestrates all tax calculations and updates the UI
+ * Reads the form, runs the calculation core and updates the UI
  */
 function calculateTax() {
   try {
-    // Get form values
-    const values = getFormValues();
+    // Get form values (solving for the package first in net-to-gross mode)
+    const values = isGrossUpMode() ? applyGrossUp() : getFormValues();
+    if (!values) {
+      return;
+    }
 
     // Validate required fields
-    if (
-      !values.basicSalary ||
-      !values.housingAllowance ||
-      !values.transportAllowance
-    ) {
-      alert(
-        "Please fill in all required fields (Basic Salary, Housing Allowance, and Transport Allowance)"
-      );
+    const errors = TaxCore.validateSalary(values);
+    if (errors.length) {
+      alert(errors.join("\n"));
       return;
     }
 
-    // Calculate ANS (Annual Net Salary)
-    const ans = calculateANS(values);
-
-    // Calculate ATI (Annual Taxable Income)
-    const ati = calculateATI(ans);
+    const results = TaxCore.calculatePayroll(values);
+    const levies = getEmployerLevyValues();
+    const employerCost = TaxCore.calculateEmployerCost(values, levies);
 
-    // Calculate tax breakdown
-    const { breakdown, totalTax } = calculateTaxBreakdown(ati);
-
-    // Calculate final results
-    const results = {
-      ans: ans,
-      ati: ati,
-      annualTax: totalTax,
-      anst: ans - totalTax, // Annual Net Salary After Tax
-      mnst: (ans - totalTax) / 12, // Monthly Net Salary After Tax
-      mns: ans / 12, // Monthly Net Salary
-      monthlyTax: totalTax / 12, // Monthly Tax
-    };
+    // Show the calculated pension in its input
+    if (values.pensionEnabled) {
+      document.getElementById("pensionContribution").value =
+        results.pension.toFixed(2);
+    }
+    updateAutoContributions();
 
-    // Update UI
-    updateTaxTable(breakdown, totalTax);
+    // Update UI (the pay period may use a different version of the bands)
+    renderTaxTable(TaxRules.getRuleSet(results.ruleSet.id));
+    updateTaxTable(results.breakdown, results.totalTax);
     updateResults(results);
+    updateReliefBreakdown(results);
+    updateTaxNotes(results);
+    updateEmployerCost(
+      employerCost,
+      levies,
+      TaxRules.getRuleSet(results.ruleSet.id)
+    );
+
+    // Let the payslip and other tools pick up the latest calculation
+    document.dispatchEvent(
+      new CustomEvent("taxcalculator:calculated", {
+        detail: { values, results, employerCost },
+      })
+    );
 
     // Smooth scroll to results (on mobile)
     if (window.innerWidth < 992) {
@@ -304,16 +618,9 @@ function updatePensionContribution() {
   const pensionInput = document.getElementById("pensionContribution");
 
   if (pensionToggle.checked) {
-    const basicSalary =
-      Number.parseFloat(document.getElementById("basicSalary").value) || 0;
-    const housingAllowance =
-      Number.parseFloat(document.getElementById("housingAllowance").value) || 0;
-    const transportAllowance =
-      Number.parseFloat(document.getElementById("transportAllowance").value) ||
-      0;
-
-    const pensionBase = basicSalary + housingAllowance + transportAllowance;
-    const pensionAmount = pensionBase * 0.08;
+    const pensionAmount = TaxCore.calculatePension(
+      TaxCore.normalizeSalary(getFormValues())
+    );
 
     pensionInput.value = pensionAmount.toFixed(2);
     pensionInput.readOnly = true;
@@ -323,10 +630,75 @@ function updatePensionContribution() {
   }
 }
 
+/**
+ * Auto-calculate NHF and NHIS contributions for the toggles that are on
+ */
+function updateAutoContributions() {
+  const salary = TaxCore.normalizeSalary(getFormValues());
+
+  [
+    ["nhfToggle", "nhfContribution", TaxCore.calculateNHF],
+    ["nhisToggle", "nhisContribution", TaxCore.calculateNHIS],
+  ].forEach(([toggleId, inputId, calculate]) => {
+    const input = document.getElementById(inputId);
+    const wasAuto = input.readOnly;
+
+    if (document.getElementById(toggleId).checked) {
+      input.value = calculate(salary).toFixed(2);
+      input.readOnly = true;
+    } else {
+      input.readOnly = false;
+      if (wasAuto) input.value = "";
+    }
+  });
+}
+
 /**
  * Initialize event listeners when DOM is loaded
  */
 document.addEventListener("DOMContentLoaded", () => {
+  // Tax regime selector, filled from the rule tables (preselect from ?regime=2026 links)
+  const regimeSelect = document.getElementById("taxRegime");
+  const calculateButton = document.querySelector(
+    "#taxCalculatorForm .btn-calculate"
+  );
+  calculateButton.disabled = true;
+
+  TaxRules.loadRules()
+    .then(() => {
+      const requestedRegime =
+        new URLSearchParams(window.location.search).get("regime") ||
+        regimeSelect.value;
+
+      regimeSelect.innerHTML = "";
+      TaxCore.getRegimeIds().forEach((regimeId) => {
+        regimeSelect.add(new Option(getTaxRegime(regimeId).label, regimeId));
+      });
+      regimeSelect.value = TaxCore.getRegimeIds().includes(requestedRegime)
+        ? requestedRegime
+        : DEFAULT_REGIME;
+      regimeSelect.addEventListener("change", updateTaxRegime);
+      updateTaxRegime();
+
+      // Initialize pension, NHF and NHIS calculations
+      updatePensionContribution();
+      updateAutoContributions();
+      calculateButton.disabled = false;
+
+      // A shared link carries the inputs: fill them in and calculate
+      CalculatorState.restore(window.location.search);
+    })
+    .catch((error) => {
+      console.error("Error loading tax rules:", error);
+      alert("The tax rules could not be loaded. Please refresh the page.");
+    });
+
+  // Gross-to-net / net-to-gross mode selector
+  document
+    .getElementById("calculationMode")
+    .addEventListener("change", updateCalculationMode);
+  updateCalculationMode();
+
   // Pension toggle event listener
   const pensionToggle = document.getElementById("pensionToggle");
   pensionToggle.addEventListener("change", updatePensionContribution);
@@ -346,8 +718,31 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   });
 
-  // Initialize pension calculation
-  updatePensionContribution();
+  // NHF and NHIS toggles (both are a share of basic salary)
+  ["nhfToggle", "nhisToggle"].forEach((toggleId) => {
+    document
+      .getElementById(toggleId)
+      .addEventListener("change", updateAutoContributions);
+  });
+  document
+    .getElementById("basicSalary")
+    .addEventListener("input", updateAutoContributions);
+  updateReliefBreakdown(null);
+
+  // Re-run the cost to company when a levy is switched
+  updateEmployerCost(null);
+  [
+    "employerPensionToggle",
+    "nsitfToggle",
+    "itfToggle",
+    "groupLifePremium",
+  ].forEach((fieldId) => {
+    document.getElementById(fieldId).addEventListener("change", () => {
+      if (document.getElementById("ansResult").value) {
+        calculateTax();
+      }
+    });
+  });
 
   // Add keyboard shortcut for calculation (Ctrl/Cmd + Enter)
   document.addEventListener("keydown", (e) => {
@@ -369,8 +764,12 @@ document.addEventListener("DOMContentLoaded", () => {
  * Reset form and results
  */
 function resetCalculator() {
-  // Reset form
+  // Reset form (keeping the chosen tax regime and calculation mode)
+  const regimeId = document.getElementById("taxRegime").value;
+  const mode = document.getElementById("calculationMode").value;
   document.getElementById("taxCalculatorForm").reset();
+  document.getElementById("taxRegime").value = regimeId;
+  document.getElementById("calculationMode").value = mode;
 
   // Reset results
   const resultInputs = document.querySelectorAll(
@@ -400,17 +799,19 @@ function resetCalculator() {
   document.querySelector(".taxable-amount strong").textContent = "—";
   document.querySelector(".tax-amount strong").textContent = "—";
 
-  // Reset pension calculation
+  // Reset cost to company and the gross-to-ATI breakdown
+  updateEmployerCost(null);
+  updateReliefBreakdown(null);
+  updateTaxNotes(null);
+
+  // Reset pension, NHF and NHIS calculations
   updatePensionContribution();
-}
+  updateAutoContributions();
 
-// Export functions for testing (if needed)
-if (typeof module !== "undefined" && module.exports) {
-  module.exports = {
-    calculateANS,
-    calculateATI,
-    calculateTaxBreakdown,
-    formatCurrency,
-    parseCurrency,
-  };
+  // Drop the inputs from the address bar so a refresh starts afresh
+  window.history.replaceState(
+    null,
+    "",
+    `${window.location.pathname}?${new URLSearchParams({ regime: regimeId })}`
+  );
 }
@@ -0,0 +1,459 @@
+/**
+ * Free Trial Wizard
+ * Walks a new customer through signing up for a trial one step at a time
+ * (company, payroll location, headcount, pay frequency, modules, plan,
+ * review). Each step is checked against the trial form schema before moving
+ * on, progress survives reloads, and the last step is sent with FormSubmit.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(
+      require("./form-schemas.js"),
+      require("./form-submit.js"),
+      require("./pricing.js"),
+      require("./storage.js")
+    );
+  } else {
+    root.TrialWizard = factory(
+      root.FormSchemas,
+      root.FormSubmit,
+      root.Pricing,
+      root.StorageUtils
+    );
+    document.addEventListener("DOMContentLoaded", root.TrialWizard.init);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (FormSchemas, FormSubmit, Pricing, StorageUtils) {
+    "use strict";
+
+    const STEPS = [
+      {
+        id: "company",
+        title: "Company details",
+        fields: ["fullName", "email", "company"],
+      },
+      {
+        id: "location",
+        title: "Payroll location",
+        fields: ["country", "state"],
+      },
+      { id: "employees", title: "Employees", fields: ["headcount"] },
+      { id: "payFrequency", title: "Pay frequency", fields: ["payFrequency"] },
+      { id: "modules", title: "Modules", fields: ["modules"] },
+      { id: "plan", title: "Plan", fields: ["plan"] },
+      { id: "review", title: "Review", fields: [] },
+    ];
+
+    const PROGRESS_KEY = "hrpayhub.trialWizard";
+
+    // Up to this many staff, HR-only customers start on the smallest plan
+    const SMALL_TEAM = 10;
+
+    const schema = FormSchemas.getSchema("trial");
+
+    /**
+     * Errors on one step
+     * @param {object} values - Wizard values by field name
+     * @param {number} index - Step index
+     * @returns {object} Message by field name (empty when the step is complete)
+     */
+    function validateStep(values, index) {
+      const names = STEPS[index].fields;
+      const complete = Object.assign({}, values);
+      // A field never filled in is missing, not skipped
+      names.forEach((name) => {
+        if (complete[name] === undefined) complete[name] = "";
+      });
+      return FormSchemas.validate(
+        { fields: schema.fields.filter((field) => names.includes(field.name)) },
+        complete
+      ).errors;
+    }
+
+    /**
+     * The step to reopen with saved values: the saved step, or an earlier one
+     * that is no longer complete
+     * @param {object} values - Saved values
+     * @param {number} step - Saved step index
+     * @returns {number} Step index
+     */
+    function resumeStep(values, step) {
+      const last = Math.min(Math.max(Number(step) || 0, 0), STEPS.length - 1);
+      for (let index = 0; index < last; index++) {
+        if (Object.keys(validateStep(values, index)).length) return index;
+      }
+      return last;
+    }
+
+    /**
+     * Label for a select or multi value, as shown in the form
+     * @param {string} name - Field name
+     * @param {string} value - Value
+     * @param {object} values - All values (for dependent options)
+     * @returns {string} Label
+     */
+    function optionLabel(name, value, values) {
+      const field = schema.fields.find((item) => item.name === name);
+      const option = FormSchemas.getOptions(field, values).find(
+        ([optionValue]) => optionValue === value
+      );
+      return option ? option[1] : value;
+    }
+
+    /**
+     * The plan that covers what the customer asked for
+     * Each answer needs some catalogue features: accounting needs expenses
+     * and financial reports, as UK payroll needs Full Payment Submission
+     * files; Nigerian payroll needs tax, payslips and PAYE returns. HR alone
+     * needs employee records for a small team and leave, appraisals and time
+     * beyond that. The plan is the first tier in the catalogue with them all.
+     * @param {object} values - Wizard values
+     * @returns {object} plan id, label and reasons
+     */
+    function recommendPlan(values) {
+      const modules = values.modules || [];
+      const needed = [];
+      const reasons = [];
+      const need = (features, reason) => {
+        needed.push(...features);
+        reasons.push(reason);
+      };
+
+      if (modules.includes("accounting")) {
+        need(
+          ["expenses", "reports"],
+          "Accounting needs expense management and financial reports."
+        );
+      }
+      if (modules.includes("payroll")) {
+        if (values.country === "United Kingdom") {
+          need(
+            ["fps"],
+            "UK payroll needs Full Payment Submission files for HMRC."
+          );
+        } else {
+          need(
+            ["tax", "payslips", "paye-returns"],
+            "Payroll needs tax calculation, payslips and PAYE returns."
+          );
+        }
+      }
+      if (modules.includes("hr")) {
+        if (Number(values.headcount) > SMALL_TEAM) {
+          need(
+            ["leave", "appraisal", "time"],
+            `With more than ${SMALL_TEAM} staff you'll want leave, appraisal and time management.`
+          );
+        } else {
+          need(
+            ["employee-management", "onboarding"],
+            "Employee records and on/offboarding cover a small team."
+          );
+        }
+      }
+
+      // Tiers run from the smallest to the most complete
+      const { plans } = Pricing.getCatalogue();
+      const plan =
+        plans.find((candidate) => {
+          const features = Pricing.planFeatures(candidate.id);
+          return needed.every((feature) => features.includes(feature));
+        }) || plans[plans.length - 1];
+
+      return { plan: plan.id, label: plan.name, reasons };
+    }
+
+    /**
+     * The answers as label/value rows for the review step
+     * @param {object} values - Wizard values
+     * @returns {array} [label, text] rows
+     */
+    function reviewRows(values) {
+      return schema.fields
+        .filter((field) => values[field.name] !== undefined)
+        .map((field) => {
+          const value = values[field.name];
+          let text = value;
+          if (field.type === "multi") {
+            text = value
+              .map((item) => optionLabel(field.name, item, values))
+              .join(", ");
+          } else if (field.type === "select") {
+            text = optionLabel(field.name, value, values);
+          }
+          return [field.label, String(text) || "-"];
+        });
+    }
+
+    /**
+     * Saved progress
+     * @param {Storage} storage - localStorage
+     * @returns {object|null} step, values and startedAt, or null when nothing
+     *   usable is saved
+     */
+    function readProgress(storage) {
+      try {
+        const progress = JSON.parse(storage.getItem(PROGRESS_KEY));
+        return progress &&
+          progress.values &&
+          typeof progress.values === "object"
+          ? progress
+          : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    /**
+     * Save progress (null clears it)
+     * @param {Storage} storage - localStorage
+     * @param {object|null} progress - step, values and startedAt (ms)
+     * @returns {boolean} False when storage is unavailable or full
+     */
+    function writeProgress(storage, progress) {
+      try {
+        if (progress) {
+          storage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+        } else {
+          storage.removeItem(PROGRESS_KEY);
+        }
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    /* ---------- Page wiring (free trial page only) ---------- */
+
+    let form = null;
+    let current = 0;
+
+    /**
+     * Remember where the customer is
+     */
+    function saveProgress() {
+      const storage = StorageUtils.getStorage();
+      if (storage) {
+        writeProgress(storage, {
+          step: current,
+          values: FormSchemas.readValues(form, schema),
+          // The spam check times the whole sign-up, not just this visit
+          startedAt: Number(form.dataset.startedAt),
+        });
+      }
+    }
+
+    /**
+     * Show the recommendation on the plan and review steps
+     * @param {object} values - Wizard values
+     */
+    function renderRecommendation(values) {
+      const recommendation = recommendPlan(values);
+      document
+        .querySelectorAll("[data-trial-recommendation]")
+        .forEach((box) => {
+          const heading = document.createElement("strong");
+          heading.textContent = `Recommended: ${recommendation.label}`;
+          const reasons = document.createElement("ul");
+          reasons.className = "mb-0";
+          recommendation.reasons.forEach((reason) => {
+            reasons.appendChild(document.createElement("li")).textContent =
+              reason;
+          });
+          box.replaceChildren(heading, reasons);
+
+          if (values.plan && values.plan !== recommendation.plan) {
+            const use = box.appendChild(document.createElement("button"));
+            use.type = "button";
+            use.className = "btn btn-link p-0";
+            use.dataset.plan = recommendation.plan;
+            use.textContent = `Switch to ${recommendation.label}`;
+          }
+        });
+    }
+
+    /**
+     * Fill the review list
+     * @param {object} values - Wizard values
+     */
+    function renderReview(values) {
+      document.getElementById("trialWizardReview").replaceChildren(
+        ...reviewRows(values).flatMap(([label, text]) => {
+          const term = document.createElement("dt");
+          term.className = "col-sm-5";
+          term.textContent = label;
+          const detail = document.createElement("dd");
+          detail.className = "col-sm-7";
+          detail.textContent = text;
+          return [term, detail];
+        })
+      );
+    }
+
+    /**
+     * Show a step
+     * @param {number} index - Step index
+     * @param {boolean} [focus] - Move focus to the step heading
+     */
+    function showStep(index, focus = true) {
+      current = index;
+      const values = FormSchemas.readValues(form, schema);
+
+      form.querySelectorAll("[data-step]").forEach((panel) => {
+        panel.hidden = panel.dataset.step !== STEPS[index].id;
+      });
+      form.querySelectorAll(".trial-wizard__progress li").forEach((item, i) => {
+        item.classList.toggle("is-active", i === index);
+        item.classList.toggle("is-done", i < index);
+        if (i === index) {
+          item.setAttribute("aria-current", "step");
+        } else {
+          item.removeAttribute("aria-current");
+        }
+      });
+      document.getElementById("trialWizardCount").textContent =
+        `Step ${index + 1} of ${STEPS.length}: ${STEPS[index].title}`;
+
+      document.getElementById("trialWizardBack").hidden = index === 0;
+      document.getElementById("trialWizardNext").hidden =
+        index === STEPS.length - 1;
+      document.getElementById("trialWizardSubmit").hidden =
+        index !== STEPS.length - 1;
+
+      renderRecommendation(values);
+      if (STEPS[index].id === "review") renderReview(values);
+      if (focus) {
+        form
+          .querySelector(
+            `[data-step="${STEPS[index].id}"] .trial-wizard__title`
+          )
+          .focus();
+      }
+      saveProgress();
+    }
+
+    /**
+     * Move on when the current step is complete
+     * @returns {boolean} True when the step was valid
+     */
+    function next() {
+      if (!FormSchemas.check(form, schema, STEPS[current].fields)) return false;
+      showStep(current + 1);
+      return true;
+    }
+
+    /**
+     * Check every step and send the sign-up
+     */
+    function finish() {
+      const values = FormSchemas.readValues(form, schema);
+      const invalid = STEPS.findIndex(
+        (step, index) => Object.keys(validateStep(values, index)).length
+      );
+      if (invalid !== -1) {
+        showStep(invalid);
+        FormSchemas.check(form, schema, STEPS[invalid].fields);
+        return;
+      }
+
+      const fields = FormSchemas.check(form, schema);
+      const recommendation = recommendPlan(values);
+      FormSubmit.submit(form, {
+        fields: Object.assign({}, fields, {
+          recommendedPlan: recommendation.plan,
+        }),
+        successMessage:
+          `Thank you! We'll email ${fields.email} within one working day to ` +
+          `set up your free trial on the ${optionLabel("plan", fields.plan, values)} plan.`,
+      });
+    }
+
+    /**
+     * Initialise the wizard if it is on the page
+     */
+    function init() {
+      form = document.getElementById("trialWizard");
+      if (!form) return;
+
+      // The plan choices and recommendations come from the plan catalogue
+      Pricing.loadCatalogue()
+        .then(start)
+        .catch(() => {
+          const message = document.createElement("p");
+          message.className = "alert alert-warning mb-0";
+          message.textContent =
+            "The sign-up form could not be loaded. Please refresh the page.";
+          form.replaceWith(message);
+        });
+    }
+
+    /**
+     * Set up the wizard once the plan catalogue has loaded
+     */
+    function start() {
+      FormSchemas.attach(form);
+      FormSubmit.init("#trialWizard");
+
+      const storage = StorageUtils.getStorage();
+      const progress = storage && readProgress(storage);
+      let step = 0;
+      if (progress) {
+        FormSchemas.writeValues(form, schema, progress.values);
+        step = resumeStep(progress.values, progress.step);
+        // Progress saved before start times were kept skips the time check
+        form.dataset.startedAt = String(Number(progress.startedAt) || 0);
+      }
+      showStep(step, false);
+
+      form.addEventListener("input", saveProgress);
+      form.addEventListener("change", () => {
+        saveProgress();
+        renderRecommendation(FormSchemas.readValues(form, schema));
+      });
+      form.addEventListener("click", (e) => {
+        const switchPlan = e.target.closest("[data-plan]");
+        if (!switchPlan) return;
+        document.getElementById("plan").value = switchPlan.dataset.plan;
+        showStep(current, false);
+      });
+      document
+        .getElementById("trialWizardBack")
+        .addEventListener("click", () => {
+          showStep(current - 1);
+        });
+      document
+        .getElementById("trialWizardNext")
+        .addEventListener("click", next);
+
+      // Enter in a field moves on rather than sending early
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        if (current < STEPS.length - 1) {
+          next();
+        } else {
+          finish();
+        }
+      });
+
+      // Keep the saved sign-up unless it actually went out (or is queued)
+      form.addEventListener("formsubmit:done", (e) => {
+        if (!["sent", "queued"].includes(e.detail.outcome)) return;
+        showStep(0, false);
+        if (storage) writeProgress(storage, null);
+      });
+    }
+
+    return {
+      STEPS,
+      PROGRESS_KEY,
+      validateStep,
+      resumeStep,
+      recommendPlan,
+      reviewRows,
+      readProgress,
+      writeProgress,
+      init,
+    };
+  }
+);
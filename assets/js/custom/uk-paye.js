@@ -0,0 +1,670 @@
+/**
+ * UK PAYE and National Insurance
+ * Income tax (tax codes, personal allowance taper, rUK and Scottish bands),
+ * Class 1 NI, student loans and auto-enrolment pension for one pay period.
+ * Rates are for the 2025/26 tax year.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.UkPaye = factory();
+    document.addEventListener("DOMContentLoaded", root.UkPaye.init);
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const TAX_YEAR = "2025/26";
+
+  const PAY_FREQUENCIES = {
+    weekly: { label: "Weekly", periods: 52, weeks: 1 },
+    fortnightly: { label: "Fortnightly", periods: 26, weeks: 2 },
+    fourWeekly: { label: "Four-weekly", periods: 13, weeks: 4 },
+    monthly: { label: "Monthly", periods: 12, weeks: null },
+  };
+
+  // Personal allowance, reduced by £1 for every £2 of income over the threshold
+  const PERSONAL_ALLOWANCE = 12570;
+  const TAPER_THRESHOLD = 100000;
+
+  // Bands on taxable income (after the allowance); upTo is cumulative
+  const INCOME_TAX_BANDS = {
+    rUK: [
+      { id: "basic", label: "Basic rate", rate: 0.2, upTo: 37700 },
+      { id: "higher", label: "Higher rate", rate: 0.4, upTo: 125140 },
+      {
+        id: "additional",
+        label: "Additional rate",
+        rate: 0.45,
+        upTo: Number.POSITIVE_INFINITY,
+      },
+    ],
+    scotland: [
+      { id: "starter", label: "Starter rate", rate: 0.19, upTo: 2827 },
+      { id: "basic", label: "Basic rate", rate: 0.2, upTo: 14921 },
+      {
+        id: "intermediate",
+        label: "Intermediate rate",
+        rate: 0.21,
+        upTo: 31092,
+      },
+      { id: "higher", label: "Higher rate", rate: 0.42, upTo: 62430 },
+      { id: "advanced", label: "Advanced rate", rate: 0.45, upTo: 125140 },
+      {
+        id: "top",
+        label: "Top rate",
+        rate: 0.48,
+        upTo: Number.POSITIVE_INFINITY,
+      },
+    ],
+  };
+
+  // Band used by each flat-rate code (BR, D0-D3)
+  const FLAT_RATE_CODES = {
+    rUK: { BR: "basic", D0: "higher", D1: "additional" },
+    scotland: {
+      BR: "basic",
+      D0: "intermediate",
+      D1: "higher",
+      D2: "advanced",
+      D3: "top",
+    },
+  };
+
+  // K codes: tax in a period is capped at this share of pay
+  const K_CODE_LIMIT = 0.5;
+
+  // Class 1 NI thresholds per week and per month (fortnightly and four-weekly use multiples of weekly)
+  const NI_THRESHOLDS = {
+    weekly: { primary: 242, secondary: 96, upper: 967 },
+    monthly: { primary: 1048, secondary: 417, upper: 4189 },
+  };
+
+  // Class 1 NI rates by category letter; employerFreeToUpper covers the under-21 and apprentice reliefs
+  const NI_CATEGORIES = {
+    A: {
+      label: "A - Standard",
+      employeeMain: 0.08,
+      employeeUpper: 0.02,
+      employer: 0.15,
+    },
+    C: {
+      label: "C - Over State Pension age",
+      employeeMain: 0,
+      employeeUpper: 0,
+      employer: 0.15,
+    },
+    M: {
+      label: "M - Under 21",
+      employeeMain: 0.08,
+      employeeUpper: 0.02,
+      employer: 0.15,
+      employerFreeToUpper: true,
+    },
+    H: {
+      label: "H - Apprentice under 25",
+      employeeMain: 0.08,
+      employeeUpper: 0.02,
+      employer: 0.15,
+      employerFreeToUpper: true,
+    },
+  };
+
+  // Annual repayment thresholds and rates
+  const STUDENT_LOAN_PLANS = {
+    plan1: { label: "Plan 1", threshold: 26065, rate: 0.09 },
+    plan2: { label: "Plan 2", threshold: 28470, rate: 0.09 },
+    plan4: { label: "Plan 4 (Scotland)", threshold: 32745, rate: 0.09 },
+    plan5: { label: "Plan 5", threshold: 25000, rate: 0.09 },
+    postgraduate: { label: "Postgraduate Loan", threshold: 21000, rate: 0.06 },
+  };
+
+  // Auto-enrolment qualifying earnings band per pay period
+  const QUALIFYING_EARNINGS = {
+    weekly: { lower: 120, upper: 967 },
+    fortnightly: { lower: 240, upper: 1934 },
+    fourWeekly: { lower: 480, upper: 3867 },
+    monthly: { lower: 520, upper: 4189 },
+  };
+
+  // Statutory minimum contributions (% of qualifying earnings)
+  const DEFAULT_PENSION = {
+    enabled: true,
+    employeeRate: 5,
+    employerRate: 3,
+    basis: "qualifying", // or "full" pay
+    method: "net", // "net" pay arrangement, "ras" relief at source, "sacrifice"
+  };
+
+  // Basic-rate relief the provider claims back on relief-at-source contributions
+  const RELIEF_AT_SOURCE_RATE = 0.2;
+
+  /**
+   * Round an amount to pence
+   * @param {number} amount - Amount in pounds
+   * @returns {number} Amount rounded to 2 decimal places
+   */
+  function roundPence(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Format an amount as pounds sterling
+   * @param {number} amount - Amount in pounds
+   * @returns {string} Formatted currency string
+   */
+  function formatGBP(amount) {
+    return new Intl.NumberFormat("en-GB", {
+      style: "currency",
+      currency: "GBP",
+      minimumFractionDigits: 2,
+    }).format(Number.isFinite(amount) ? amount : 0);
+  }
+
+  /**
+   * Parse a PAYE tax code
+   * @param {string} text - Tax code, e.g. 1257L, S1257L, BR, D0, K475, 1257L W1
+   * @param {string} [region] - "rUK" or "scotland" when the code has no S/C prefix
+   * @returns {object} Parsed code: type (standard, K, flat, NT), allowance, region, taper, emergency; error when invalid
+   */
+  function parseTaxCode(text, region = "rUK") {
+    const raw = String(text || "")
+      .toUpperCase()
+      .replace(/\s+/g, "");
+    const parsed = {
+      code: raw,
+      type: null,
+      allowance: 0,
+      region,
+      taper: false,
+      flatBand: null,
+      emergency: false,
+      error: null,
+    };
+
+    // Week 1 / Month 1 (non-cumulative) markers; every period is worked out on its own here
+    let code = raw;
+    const emergency = /(W1|M1|X)$/.exec(code);
+    if (emergency && code.length > emergency[0].length) {
+      parsed.emergency = true;
+      code = code.slice(0, -emergency[0].length);
+    }
+
+    // S = Scottish taxpayer, C = Welsh taxpayer (same rates as England and NI)
+    if (/^[SC]./.test(code)) {
+      parsed.region = code[0] === "S" ? "scotland" : "rUK";
+      code = code.slice(1);
+    }
+
+    let match;
+    if (code === "NT") {
+      parsed.type = "NT";
+    } else if (code === "BR" || /^D[0-3]$/.test(code)) {
+      parsed.type = "flat";
+      parsed.flatBand = FLAT_RATE_CODES[parsed.region][code] || null;
+    } else if (code === "0T") {
+      parsed.type = "standard";
+    } else if ((match = /^K(\d{1,4})$/.exec(code))) {
+      parsed.type = "K";
+      parsed.allowance = -Number(match[1]) * 10;
+    } else if ((match = /^(\d{1,4})([LMNT])$/.exec(code))) {
+      parsed.type = "standard";
+      parsed.allowance = Number(match[1]) * 10;
+      // HMRC adjusts T codes itself; L, M and N codes are tapered here
+      parsed.taper = match[2] !== "T";
+    }
+
+    if (!parsed.type || (parsed.type === "flat" && !parsed.flatBand)) {
+      parsed.type = null;
+      parsed.error = `"${raw || text}" is not a recognised tax code`;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Apply the personal allowance taper
+   * @param {number} allowance - Allowance from the tax code
+   * @param {number} income - Annual taxable pay
+   * @returns {number} Allowance after the taper
+   */
+  function taperAllowance(allowance, income) {
+    const reduction = Math.max(0, Math.floor((income - TAPER_THRESHOLD) / 2));
+    return Math.max(0, allowance - reduction);
+  }
+
+  /**
+   * Annual income tax for a tax code
+   * @param {number} income - Annual taxable pay
+   * @param {object} taxCode - Result of parseTaxCode
+   * @returns {object} allowance, taxable income, band breakdown and total tax
+   */
+  function calculateIncomeTax(income, taxCode) {
+    const bands = INCOME_TAX_BANDS[taxCode.region];
+    const result = { allowance: 0, taxable: 0, breakdown: [], total: 0 };
+
+    if (taxCode.type === "NT") {
+      return result;
+    }
+
+    if (taxCode.type === "flat") {
+      const band = bands.find((item) => item.id === taxCode.flatBand);
+      result.taxable = income;
+      result.breakdown = [
+        { label: band.label, rate: band.rate, amount: income },
+      ];
+      result.total = income * band.rate;
+      return result;
+    }
+
+    result.allowance = taxCode.taper
+      ? taperAllowance(taxCode.allowance, income)
+      : taxCode.allowance;
+    result.taxable = Math.max(0, income - result.allowance);
+
+    let lower = 0;
+    bands.forEach((band) => {
+      const amount = Math.max(0, Math.min(result.taxable, band.upTo) - lower);
+      result.breakdown.push({ label: band.label, rate: band.rate, amount });
+      result.total += amount * band.rate;
+      lower = band.upTo;
+    });
+
+    return result;
+  }
+
+  /**
+   * NI thresholds for a pay frequency
+   * @param {string} frequency - Key of PAY_FREQUENCIES
+   * @returns {object} primary, secondary and upper thresholds for the period
+   */
+  function niThresholds(frequency) {
+    const { weeks } = PAY_FREQUENCIES[frequency];
+    if (!weeks) return NI_THRESHOLDS.monthly;
+
+    const weekly = NI_THRESHOLDS.weekly;
+    return {
+      primary: weekly.primary * weeks,
+      secondary: weekly.secondary * weeks,
+      upper: weekly.upper * weeks,
+    };
+  }
+
+  /**
+   * Class 1 NI for one pay period
+   * @param {number} pay - NI-able pay for the period
+   * @param {string} frequency - Key of PAY_FREQUENCIES
+   * @param {string} [category] - NI category letter
+   * @returns {object} employee and employer NI
+   */
+  function calculateNI(pay, frequency, category = "A") {
+    const rates = NI_CATEGORIES[category] || NI_CATEGORIES.A;
+    const { primary, secondary, upper } = niThresholds(frequency);
+
+    const main = Math.max(0, Math.min(pay, upper) - primary);
+    const aboveUpper = Math.max(0, pay - upper);
+    const employerFrom = rates.employerFreeToUpper ? upper : secondary;
+
+    return {
+      employee: roundPence(
+        main * rates.employeeMain + aboveUpper * rates.employeeUpper
+      ),
+      employer: roundPence(Math.max(0, pay - employerFrom) * rates.employer),
+    };
+  }
+
+  /**
+   * Student loan deduction for one pay period (rounded down to whole pounds)
+   * @param {number} pay - NI-able pay for the period
+   * @param {string} frequency - Key of PAY_FREQUENCIES
+   * @param {string} plan - Key of STUDENT_LOAN_PLANS
+   * @returns {number} Deduction
+   */
+  function calculateStudentLoan(pay, frequency, plan) {
+    const loan = STUDENT_LOAN_PLANS[plan];
+    if (!loan) return 0;
+
+    const { weeks } = PAY_FREQUENCIES[frequency];
+    const threshold = weeks
+      ? (loan.threshold / 52) * weeks
+      : loan.threshold / 12;
+    return Math.max(0, Math.floor((pay - threshold) * loan.rate));
+  }
+
+  /**
+   * Auto-enrolment pension contributions for one pay period
+   * @param {number} pay - Gross pay for the period (before any sacrifice)
+   * @param {string} frequency - Key of PAY_FREQUENCIES
+   * @param {object} options - enabled, employeeRate, employerRate (%), basis
+   * @returns {object} pensionable pay, employee and employer contributions
+   */
+  function calculatePension(pay, frequency, options) {
+    if (!options.enabled) {
+      return { pensionable: 0, employee: 0, employer: 0 };
+    }
+
+    const band = QUALIFYING_EARNINGS[frequency];
+    const pensionable =
+      options.basis === "full"
+        ? pay
+        : Math.max(0, Math.min(pay, band.upper) - band.lower);
+
+    return {
+      pensionable: roundPence(pensionable),
+      employee: roundPence((pensionable * options.employeeRate) / 100),
+      employer: roundPence((pensionable * options.employerRate) / 100),
+    };
+  }
+
+  /**
+   * Fill in defaults for a UK payroll input
+   * @param {object} input - Plain input object
+   * @returns {object} Normalised input
+   */
+  function normalizeInput(input) {
+    const values = input || {};
+    return {
+      annualSalary: Number.parseFloat(values.annualSalary) || 0,
+      frequency: PAY_FREQUENCIES[values.frequency]
+        ? values.frequency
+        : "monthly",
+      taxCode: values.taxCode || `${PERSONAL_ALLOWANCE / 10}L`,
+      region: values.region === "scotland" ? "scotland" : "rUK",
+      niCategory: NI_CATEGORIES[values.niCategory] ? values.niCategory : "A",
+      studentLoanPlan: STUDENT_LOAN_PLANS[values.studentLoanPlan]
+        ? values.studentLoanPlan
+        : "",
+      postgraduateLoan: values.postgraduateLoan === true,
+      pension: Object.assign({}, DEFAULT_PENSION, values.pension),
+    };
+  }
+
+  /**
+   * Check a UK payroll input before calculating
+   * @param {object} input - Plain input object
+   * @returns {array} Error messages (empty when valid)
+   */
+  function validateUkInput(input) {
+    const values = normalizeInput(input);
+    const errors = [];
+
+    if (!(values.annualSalary > 0)) {
+      errors.push("Please enter an annual salary above zero");
+    }
+
+    const taxCode = parseTaxCode(values.taxCode, values.region);
+    if (taxCode.error) {
+      errors.push(taxCode.error);
+    }
+
+    ["employeeRate", "employerRate"].forEach((field) => {
+      const rate = Number(values.pension[field]);
+      if (values.pension.enabled && !(rate >= 0 && rate <= 100)) {
+        errors.push("Pension rates must be between 0 and 100%");
+      }
+    });
+
+    if (values.studentLoanPlan === "postgraduate") {
+      errors.push("Choose the Postgraduate Loan with its own tick box");
+    }
+
+    return errors.filter((message, index) => errors.indexOf(message) === index);
+  }
+
+  /**
+   * Run the UK payroll calculation for one pay period
+   * @param {object} input - annualSalary, frequency, taxCode, region, niCategory, studentLoanPlan, postgraduateLoan, pension
+   * @returns {object} Per-period and annual figures with the tax band breakdown
+   */
+  function calculateUkPayroll(input) {
+    const values = normalizeInput(input);
+    const { periods } = PAY_FREQUENCIES[values.frequency];
+    const taxCode = parseTaxCode(values.taxCode, values.region);
+
+    const gross = roundPence(values.annualSalary / periods);
+    const pension = calculatePension(gross, values.frequency, values.pension);
+    const method = values.pension.method;
+
+    // Salary sacrifice lowers pay for tax, NI and student loans; the employer pays it in
+    const sacrifice = method === "sacrifice" ? pension.employee : 0;
+    const pay = roundPence(gross - sacrifice);
+    const taxablePay = roundPence(
+      method === "net" ? pay - pension.employee : pay
+    );
+
+    const incomeTax = calculateIncomeTax(taxablePay * periods, taxCode);
+    let tax = roundPence(incomeTax.total / periods);
+    if (taxCode.type === "K") {
+      tax = Math.min(tax, roundPence(pay * K_CODE_LIMIT));
+    }
+
+    const ni = calculateNI(pay, values.frequency, values.niCategory);
+    const studentLoan = calculateStudentLoan(
+      pay,
+      values.frequency,
+      values.studentLoanPlan
+    );
+    const postgraduateLoan = values.postgraduateLoan
+      ? calculateStudentLoan(pay, values.frequency, "postgraduate")
+      : 0;
+
+    // Relief at source: the employee pays 80% and the provider claims the rest
+    const pensionFromPay =
+      method === "sacrifice"
+        ? 0
+        : method === "ras"
+          ? roundPence(pension.employee * (1 - RELIEF_AT_SOURCE_RATE))
+          : pension.employee;
+    const employerPension = roundPence(pension.employer + sacrifice);
+
+    const period = {
+      gross,
+      salarySacrifice: sacrifice,
+      taxablePay,
+      incomeTax: tax,
+      employeeNI: ni.employee,
+      employerNI: ni.employer,
+      studentLoan,
+      postgraduateLoan,
+      pensionEmployee: pension.employee,
+      pensionFromPay,
+      pensionEmployer: employerPension,
+      netPay: roundPence(
+        pay -
+          tax -
+          ni.employee -
+          studentLoan -
+          postgraduateLoan -
+          pensionFromPay
+      ),
+      employerCost: roundPence(gross + ni.employer + pension.employer),
+    };
+
+    const annual = {};
+    Object.keys(period).forEach((key) => {
+      annual[key] = roundPence(period[key] * periods);
+    });
+
+    return {
+      taxYear: TAX_YEAR,
+      inputs: values,
+      taxCode,
+      frequency: values.frequency,
+      periods,
+      allowance: incomeTax.allowance,
+      taxBreakdown: incomeTax.breakdown,
+      period,
+      annual,
+    };
+  }
+
+  /* ---------- Page wiring (UK calculator page only) ---------- */
+
+  // Result rows: label and key into the period/annual figures
+  const RESULT_ROWS = [
+    ["Gross Pay", "gross"],
+    ["Salary Sacrifice", "salarySacrifice"],
+    ["Taxable Pay", "taxablePay"],
+    ["Income Tax", "incomeTax"],
+    ["Employee NI", "employeeNI"],
+    ["Student Loan", "studentLoan"],
+    ["Postgraduate Loan", "postgraduateLoan"],
+    ["Pension (from pay)", "pensionFromPay"],
+    ["Take-Home Pay", "netPay"],
+    ["Employer NI", "employerNI"],
+    ["Employer Pension", "pensionEmployer"],
+    ["Total Employer Cost", "employerCost"],
+  ];
+
+  /**
+   * Read the UK calculator form
+   * @returns {object} Input for calculateUkPayroll
+   */
+  function getFormValues() {
+    const value = (id) => document.getElementById(id).value;
+    return {
+      annualSalary: Number.parseFloat(value("ukAnnualSalary")) || 0,
+      frequency: value("ukPayFrequency"),
+      taxCode: value("ukTaxCode").trim(),
+      region: value("ukRegion"),
+      niCategory: value("ukNiCategory"),
+      studentLoanPlan: value("ukStudentLoan"),
+      postgraduateLoan: document.getElementById("ukPostgraduateLoan").checked,
+      pension: {
+        enabled: document.getElementById("ukPensionToggle").checked,
+        employeeRate: Number.parseFloat(value("ukPensionEmployee")) || 0,
+        employerRate: Number.parseFloat(value("ukPensionEmployer")) || 0,
+        basis: value("ukPensionBasis"),
+        method: value("ukPensionMethod"),
+      },
+    };
+  }
+
+  /**
+   * Show validation errors (or clear them)
+   * @param {array} messages - Messages to list
+   */
+  function showErrors(messages) {
+    const list = document.getElementById("ukTaxErrors");
+    list.innerHTML = "";
+    list.className = messages.length ? "alert alert-danger mt-3" : "d-none";
+    messages.forEach((message) => {
+      const item = document.createElement("div");
+      item.textContent = message;
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the results tables
+   * @param {object|null} result - Result of calculateUkPayroll, or null to clear
+   */
+  function renderResults(result) {
+    const frequency = result
+      ? PAY_FREQUENCIES[result.frequency].label
+      : "Per Period";
+    document.getElementById("ukPeriodHeading").textContent = frequency;
+
+    document.getElementById("ukResultsBody").innerHTML = RESULT_ROWS.map(
+      ([label, key]) => {
+        const isTotal = key === "netPay" || key === "employerCost";
+        const cells = result
+          ? `<td>${formatGBP(result.period[key])}</td><td>${formatGBP(
+              result.annual[key]
+            )}</td>`
+          : "<td>—</td><td>—</td>";
+        return `<tr${isTotal ? ' class="table-info"' : ""}><td>${
+          isTotal ? `<strong>${label}</strong>` : label
+        }</td>${cells}</tr>`;
+      }
+    ).join("");
+
+    document.getElementById("ukTaxBandBody").innerHTML = result
+      ? result.taxBreakdown
+          .map(
+            (band) =>
+              `<tr><td>${band.label}</td><td>${Math.round(
+                band.rate * 100
+              )}%</td><td>${formatGBP(band.amount)}</td><td>${formatGBP(
+                band.amount * band.rate
+              )}</td></tr>`
+          )
+          .join("")
+      : "";
+
+    document.getElementById("ukTaxCodeNote").textContent = result
+      ? `Tax code ${result.taxCode.code} (${
+          result.taxCode.region === "scotland" ? "Scottish" : "rUK"
+        } rates), tax-free allowance ${formatGBP(result.allowance)} a year.` +
+        (result.taxCode.emergency
+          ? " Emergency (week 1/month 1) basis: each period is taxed on its own."
+          : "")
+      : "";
+  }
+
+  /**
+   * Calculate from the form and show the results
+   */
+  function calculate() {
+    const input = getFormValues();
+    const errors = validateUkInput(input);
+    showErrors(errors);
+    if (errors.length) {
+      renderResults(null);
+      return;
+    }
+    renderResults(calculateUkPayroll(input));
+  }
+
+  /**
+   * Initialise the UK calculator if it is on the page
+   */
+  function init() {
+    const form = document.getElementById("ukTaxCalculatorForm");
+    if (!form) return;
+
+    const pensionToggle = document.getElementById("ukPensionToggle");
+    const updatePensionFields = () => {
+      document
+        .getElementById("ukPensionFields")
+        .classList.toggle("d-none", !pensionToggle.checked);
+    };
+    pensionToggle.addEventListener("change", updatePensionFields);
+    updatePensionFields();
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      calculate();
+    });
+    form.addEventListener("reset", () => {
+      setTimeout(() => {
+        updatePensionFields();
+        showErrors([]);
+        renderResults(null);
+      }, 0);
+    });
+
+    renderResults(null);
+  }
+
+  return {
+    TAX_YEAR,
+    PAY_FREQUENCIES,
+    PERSONAL_ALLOWANCE,
+    INCOME_TAX_BANDS,
+    NI_CATEGORIES,
+    STUDENT_LOAN_PLANS,
+    QUALIFYING_EARNINGS,
+    DEFAULT_PENSION,
+    formatGBP,
+    parseTaxCode,
+    taperAllowance,
+    calculateIncomeTax,
+    calculateNI,
+    calculateStudentLoan,
+    calculatePension,
+    validateUkInput,
+    calculateUkPayroll,
+    init,
+  };
+});
@@ -0,0 +1,602 @@
+/**
+ * VAT Return
+ * Works out VAT on sales and purchase invoices (7.5%, VAT-inclusive or
+ * exclusive, exempt or zero-rated) and the monthly return laid out like the
+ * FIRS VAT return form.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(
+      require("./money.js"),
+      require("./csv.js"),
+      require("./print.js")
+    );
+  } else {
+    root.VatReturn = factory(root.MoneyUtils, root.CsvUtils, root.PrintUtils);
+    document.addEventListener("DOMContentLoaded", root.VatReturn.init);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (MoneyUtils, CsvUtils, PrintUtils) {
+    "use strict";
+
+    // Standard rate since the Finance Act 2019 (as parts per 1000 for exact sums)
+    const VAT_RATE = 0.075;
+    const VAT_PER_MILLE = 75;
+
+    const TREATMENTS = {
+      exclusive: "VAT-exclusive",
+      inclusive: "VAT-inclusive",
+      exempt: "Exempt",
+      zeroRated: "Zero-rated",
+    };
+
+    const LINE_TYPES = { sale: "Sale", purchase: "Purchase" };
+
+    // Invoice import/export columns; header matching ignores case and spaces
+    const COLUMNS = [
+      { field: "type", label: "Type", aliases: ["sale or purchase"] },
+      { field: "date", label: "Date", aliases: ["invoice date"] },
+      {
+        field: "party",
+        label: "Customer / Supplier",
+        aliases: ["customer", "supplier", "party", "name"],
+      },
+      {
+        field: "reference",
+        label: "Invoice",
+        aliases: ["invoice number", "reference", "ref"],
+      },
+      { field: "description", label: "Description", aliases: ["details"] },
+      { field: "amount", label: "Amount", aliases: ["invoice amount"] },
+      {
+        field: "treatment",
+        label: "VAT Treatment",
+        aliases: ["treatment", "vat"],
+      },
+    ];
+
+    /**
+     * Reduce text to lowercase letters and digits for matching
+     * @param {string} text - Header or cell text
+     * @returns {string} Normalised text
+     */
+    function normalize(text) {
+      return String(text || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]/g, "");
+    }
+
+    /**
+     * Check an invoice line
+     * @param {object} line - type, date, party, amount and treatment
+     * @returns {array} Error messages (empty when valid)
+     */
+    function validateLine(line) {
+      const errors = [];
+      if (!(line.type in LINE_TYPES)) {
+        errors.push("Type must be Sale or Purchase.");
+      }
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(line.date || "")) {
+        errors.push("Enter the invoice date (YYYY-MM-DD).");
+      }
+      if (!(line.amount > 0)) {
+        errors.push("Enter an amount greater than zero.");
+      }
+      if (!(line.treatment in TREATMENTS)) {
+        errors.push(
+          `VAT treatment must be one of ${Object.values(TREATMENTS).join(", ")}.`
+        );
+      }
+      return errors;
+    }
+
+    /**
+     * Split an invoice into its value and VAT
+     * Inclusive amounts have the VAT taken out (7.5/107.5 of the amount);
+     * exclusive amounts have it added. Exempt and zero-rated lines carry none.
+     * @param {object} line - Valid invoice line
+     * @returns {object} The line with net (before VAT), vat and gross
+     */
+    function calculateVatLine(line) {
+      const amountKobo = MoneyUtils.toKobo(line.amount);
+      let vatKobo = 0;
+      if (line.treatment === "exclusive") {
+        vatKobo = MoneyUtils.scaleKobo(amountKobo, VAT_PER_MILLE, 1000);
+      } else if (line.treatment === "inclusive") {
+        vatKobo = MoneyUtils.scaleKobo(
+          amountKobo,
+          VAT_PER_MILLE,
+          1000 + VAT_PER_MILLE
+        );
+      }
+      const netKobo =
+        line.treatment === "inclusive" ? amountKobo - vatKobo : amountKobo;
+
+      return Object.assign({}, line, {
+        net: MoneyUtils.fromKobo(netKobo),
+        vat: MoneyUtils.fromKobo(vatKobo),
+        gross: MoneyUtils.fromKobo(netKobo + vatKobo),
+      });
+    }
+
+    /**
+     * The monthly VAT return
+     * Lines follow the FIRS return: supplies, less exempt and zero-rated
+     * supplies, output VAT; purchases and input VAT claimable; and the VAT
+     * payable (or refundable when input VAT is higher).
+     * @param {array} lines - Outputs of calculateVatLine
+     * @param {string} month - Month as YYYY-MM
+     * @returns {object} month, sales, purchases and lines ([{number, label, amount}]), payable, refundable
+     */
+    function buildVatReturn(lines, month) {
+      const inMonth = lines
+        .filter((line) => line.date.slice(0, 7) === month)
+        .sort((a, b) => a.date.localeCompare(b.date));
+      const sales = inMonth.filter((line) => line.type === "sale");
+      const purchases = inMonth.filter((line) => line.type === "purchase");
+      const sum = (items, field, treatment) =>
+        MoneyUtils.sumKobo(
+          items
+            .filter((item) => !treatment || item.treatment === treatment)
+            .map((item) => MoneyUtils.toKobo(item[field]))
+        );
+
+      const totalSales = sum(sales, "net");
+      const exemptSales = sum(sales, "net", "exempt");
+      const zeroRatedSales = sum(sales, "net", "zeroRated");
+      const outputVat = sum(sales, "vat");
+      const totalPurchases = sum(purchases, "net");
+      const noVatPurchases =
+        sum(purchases, "net", "exempt") + sum(purchases, "net", "zeroRated");
+      const inputVat = sum(purchases, "vat");
+      const netVat = outputVat - inputVat;
+
+      const returnLines = [
+        ["1", "Total sales / income (excluding VAT)", totalSales],
+        ["2", "Less: exempt sales", exemptSales],
+        ["3", "Less: zero-rated sales", zeroRatedSales],
+        [
+          "4",
+          "Total supplies subject to VAT (1 - 2 - 3)",
+          totalSales - exemptSales - zeroRatedSales,
+        ],
+        ["5", `Output VAT (${VAT_RATE * 100}%)`, outputVat],
+        ["6", "Total purchases (excluding VAT)", totalPurchases],
+        ["7", "Less: exempt and zero-rated purchases", noVatPurchases],
+        [
+          "8",
+          "Purchases subject to VAT (6 - 7)",
+          totalPurchases - noVatPurchases,
+        ],
+        ["9", "Input VAT claimable", inputVat],
+        ["10", "VAT payable (5 - 9)", Math.max(0, netVat)],
+        [
+          "11",
+          "VAT refundable / carried forward (9 - 5)",
+          Math.max(0, -netVat),
+        ],
+      ].map(([number, label, kobo]) => ({
+        number,
+        label,
+        amount: MoneyUtils.fromKobo(kobo),
+      }));
+
+      return {
+        month,
+        sales,
+        purchases,
+        lines: returnLines,
+        payable: MoneyUtils.fromKobo(Math.max(0, netVat)),
+        refundable: MoneyUtils.fromKobo(Math.max(0, -netVat)),
+      };
+    }
+
+    /**
+     * Return as rows for export (header then the numbered lines)
+     * @param {object} vatReturn - Output of buildVatReturn
+     * @returns {array} Table rows
+     */
+    function vatReturnRows(vatReturn) {
+      return [["Line", "Description", "Amount"]].concat(
+        vatReturn.lines.map((line) => [
+          line.number,
+          line.label,
+          line.amount.toFixed(2),
+        ])
+      );
+    }
+
+    /**
+     * Invoices as rows for export; the file can be imported again
+     * @param {array} lines - Outputs of calculateVatLine
+     * @returns {array} Table rows
+     */
+    function invoiceRows(lines) {
+      return [
+        COLUMNS.map((column) => column.label).concat([
+          "Value (excl. VAT)",
+          "VAT",
+          "Total",
+        ]),
+      ].concat(
+        lines.map((line) => [
+          LINE_TYPES[line.type],
+          line.date,
+          line.party,
+          line.reference,
+          line.description,
+          line.amount.toFixed(2),
+          TREATMENTS[line.treatment],
+          line.net.toFixed(2),
+          line.vat.toFixed(2),
+          line.gross.toFixed(2),
+        ])
+      );
+    }
+
+    /**
+     * Read invoice rows from an uploaded CSV
+     * @param {array} rows - Parsed CSV rows including the header row
+     * @returns {object} lines (calculated) and errors ("Row 3: ...")
+     */
+    function parseInvoiceRows(rows) {
+      const indexes = {};
+      (rows[0] || []).forEach((header, index) => {
+        const key = normalize(header);
+        const column = COLUMNS.find(
+          (col) =>
+            normalize(col.field) === key ||
+            normalize(col.label) === key ||
+            col.aliases.some((alias) => normalize(alias) === key)
+        );
+        if (column && indexes[column.field] === undefined) {
+          indexes[column.field] = index;
+        }
+      });
+
+      const missing = COLUMNS.filter(
+        (column) =>
+          ["type", "date", "amount", "treatment"].includes(column.field) &&
+          indexes[column.field] === undefined
+      );
+      if (missing.length) {
+        return {
+          lines: [],
+          errors: [
+            `Missing columns: ${missing.map((column) => column.label).join(", ")}`,
+          ],
+        };
+      }
+
+      // Labels or ids are accepted for the type and treatment
+      const lookup = (options, text) =>
+        Object.keys(options).find(
+          (key) =>
+            normalize(key) === normalize(text) ||
+            normalize(options[key]) === normalize(text)
+        ) || normalize(text);
+
+      const lines = [];
+      const errors = [];
+      rows.slice(1).forEach((cells, index) => {
+        const cell = (field) =>
+          indexes[field] === undefined
+            ? ""
+            : String(cells[indexes[field]] || "").trim();
+        const line = {
+          type: lookup(LINE_TYPES, cell("type")),
+          date: cell("date"),
+          party: cell("party"),
+          reference: cell("reference"),
+          description: cell("description"),
+          amount: CsvUtils.parseAmount(cell("amount")),
+          treatment: lookup(TREATMENTS, cell("treatment")),
+        };
+
+        const lineErrors = validateLine(line);
+        if (lineErrors.length) {
+          errors.push(`Row ${index + 2}: ${lineErrors.join(" ")}`);
+        } else {
+          lines.push(calculateVatLine(line));
+        }
+      });
+
+      return { lines, errors };
+    }
+
+    /**
+     * Printable return with the invoice listings
+     * @param {object} vatReturn - Output of buildVatReturn
+     * @param {object} taxpayer - name and tin
+     * @returns {string} Body HTML
+     */
+    function vatReturnHtml(vatReturn, taxpayer) {
+      const escape = PrintUtils.escapeHtml;
+      const rows = vatReturnRows(vatReturn);
+      const listing = (title, lines) => {
+        const invoiceTable = invoiceRows(lines);
+        return lines.length
+          ? `<h2>${title}</h2>` +
+              PrintUtils.buildTable(invoiceTable[0], invoiceTable.slice(1), {
+                amountColumns: [5, 7, 8, 9],
+              })
+          : "";
+      };
+
+      return (
+        "<h1>Value Added Tax Return</h1>" +
+        `<div class="meta">
+          <div><strong>Taxpayer:</strong> ${escape(taxpayer.name)}</div>
+          <div><strong>TIN:</strong> ${escape(taxpayer.tin)}</div>
+          <div><strong>Month: ${escape(vatReturn.month)}</strong></div>
+        </div>` +
+        PrintUtils.buildTable(rows[0], rows.slice(1), {
+          amountColumns: [2],
+        }) +
+        listing("Sales", vatReturn.sales) +
+        listing("Purchases", vatReturn.purchases)
+      );
+    }
+
+    /* ---------- Page wiring (calculator page only) ---------- */
+
+    let invoices = [];
+
+    /**
+     * Read the invoice form
+     * @returns {object} Invoice line
+     */
+    function getLineValues() {
+      const value = (id) => document.getElementById(id).value;
+      return {
+        type: value("vatLineType"),
+        date: value("vatLineDate"),
+        party: value("vatLineParty").trim(),
+        reference: value("vatLineReference").trim(),
+        description: value("vatLineDescription").trim(),
+        amount: parseCurrency(value("vatLineAmount")),
+        treatment: value("vatLineTreatment"),
+      };
+    }
+
+    /**
+     * Show messages under the panel (or clear them)
+     * @param {array} messages - Messages to list
+     * @param {string} [level] - Bootstrap alert level
+     */
+    function showMessages(messages, level = "danger") {
+      const list = document.getElementById("vatMessages");
+      list.className = messages.length ? `alert alert-${level} mt-3` : "d-none";
+      list.replaceChildren(
+        ...messages.map((message) => {
+          const item = document.createElement("div");
+          item.textContent = message;
+          return item;
+        })
+      );
+    }
+
+    /**
+     * Show the VAT split of the invoice being entered
+     */
+    function updatePreview() {
+      const line = getLineValues();
+      const preview = document.getElementById("vatLinePreview");
+      if (!(line.amount > 0) || !(line.treatment in TREATMENTS)) {
+        preview.textContent = "";
+        return;
+      }
+
+      const result = calculateVatLine(line);
+      preview.textContent =
+        `Value ${formatCurrency(result.net)} + VAT ` +
+        `${formatCurrency(result.vat)} = ${formatCurrency(result.gross)}`;
+    }
+
+    /**
+     * Draw the month's invoices and return
+     */
+    function render() {
+      const vatReturn = buildVatReturn(
+        invoices,
+        document.getElementById("vatMonth").value
+      );
+      const lines = vatReturn.sales.concat(vatReturn.purchases);
+
+      document.querySelector("#vatInvoiceTable tbody").replaceChildren(
+        ...lines.map((line) => {
+          const tr = document.createElement("tr");
+          [
+            LINE_TYPES[line.type],
+            line.date,
+            line.party,
+            TREATMENTS[line.treatment],
+            formatCurrency(line.net),
+            formatCurrency(line.vat),
+            formatCurrency(line.gross),
+          ].forEach((text) => {
+            tr.appendChild(document.createElement("td")).textContent = text;
+          });
+          const remove = tr
+            .appendChild(document.createElement("td"))
+            .appendChild(document.createElement("button"));
+          remove.type = "button";
+          remove.className = "btn btn-link btn-sm p-0";
+          remove.dataset.remove = invoices.indexOf(line);
+          remove.textContent = "Remove";
+          return tr;
+        })
+      );
+
+      document.querySelector("#vatReturnTable tbody").replaceChildren(
+        ...vatReturn.lines.map((line) => {
+          const tr = document.createElement("tr");
+          if (line.number === "10" || line.number === "11") {
+            tr.className = "table-info";
+          }
+          [line.number, line.label, formatCurrency(line.amount)].forEach(
+            (text) => {
+              tr.appendChild(document.createElement("td")).textContent = text;
+            }
+          );
+          return tr;
+        })
+      );
+
+      ["vatReturnCsv", "vatInvoicesCsv", "vatReturnPrint"].forEach((id) => {
+        document.getElementById(id).disabled = !lines.length;
+      });
+    }
+
+    /**
+     * Add the entered invoice
+     */
+    function addLine() {
+      const line = getLineValues();
+      const errors = validateLine(line);
+      showMessages(errors);
+      if (errors.length) return;
+
+      invoices.push(calculateVatLine(line));
+      document.getElementById("vatMonth").value = line.date.slice(0, 7);
+      [
+        "vatLineParty",
+        "vatLineReference",
+        "vatLineDescription",
+        "vatLineAmount",
+      ].forEach((id) => {
+        document.getElementById(id).value = "";
+      });
+      updatePreview();
+      render();
+    }
+
+    /**
+     * Import invoices from a CSV file
+     * @param {Event} e - Change event from the file input
+     */
+    function handleImport(e) {
+      const file = e.target.files[0];
+      if (!file) return;
+
+      file
+        .text()
+        .then(CsvUtils.parseCSV)
+        .then((rows) => {
+          const { lines, errors } = parseInvoiceRows(rows);
+          invoices = invoices.concat(lines);
+          if (lines.length) {
+            document.getElementById("vatMonth").value = lines[0].date.slice(
+              0,
+              7
+            );
+          }
+          showMessages(
+            [`${lines.length} invoices imported.`].concat(errors),
+            errors.length ? "warning" : "success"
+          );
+          render();
+        })
+        .catch((error) => showMessages([error.message]))
+        .finally(() => {
+          e.target.value = "";
+        });
+    }
+
+    /**
+     * Export or print the month's return
+     * @param {string} format - "return", "invoices" (CSV) or "print"
+     */
+    function exportReturn(format) {
+      const month = document.getElementById("vatMonth").value;
+      const vatReturn = buildVatReturn(invoices, month);
+
+      if (format === "return") {
+        CsvUtils.downloadFile(
+          `vat-return-${month}.csv`,
+          CsvUtils.toCSV(vatReturnRows(vatReturn))
+        );
+      } else if (format === "invoices") {
+        CsvUtils.downloadFile(
+          `vat-invoices-${month}.csv`,
+          CsvUtils.toCSV(
+            invoiceRows(vatReturn.sales.concat(vatReturn.purchases))
+          )
+        );
+      } else {
+        PrintUtils.openPrintWindow(
+          `VAT Return ${month}`,
+          vatReturnHtml(vatReturn, {
+            name: document.getElementById("vatTaxpayerName").value.trim(),
+            tin: document.getElementById("vatTaxpayerTin").value.trim(),
+          })
+        );
+      }
+    }
+
+    /**
+     * Initialise the VAT panel if it is on the page
+     */
+    function init() {
+      const panel = document.getElementById("vatReturn");
+      if (!panel) return;
+
+      const treatmentSelect = document.getElementById("vatLineTreatment");
+      Object.entries(TREATMENTS).forEach(([id, label]) => {
+        treatmentSelect.appendChild(new Option(label, id));
+      });
+
+      const today = new Date();
+      const month = `${today.getFullYear()}-${String(
+        today.getMonth() + 1
+      ).padStart(2, "0")}`;
+      document.getElementById("vatMonth").value = month;
+      document.getElementById("vatLineDate").value = `${month}-${String(
+        today.getDate()
+      ).padStart(2, "0")}`;
+
+      ["vatLineAmount", "vatLineTreatment"].forEach((id) => {
+        document.getElementById(id).addEventListener("input", updatePreview);
+        document.getElementById(id).addEventListener("change", updatePreview);
+      });
+      document.getElementById("vatLineAdd").addEventListener("click", addLine);
+      document.getElementById("vatMonth").addEventListener("change", render);
+      document
+        .getElementById("vatImportFile")
+        .addEventListener("change", handleImport);
+      document
+        .getElementById("vatInvoiceTable")
+        .addEventListener("click", (e) => {
+          const button = e.target.closest("[data-remove]");
+          if (!button) return;
+          invoices.splice(Number(button.dataset.remove), 1);
+          render();
+        });
+      document
+        .getElementById("vatReturnCsv")
+        .addEventListener("click", () => exportReturn("return"));
+      document
+        .getElementById("vatInvoicesCsv")
+        .addEventListener("click", () => exportReturn("invoices"));
+      document
+        .getElementById("vatReturnPrint")
+        .addEventListener("click", () => exportReturn("print"));
+
+      render();
+    }
+
+    return {
+      VAT_RATE,
+      TREATMENTS,
+      validateLine,
+      calculateVatLine,
+      buildVatReturn,
+      vatReturnRows,
+      invoiceRows,
+      parseInvoiceRows,
+      vatReturnHtml,
+      init,
+    };
+  }
+);
@@ -0,0 +1,628 @@
+/**
+ * Withholding Tax (WHT)
+ * Applies the WHT rate for a vendor payment, works out the net payable and
+ * builds the monthly WHT remittance schedule split between FIRS and the
+ * State revenue services.
+ */
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(
+      require("./money.js"),
+      require("./csv.js"),
+      require("./print.js"),
+      require("./paye-filing.js")
+    );
+  } else {
+    root.WithholdingTax = factory(
+      root.MoneyUtils,
+      root.CsvUtils,
+      root.PrintUtils,
+      root.PayeFiling
+    );
+    document.addEventListener("DOMContentLoaded", root.WithholdingTax.init);
+  }
+})(
+  typeof self !== "undefined" ? self : this,
+  function (MoneyUtils, CsvUtils, PrintUtils, PayeFiling) {
+    "use strict";
+
+    // Rates from the Deduction of Tax at Source (Withholding) Regulations 2024:
+    // [corporate resident, individual resident, corporate non-resident,
+    // individual non-resident]; null where the payment type does not apply
+    const TRANSACTION_TYPES = [
+      { id: "dividend", label: "Dividends", rates: [0.1, 0.1, 0.1, 0.1] },
+      { id: "interest", label: "Interest", rates: [0.1, 0.1, 0.1, 0.1] },
+      {
+        id: "rent",
+        label: "Rent and hire of equipment",
+        rates: [0.1, 0.1, 0.1, 0.1],
+      },
+      { id: "royalty", label: "Royalties", rates: [0.1, 0.05, 0.1, 0.1] },
+      { id: "commission", label: "Commission", rates: [0.05, 0.05, 0.1, 0.1] },
+      {
+        id: "consultancy",
+        label: "Consultancy, technical and management fees",
+        rates: [0.05, 0.05, 0.1, 0.1],
+      },
+      {
+        id: "professional",
+        label: "Professional fees",
+        rates: [0.05, 0.05, 0.1, 0.1],
+      },
+      {
+        id: "brokerage",
+        label: "Brokerage fees",
+        rates: [0.05, 0.05, 0.1, 0.1],
+      },
+      {
+        id: "directorFees",
+        label: "Directors' fees",
+        rates: [null, 0.15, null, 0.2],
+      },
+      {
+        id: "construction",
+        label: "Construction of roads, bridges, buildings and power plants",
+        rates: [0.02, 0.02, 0.05, 0.05],
+      },
+      {
+        id: "supply",
+        label: "Supply of goods",
+        rates: [0.02, 0.02, 0.05, 0.05],
+      },
+      {
+        id: "contract",
+        label: "Other contracts and agency arrangements",
+        rates: [0.02, 0.05, 0.05, 0.05],
+      },
+    ];
+
+    const PAYEE_TYPES = { corporate: "Company", individual: "Individual" };
+
+    const FIRS = "FIRS";
+    const FIRS_NAME = "Federal Inland Revenue Service (FIRS)";
+
+    const SCHEDULE_HEADER = [
+      "S/N",
+      "Payment Date",
+      "Vendor",
+      "Vendor TIN",
+      "Invoice",
+      "Transaction",
+      "Payee",
+      "Residency",
+      "Tax Authority",
+      "Amount (excl. VAT)",
+      "Rate",
+      "WHT Deducted",
+      "Net Payable",
+    ];
+
+    /**
+     * Look up a transaction type
+     * @param {string} id - Transaction type id
+     * @returns {object|undefined} Transaction type
+     */
+    function getTransactionType(id) {
+      return TRANSACTION_TYPES.find((type) => type.id === id);
+    }
+
+    /**
+     * WHT rate for a payment
+     * @param {string} typeId - Transaction type id
+     * @param {string} payeeType - "corporate" or "individual"
+     * @param {boolean} resident - Whether the payee is resident in Nigeria
+     * @returns {number|null} Rate as a decimal, or null when it does not apply
+     */
+    function getWhtRate(typeId, payeeType, resident) {
+      const type = getTransactionType(typeId);
+      if (!type || !(payeeType in PAYEE_TYPES)) return null;
+      const column = (resident ? 0 : 2) + (payeeType === "individual" ? 1 : 0);
+      return type.rates[column];
+    }
+
+    /**
+     * Format a rate as a percentage
+     * @param {number} rate - Rate as a decimal
+     * @returns {string} e.g. "5%"
+     */
+    function formatRate(rate) {
+      return `${Number((rate * 100).toFixed(2))}%`;
+    }
+
+    /**
+     * Tax authority the WHT is remitted to
+     * Companies and non-residents pay to FIRS; resident individuals to the
+     * revenue service of the State they live in.
+     * @param {object} invoice - payeeType, resident and state
+     * @returns {string} "FIRS" or a State code (PayeFiling.STATE_REVENUE_SERVICES)
+     */
+    function getAuthority(invoice) {
+      return invoice.payeeType === "individual" && invoice.resident
+        ? invoice.state
+        : FIRS;
+    }
+
+    /**
+     * Full name of a tax authority
+     * @param {string} authority - "FIRS" or a State code
+     * @returns {string} Authority name
+     */
+    function authorityName(authority) {
+      return authority === FIRS
+        ? FIRS_NAME
+        : PayeFiling.STATE_REVENUE_SERVICES[authority] || authority;
+    }
+
+    /**
+     * Check an invoice before it is added
+     * @param {object} invoice - Invoice fields
+     * @returns {array} Error messages (empty when valid)
+     */
+    function validateInvoice(invoice) {
+      const errors = [];
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(invoice.date || "")) {
+        errors.push("Enter the payment date.");
+      }
+      if (!String(invoice.vendor || "").trim()) {
+        errors.push("Enter the vendor name.");
+      }
+      if (!(invoice.amount > 0)) {
+        errors.push("Enter an invoice amount greater than zero.");
+      }
+      if (!(invoice.vat >= 0)) {
+        errors.push("VAT cannot be negative.");
+      }
+      if (!getTransactionType(invoice.type)) {
+        errors.push("Choose the transaction type.");
+      } else if (
+        getWhtRate(invoice.type, invoice.payeeType, invoice.resident) === null
+      ) {
+        errors.push(
+          `${getTransactionType(invoice.type).label} are only paid to individuals.`
+        );
+      }
+      if (
+        invoice.payeeType === "individual" &&
+        invoice.resident &&
+        !PayeFiling.STATE_REVENUE_SERVICES[invoice.state]
+      ) {
+        errors.push("Choose the State the individual lives in.");
+      }
+      return errors;
+    }
+
+    /**
+     * Work out the WHT on an invoice
+     * WHT is charged on the amount before VAT; the vendor is paid the
+     * amount plus VAT less the WHT.
+     * @param {object} invoice - Valid invoice (see validateInvoice)
+     * @returns {object} The invoice with rate, wht, netPayable and authority
+     */
+    function calculateWht(invoice) {
+      const rate = getWhtRate(
+        invoice.type,
+        invoice.payeeType,
+        invoice.resident
+      );
+      const amountKobo = MoneyUtils.toKobo(invoice.amount);
+      const whtKobo = MoneyUtils.applyRate(amountKobo, rate);
+
+      return Object.assign({}, invoice, {
+        rate,
+        wht: MoneyUtils.fromKobo(whtKobo),
+        netPayable: MoneyUtils.fromKobo(
+          amountKobo + MoneyUtils.toKobo(invoice.vat) - whtKobo
+        ),
+        authority: getAuthority(invoice),
+      });
+    }
+
+    /**
+     * Monthly remittance schedule: the month's payments and totals per authority
+     * @param {array} invoices - Outputs of calculateWht
+     * @param {string} month - Month as YYYY-MM
+     * @returns {object} records (by date), authorities ([{authority, name, count, amount, wht}], FIRS first) and totals
+     */
+    function buildWhtSchedule(invoices, month) {
+      const records = invoices
+        .filter((invoice) => invoice.date.slice(0, 7) === month)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+      const sums = {};
+      records.forEach((record) => {
+        const sum = (sums[record.authority] = sums[record.authority] || {
+          authority: record.authority,
+          name: authorityName(record.authority),
+          count: 0,
+          amount: 0,
+          wht: 0,
+        });
+        sum.count += 1;
+        sum.amount += MoneyUtils.toKobo(record.amount);
+        sum.wht += MoneyUtils.toKobo(record.wht);
+      });
+
+      const authorities = Object.values(sums)
+        .sort((a, b) =>
+          a.authority === FIRS
+            ? -1
+            : b.authority === FIRS
+              ? 1
+              : a.name.localeCompare(b.name)
+        )
+        .map((sum) =>
+          Object.assign(sum, {
+            amount: MoneyUtils.fromKobo(sum.amount),
+            wht: MoneyUtils.fromKobo(sum.wht),
+          })
+        );
+
+      const total = (field) =>
+        MoneyUtils.fromKobo(
+          MoneyUtils.sumKobo(
+            records.map((record) => MoneyUtils.toKobo(record[field]))
+          )
+        );
+
+      return {
+        month,
+        records,
+        authorities,
+        totals: {
+          amount: total("amount"),
+          wht: total("wht"),
+          netPayable: total("netPayable"),
+        },
+      };
+    }
+
+    /**
+     * Schedule as rows: header, one row per payment, a total per authority
+     * and the grand total
+     * @param {object} schedule - Output of buildWhtSchedule
+     * @returns {array} Table rows
+     */
+    function whtScheduleRows(schedule) {
+      const rows = schedule.records.map((record, index) => [
+        index + 1,
+        record.date,
+        record.vendor,
+        record.tin,
+        record.reference,
+        getTransactionType(record.type).label,
+        PAYEE_TYPES[record.payeeType],
+        record.resident ? "Resident" : "Non-resident",
+        authorityName(record.authority),
+        record.amount.toFixed(2),
+        formatRate(record.rate),
+        record.wht.toFixed(2),
+        record.netPayable.toFixed(2),
+      ]);
+
+      schedule.authorities.forEach((sum) => {
+        rows.push([
+          "TOTAL",
+          "",
+          `${sum.count} payments`,
+          "",
+          "",
+          "",
+          "",
+          "",
+          sum.name,
+          sum.amount.toFixed(2),
+          "",
+          sum.wht.toFixed(2),
+          "",
+        ]);
+      });
+
+      rows.push([
+        "TOTAL",
+        "",
+        `${schedule.records.length} payments`,
+        "",
+        "",
+        "",
+        "",
+        "",
+        "All authorities",
+        schedule.totals.amount.toFixed(2),
+        "",
+        schedule.totals.wht.toFixed(2),
+        schedule.totals.netPayable.toFixed(2),
+      ]);
+
+      return [SCHEDULE_HEADER].concat(rows);
+    }
+
+    /**
+     * Printable schedule: one remittance table per authority
+     * @param {object} schedule - Output of buildWhtSchedule
+     * @param {object} payer - name and tin
+     * @returns {string} Body HTML
+     */
+    function whtScheduleHtml(schedule, payer) {
+      const escape = PrintUtils.escapeHtml;
+      const rows = whtScheduleRows(schedule);
+      const header = rows[0];
+      const paymentRows = rows.slice(1, schedule.records.length + 1);
+
+      const sections = schedule.authorities.map((sum) => {
+        const own = paymentRows.filter((row) => row[8] === sum.name);
+        return (
+          `<h2>${escape(sum.name)}</h2>` +
+          PrintUtils.buildTable(
+            header,
+            own.concat([
+              rows.find((row) => row[0] === "TOTAL" && row[8] === sum.name),
+            ]),
+            { amountColumns: [9, 11, 12], totalRow: true }
+          )
+        );
+      });
+
+      return (
+        "<h1>Monthly Withholding Tax Remittance Schedule</h1>" +
+        `<div class="meta">
+          <div><strong>Payer:</strong> ${escape(payer.name)}</div>
+          <div><strong>Payer TIN:</strong> ${escape(payer.tin)}</div>
+          <div><strong>Month: ${escape(schedule.month)}</strong></div>
+        </div>` +
+        sections.join("")
+      );
+    }
+
+    /* ---------- Page wiring (calculator page only) ---------- */
+
+    let invoices = [];
+
+    /**
+     * Read the invoice form
+     * @returns {object} Invoice fields
+     */
+    function getInvoiceValues() {
+      const value = (id) => document.getElementById(id).value;
+      return {
+        date: value("whtDate"),
+        vendor: value("whtVendor").trim(),
+        tin: value("whtVendorTin").trim(),
+        reference: value("whtReference").trim(),
+        type: value("whtType"),
+        payeeType: value("whtPayeeType"),
+        resident: value("whtResidency") === "resident",
+        state: value("whtState"),
+        amount: parseCurrency(value("whtAmount")),
+        vat: parseCurrency(value("whtVat")),
+      };
+    }
+
+    /**
+     * Show messages under the invoice form (or clear them)
+     * @param {array} messages - Messages to list
+     */
+    function showErrors(messages) {
+      const list = document.getElementById("whtErrors");
+      list.className = messages.length ? "alert alert-danger mt-3" : "d-none";
+      list.replaceChildren(
+        ...messages.map((message) => {
+          const item = document.createElement("div");
+          item.textContent = message;
+          return item;
+        })
+      );
+    }
+
+    /**
+     * Show the rate and net payable for the invoice being entered
+     */
+    function updatePreview() {
+      const invoice = getInvoiceValues();
+      const preview = document.getElementById("whtPreview");
+      document
+        .getElementById("whtStateGroup")
+        .classList.toggle(
+          "d-none",
+          !(invoice.payeeType === "individual" && invoice.resident)
+        );
+
+      const rate = getWhtRate(
+        invoice.type,
+        invoice.payeeType,
+        invoice.resident
+      );
+      if (rate === null) {
+        preview.textContent = "Not applicable to this payee.";
+        return;
+      }
+      if (!(invoice.amount > 0)) {
+        preview.textContent = `WHT rate: ${formatRate(rate)}`;
+        return;
+      }
+
+      const result = calculateWht(
+        Object.assign(invoice, { vat: invoice.vat > 0 ? invoice.vat : 0 })
+      );
+      preview.textContent =
+        `WHT at ${formatRate(rate)}: ${formatCurrency(result.wht)}. ` +
+        `Pay the vendor ${formatCurrency(result.netPayable)} and remit ` +
+        `${formatCurrency(result.wht)} to ${
+          result.authority ? authorityName(result.authority) : "the State"
+        }.`;
+    }
+
+    /**
+     * Draw the invoices and the schedule for the chosen month
+     */
+    function render() {
+      const month = document.getElementById("whtMonth").value;
+      const schedule = buildWhtSchedule(invoices, month);
+      const tbody = document.querySelector("#whtInvoiceTable tbody");
+
+      tbody.replaceChildren(
+        ...schedule.records.map((record) => {
+          const tr = document.createElement("tr");
+          [
+            record.date,
+            record.vendor,
+            getTransactionType(record.type).label,
+            formatRate(record.rate),
+            formatCurrency(record.amount),
+            formatCurrency(record.wht),
+            formatCurrency(record.netPayable),
+            authorityName(record.authority),
+          ].forEach((text) => {
+            tr.appendChild(document.createElement("td")).textContent = text;
+          });
+          const remove = tr
+            .appendChild(document.createElement("td"))
+            .appendChild(document.createElement("button"));
+          remove.type = "button";
+          remove.className = "btn btn-link btn-sm p-0";
+          remove.dataset.remove = invoices.indexOf(record);
+          remove.textContent = "Remove";
+          return tr;
+        })
+      );
+
+      document.getElementById("whtSummary").textContent = schedule.records
+        .length
+        ? schedule.authorities
+            .map(
+              (sum) =>
+                `${sum.name}: ${formatCurrency(sum.wht)} on ${sum.count} payment(s)`
+            )
+            .concat([`Total WHT ${formatCurrency(schedule.totals.wht)}`])
+            .join(" · ")
+        : `No payments in ${month || "this month"} yet.`;
+
+      ["whtScheduleCsv", "whtSchedulePrint"].forEach((id) => {
+        document.getElementById(id).disabled = !schedule.records.length;
+      });
+    }
+
+    /**
+     * Add the entered invoice to the list
+     */
+    function addInvoice() {
+      const invoice = getInvoiceValues();
+      const errors = validateInvoice(invoice);
+      showErrors(errors);
+      if (errors.length) return;
+
+      invoices.push(calculateWht(invoice));
+      document.getElementById("whtMonth").value = invoice.date.slice(0, 7);
+      [
+        "whtVendor",
+        "whtVendorTin",
+        "whtReference",
+        "whtAmount",
+        "whtVat",
+      ].forEach((id) => {
+        document.getElementById(id).value = "";
+      });
+      updatePreview();
+      render();
+    }
+
+    /**
+     * Export or print the month's schedule
+     * @param {string} format - "csv" or "print"
+     */
+    function exportSchedule(format) {
+      const schedule = buildWhtSchedule(
+        invoices,
+        document.getElementById("whtMonth").value
+      );
+      const payer = {
+        name: document.getElementById("whtPayerName").value.trim(),
+        tin: document.getElementById("whtPayerTin").value.trim(),
+      };
+
+      if (format === "csv") {
+        CsvUtils.downloadFile(
+          `wht-schedule-${schedule.month}.csv`,
+          CsvUtils.toCSV(whtScheduleRows(schedule))
+        );
+      } else {
+        PrintUtils.openPrintWindow(
+          `WHT Schedule ${schedule.month}`,
+          whtScheduleHtml(schedule, payer)
+        );
+      }
+    }
+
+    /**
+     * Initialise the WHT panel if it is on the page
+     */
+    function init() {
+      const panel = document.getElementById("withholdingTax");
+      if (!panel) return;
+
+      const typeSelect = document.getElementById("whtType");
+      TRANSACTION_TYPES.forEach((type) => {
+        typeSelect.appendChild(new Option(type.label, type.id));
+      });
+      const stateSelect = document.getElementById("whtState");
+      Object.entries(PayeFiling.STATE_REVENUE_SERVICES).forEach(
+        ([code, name]) => {
+          stateSelect.appendChild(new Option(name, code));
+        }
+      );
+
+      const today = new Date();
+      const month = `${today.getFullYear()}-${String(
+        today.getMonth() + 1
+      ).padStart(2, "0")}`;
+      document.getElementById("whtMonth").value = month;
+      document.getElementById("whtDate").value = `${month}-${String(
+        today.getDate()
+      ).padStart(2, "0")}`;
+
+      [
+        "whtType",
+        "whtPayeeType",
+        "whtResidency",
+        "whtState",
+        "whtAmount",
+        "whtVat",
+      ].forEach((id) => {
+        document.getElementById(id).addEventListener("input", updatePreview);
+        document.getElementById(id).addEventListener("change", updatePreview);
+      });
+      document.getElementById("whtAdd").addEventListener("click", addInvoice);
+      document.getElementById("whtMonth").addEventListener("change", render);
+      document
+        .getElementById("whtInvoiceTable")
+        .addEventListener("click", (e) => {
+          const button = e.target.closest("[data-remove]");
+          if (!button) return;
+          invoices.splice(Number(button.dataset.remove), 1);
+          render();
+        });
+      document
+        .getElementById("whtScheduleCsv")
+        .addEventListener("click", () => exportSchedule("csv"));
+      document
+        .getElementById("whtSchedulePrint")
+        .addEventListener("click", () => exportSchedule("print"));
+
+      updatePreview();
+      render();
+    }
+
+    return {
+      TRANSACTION_TYPES,
+      PAYEE_TYPES,
+      FIRS,
+      getWhtRate,
+      getAuthority,
+      validateInvoice,
+      calculateWht,
+      buildWhtSchedule,
+      whtScheduleRows,
+      whtScheduleHtml,
+      init,
+    };
+  }
+);
@@ -0,0 +1,106 @@
+/**
+ * Tests for the bulk payroll run
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TaxCore = require("../assets/js/custom/tax-core.js");
+const CsvUtils = require("../assets/js/custom/csv.js");
+const BulkPayroll = require("../assets/js/custom/bulk-payroll.js");
+
+const UPLOAD = [
+  "Employee ID,Name,Basic,Housing,Transport,Leave Allowance,Rent,Pension Toggle,Tax Regime",
+  'EMP001,"Okafor, Adaeze","3,600,000",1800000,720000,360000,1200000,Yes,',
+  "EMP002,Bello Musa,900000,540000,360000,,,no,2026",
+  "EMP003,Tunde Ade,abc,540000,360000,,,,",
+  "EMP004,Grace Eze,0,540000,360000,,,,",
+].join("\r\n");
+
+test("parseCSV handles quotes, embedded commas and CRLF", () => {
+  const rows = CsvUtils.parseCSV(UPLOAD);
+  assert.equal(rows.length, 5);
+  assert.equal(rows[1][1], "Okafor, Adaeze");
+  assert.equal(rows[1][2], "3,600,000");
+});
+
+test("toCSV quotes cells and stops names running as formulas", () => {
+  const csv = CsvUtils.toCSV([
+    ['=HYPERLINK("http://x")', "+2348012345678", "@SUM(A1)", "-1+1"],
+    ["\tTab", "Okafor, Adaeze", -1500.5, "-1,500.50"],
+  ]);
+  assert.equal(
+    csv,
+    '"\'=HYPERLINK(""http://x"")",\'+2348012345678,\'@SUM(A1),\'-1+1\r\n' +
+      '\'\tTab,"Okafor, Adaeze",-1500.5,"-1,500.50"'
+  );
+});
+
+test("each valid row matches the single-employee calculation", () => {
+  const { results, missing } = BulkPayroll.runBulkPayroll(
+    CsvUtils.parseCSV(UPLOAD),
+    { regime: "current" }
+  );
+  assert.deepEqual(missing, []);
+
+  const expected = TaxCore.calculatePayroll({
+    basicSalary: 3600000,
+    housingAllowance: 1800000,
+    transportAllowance: 720000,
+    leaveAllowance: 360000,
+    rentPaid: 1200000,
+    pensionEnabled: true,
+    regime: "current",
+  });
+  assert.equal(results[0].paye, expected.monthly.tax);
+  assert.equal(results[0].net, expected.monthly.net);
+  assert.equal(results[1].result.regime, "2026");
+  assert.equal(results[1].pension, 0);
+});
+
+test("bad rows carry per-row errors instead of results", () => {
+  const { results } = BulkPayroll.runBulkPayroll(CsvUtils.parseCSV(UPLOAD));
+  assert.match(results[2].errors[0], /Basic Salary: "abc" is not a number/);
+  assert.match(results[3].errors[0], /required fields/);
+  assert.equal(results[3].rowNumber, 5);
+});
+
+test("reports missing required columns", () => {
+  const { missing } = BulkPayroll.runBulkPayroll([["Name", "Basic"]]);
+  assert.deepEqual(missing, ["housingAllowance", "transportAllowance"]);
+});
+
+test("PAYE schedule totals add up the rounded employee rows", () => {
+  const { results } = BulkPayroll.runBulkPayroll(CsvUtils.parseCSV(UPLOAD));
+  const schedule = BulkPayroll.buildPayeSchedule(results);
+  const body = schedule.slice(1, -1);
+  const totals = schedule[schedule.length - 1];
+
+  assert.equal(body.length, 2);
+  for (const column of [2, 3, 4, 5]) {
+    const sum = body.reduce((acc, row) => acc + Number(row[column]) * 100, 0);
+    assert.equal(Math.round(sum), Math.round(Number(totals[column]) * 100));
+  }
+});
+
+test("sortResults keeps error rows last", () => {
+  const { results } = BulkPayroll.runBulkPayroll(CsvUtils.parseCSV(UPLOAD));
+  const sorted = BulkPayroll.sortResults(results, "paye", "desc");
+  assert.equal(sorted[0].employeeId, "EMP001");
+  assert.equal(sorted[sorted.length - 1].result, null);
+});
+
+test("NHF and NHIS toggles default to off when blank", () => {
+  const rows = CsvUtils.parseCSV(
+    [
+      "Basic,Housing,Transport,NHF Toggle,NHIS Toggle,Mortgage Interest",
+      "2400000,1200000,480000,Yes,,300000",
+    ].join("\n")
+  );
+  const [employee] = BulkPayroll.rowsToEmployees(rows).employees;
+  assert.equal(employee.salary.nhfEnabled, true);
+  assert.equal(employee.salary.nhisEnabled, false);
+
+  const [row] = BulkPayroll.runBulkPayroll(rows).results;
+  assert.equal(row.result.allowableDeductions.nhfContribution, 60000);
+  assert.equal(row.result.allowableDeductions.mortgageInterest, 300000);
+});
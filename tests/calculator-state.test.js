@@ -0,0 +1,119 @@
+/**
+ * Tests for the shareable link and recent calculations history
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TaxCore = require("../assets/js/custom/tax-core.js");
+const CalculatorState = require("../assets/js/custom/calculator-state.js");
+const { memoryStorage } = require("./helpers/memory-storage.js");
+
+const VALUES = {
+  regime: "2026",
+  basicSalary: 3000000,
+  housingAllowance: 1500000,
+  transportAllowance: 600000.5,
+  leaveAllowance: 0,
+  rentPaid: 1200000,
+  nhfContribution: 75000,
+  nhfEnabled: true,
+  nhisEnabled: false,
+  pensionContribution: 200000,
+  pensionEnabled: false,
+  startDate: "2026-03-01",
+  endDate: "",
+};
+
+test("a link round-trips the inputs, switches and regime", () => {
+  const query = CalculatorState.encodeValues(VALUES);
+
+  assert.equal(
+    query,
+    "regime=2026&pensionEnabled=0&nhfEnabled=1&basicSalary=3000000&" +
+      "housingAllowance=1500000&transportAllowance=600000.5&rentPaid=1200000&" +
+      "pensionContribution=200000&startDate=2026-03-01"
+  );
+
+  const restored = CalculatorState.decodeValues(`?${query}`);
+  assert.equal(restored.regime, "2026");
+  assert.equal(restored.pensionEnabled, false);
+  assert.equal(restored.nhfEnabled, true);
+  assert.equal(restored.transportAllowance, 600000.5);
+  // NHF is worked out from basic while its switch is on
+  assert.equal(restored.nhfContribution, 0);
+
+  assert.deepEqual(
+    TaxCore.calculatePayroll(restored).annual,
+    TaxCore.calculatePayroll(Object.assign({}, VALUES, { nhfContribution: 0 }))
+      .annual
+  );
+});
+
+test("ignores unknown and invalid parameters", () => {
+  const restored = CalculatorState.decodeValues(
+    "basicSalary=2400000&rentPaid=abc&housingAllowance=-5&regime=1999&" +
+      "startDate=2026-02-30&utm_source=mail"
+  );
+
+  assert.equal(restored.basicSalary, 2400000);
+  assert.equal(restored.rentPaid, 0);
+  assert.equal(restored.housingAllowance, 0);
+  assert.equal(restored.startDate, "");
+  assert.equal(restored.pensionEnabled, true);
+  assert.ok(!("regime" in restored));
+  assert.ok(!("utm_source" in restored));
+
+  // A plain ?regime= link has nothing to restore
+  assert.equal(CalculatorState.decodeValues("?regime=2026"), null);
+});
+
+test("keeps the latest few calculations, newest first, without repeats", () => {
+  const result = TaxCore.calculatePayroll(VALUES);
+  let history = [];
+  for (let basic = 1; basic <= 7; basic++) {
+    const values = Object.assign({}, VALUES, { basicSalary: basic * 1000000 });
+    history = CalculatorState.addToHistory(
+      history,
+      CalculatorState.historyEntry(values, result, new Date(2026, 0, basic))
+    );
+  }
+  assert.equal(history.length, CalculatorState.HISTORY_LIMIT);
+  assert.match(history[0].query, /basicSalary=7000000/);
+  // The list is drawn before the rules load, so the label travels with it
+  assert.equal(history[0].regimeLabel, TaxCore.getTaxRegime("2026").label);
+
+  const again = CalculatorState.historyEntry(
+    Object.assign({}, VALUES, { basicSalary: 5000000 }),
+    result
+  );
+  history = CalculatorState.addToHistory(history, again);
+  assert.equal(history.length, CalculatorState.HISTORY_LIMIT);
+  assert.equal(history[0], again);
+  assert.equal(
+    history.filter((entry) => entry.query === again.query).length,
+    1
+  );
+});
+
+test("stores history in localStorage and clears it completely", () => {
+  const storage = memoryStorage();
+  const entry = CalculatorState.historyEntry(
+    VALUES,
+    TaxCore.calculatePayroll(VALUES)
+  );
+
+  assert.equal(CalculatorState.writeHistory(storage, [entry]), true);
+  assert.deepEqual(CalculatorState.readHistory(storage), [entry]);
+
+  CalculatorState.writeHistory(storage, []);
+  assert.deepEqual(storage.items, {});
+
+  storage.setItem(CalculatorState.HISTORY_KEY, "{not json");
+  assert.deepEqual(CalculatorState.readHistory(storage), []);
+
+  const full = memoryStorage();
+  full.setItem = () => {
+    throw new Error("QuotaExceededError");
+  };
+  assert.equal(CalculatorState.writeHistory(full, [entry]), false);
+});
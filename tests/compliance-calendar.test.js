@@ -0,0 +1,124 @@
+/**
+ * Tests for the compliance deadline calendar
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ComplianceCalendar = require("../assets/js/custom/compliance-calendar.js");
+
+const date = (iso) => new Date(`${iso}T00:00:00Z`);
+
+test("public holidays include Easter and weekend holidays observed on Monday", () => {
+  const holidays = ComplianceCalendar.getHolidays(2027);
+  assert.equal(holidays["2027-03-26"], "Good Friday");
+  assert.equal(holidays["2027-03-29"], "Easter Monday");
+  assert.equal(holidays["2027-06-14"], "Democracy Day (observed)");
+  // Christmas and Boxing Day on a weekend push to Monday and Tuesday
+  assert.equal(holidays["2027-12-27"], "Christmas Day (observed)");
+  assert.equal(holidays["2027-12-28"], "Boxing Day (observed)");
+});
+
+test("deadlines on a weekend or holiday move to the next working day", () => {
+  const saturday = ComplianceCalendar.nextWorkingDay(date("2026-11-21"));
+  assert.equal(saturday.date.toISOString().slice(0, 10), "2026-11-23");
+  assert.equal(saturday.reason, "Saturday");
+
+  const newYear = ComplianceCalendar.nextWorkingDay(date("2027-01-01"));
+  assert.equal(newYear.date.toISOString().slice(0, 10), "2027-01-04");
+  assert.equal(newYear.reason, "New Year's Day");
+
+  const weekday = ComplianceCalendar.nextWorkingDay(date("2026-10-21"));
+  assert.equal(weekday.reason, "");
+});
+
+test("deadlines follow the company profile", () => {
+  const deadlines = ComplianceCalendar.buildDeadlines(
+    { payday: 28, vatRegistered: false, yearEndMonth: 3 },
+    date("2026-10-19"),
+    12
+  );
+  const byId = (id) => deadlines.filter((deadline) => deadline.id === id);
+
+  assert.equal(byId("vat").length, 0);
+  assert.deepEqual(
+    byId("paye")
+      .map((deadline) => deadline.due)
+      .slice(0, 3),
+    ["2026-11-10", "2026-12-10", "2027-01-11"]
+  );
+  // Paid on the 28th of October, due 4 November
+  assert.equal(byId("pension")[0].due, "2026-11-04");
+  assert.equal(byId("pension")[0].period, "October 2026");
+  assert.equal(byId("wht")[0].due, "2026-10-21");
+  assert.deepEqual(
+    byId("paye-annual").map((deadline) => [deadline.period, deadline.due]),
+    [["2026", "2027-02-01"]]
+  );
+  // Year ended 31 March 2027: return due 30 September 2027
+  assert.equal(byId("firs-annual")[0].due, "2027-09-30");
+  assert.ok(deadlines.every((deadline) => deadline.due >= "2026-10-19"));
+  assert.ok(deadlines.every((deadline) => deadline.due < "2027-10-19"));
+
+  assert.deepEqual(
+    ComplianceCalendar.validateProfile({
+      payday: 0,
+      yearEndMonth: 13,
+      hasEmployees: true,
+    }),
+    [
+      "Choose the day of the month staff are paid.",
+      "Choose the month the financial year ends.",
+    ]
+  );
+});
+
+test("the .ics export has one all-day event per deadline", () => {
+  const deadlines = ComplianceCalendar.buildDeadlines(
+    {},
+    date("2026-11-01"),
+    1
+  );
+  const ics = ComplianceCalendar.toIcs(deadlines, {
+    companyName: "Acme, Nigeria; Ltd",
+    now: new Date("2026-11-01T09:30:00Z"),
+  });
+  const lines = ics.split("\r\n");
+
+  assert.equal(lines[0], "BEGIN:VCALENDAR");
+  assert.equal(lines.at(-2), "END:VCALENDAR");
+  assert.equal(
+    lines.filter((line) => line === "BEGIN:VEVENT").length,
+    deadlines.length
+  );
+  assert.ok(lines.includes("DTSTART;VALUE=DATE:20261123"));
+  assert.ok(lines.includes("DTEND;VALUE=DATE:20261124"));
+  assert.ok(lines.includes("DTSTAMP:20261101T093000Z"));
+  assert.ok(lines.includes("UID:vat-20261123@hrpayhub.com"));
+  assert.ok(
+    ics.includes("SUMMARY:Acme\\, Nigeria\\; Ltd: VAT return and payment")
+  );
+  assert.ok(lines.every((line) => line.length <= 75));
+});
+
+test(".ics lines fold at 75 UTF-8 bytes without splitting a character", () => {
+  const deadlines = ComplianceCalendar.buildDeadlines(
+    {},
+    date("2026-11-01"),
+    1
+  );
+  const companyName = "Ọ̀yọ́ Café ₦ Société 🇳🇬🚀 Ltd ".repeat(4);
+  const ics = ComplianceCalendar.toIcs(deadlines, {
+    companyName,
+    now: new Date("2026-11-01T09:30:00Z"),
+  });
+  const lines = ics.split("\r\n");
+
+  assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75));
+  assert.ok(lines.every((line) => !/[\uD800-\uDBFF]$/.test(line)));
+
+  // Unfolding gives back the whole summary
+  const unfolded = ics.replace(/\r\n /g, "");
+  assert.ok(
+    unfolded.includes(`SUMMARY:${companyName}: VAT return and payment`)
+  );
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for the per-form schemas
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const FormSchemas = require("../assets/js/custom/form-schemas.js");
+
+// A Wednesday morning
+const NOW = new Date(2026, 9, 21, 9, 0);
+
+test("forms without a known data-form use the contact schema", () => {
+  assert.equal(FormSchemas.getSchema().name, "contact");
+  assert.equal(FormSchemas.getSchema("nope").name, "contact");
+  assert.deepEqual(
+    FormSchemas.getSchema("seller").fields.map((field) => field.name),
+    ["fullName", "email", "company", "businessType", "country", "message"]
+  );
+});
+
+test("the contact schema skips fields a form does not have", () => {
+  const result = FormSchemas.validate(FormSchemas.getSchema("contact"), {
+    fullName: " Ada Obi ",
+    email: "ada@example",
+    message: "",
+  });
+  assert.deepEqual(result.errors, {
+    email: "Enter a valid email address, like name@company.com.",
+    message: "Message is required.",
+  });
+  assert.deepEqual(result.fields, { fullName: "Ada Obi" });
+});
+
+test("trial sign-ups check the state against the country", () => {
+  const schema = FormSchemas.getSchema("trial");
+  const values = {
+    fullName: "Ada Obi",
+    email: "ada@example.com",
+    company: "Acme Ltd",
+    country: "Nigeria",
+    state: "Lagos",
+    headcount: "25",
+    payFrequency: "monthly",
+    modules: ["payroll", "hr"],
+    plan: "gold",
+  };
+  assert.deepEqual(FormSchemas.validate(schema, values, NOW), {
+    errors: {},
+    fields: Object.assign({}, values, { headcount: 25 }),
+  });
+
+  const invalid = FormSchemas.validate(
+    schema,
+    Object.assign({}, values, {
+      country: "United Kingdom",
+      headcount: "2.5",
+      modules: [],
+      plan: "",
+    }),
+    NOW
+  );
+  assert.deepEqual(invalid.errors, {
+    state: "Choose a state or nation from the list.",
+    headcount: "Number of employees must be a whole number from 1 to 100,000.",
+    modules: "Choose at least one of the modules.",
+    plan: "Choose a plan.",
+  });
+});
+
+test("demo slots must be in future working hours", () => {
+  const slot = FormSchemas.getSchema("demo").fields.find(
+    (field) => field.name === "demoSlot"
+  );
+  const check = (value) => FormSchemas.validateField(slot, value, NOW);
+
+  assert.equal(check("2026-10-22T10:30"), "");
+  assert.equal(check(""), "Preferred demo time is required.");
+  assert.equal(
+    check("2026-10-20T10:30"),
+    "Preferred demo time must be in the future."
+  );
+  // Saturday, and Thursday evening
+  const hours = "Preferred demo time must be Monday to Friday, 9:00 to 17:00.";
+  assert.equal(check("2026-10-24T10:30"), hours);
+  assert.equal(check("2026-10-22T17:00"), hours);
+});
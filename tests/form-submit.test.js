@@ -0,0 +1,195 @@
+/**
+ * Tests for the form submission client and the local mock endpoint
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const FormSubmit = require("../assets/js/custom/form-submit.js");
+const MockServer = require("../tools/mock-form-server.js");
+const { memoryStorage } = require("./helpers/memory-storage.js");
+
+const FIELDS = {
+  fullName: "Ada Obi",
+  email: "ada@example.com",
+  company: "Acme Ltd",
+  message: " We need payroll for 40 staff. ",
+  website: "",
+};
+
+/**
+ * fetch stand-in that plays back a list of outcomes
+ * @param {array} outcomes - HTTP statuses, or "offline" for a network error
+ * @returns {function} fetch with a calls array
+ */
+function scriptedFetch(outcomes) {
+  const calls = [];
+  const fetchFn = (url, init) => {
+    calls.push({ url, body: JSON.parse(init.body) });
+    const outcome = outcomes[Math.min(calls.length, outcomes.length) - 1];
+    if (outcome === "offline") {
+      return Promise.reject(new TypeError("Failed to fetch"));
+    }
+    return Promise.resolve({
+      ok: outcome < 300,
+      status: outcome,
+      json: () => Promise.resolve({ message: `Status ${outcome}` }),
+    });
+  };
+  fetchFn.calls = calls;
+  return fetchFn;
+}
+
+test("honeypot and time trap flag bots", () => {
+  assert.equal(FormSubmit.isSpam(FIELDS, 0, 10000), false);
+  assert.equal(
+    FormSubmit.isSpam(
+      Object.assign({}, FIELDS, { website: "x.com" }),
+      0,
+      10000
+    ),
+    true
+  );
+  assert.equal(FormSubmit.isSpam(FIELDS, 10000, 11000), true);
+
+  const payload = FormSubmit.buildPayload(
+    FIELDS,
+    { form: "contact", page: "/contact.html" },
+    new Date("2026-10-19T10:00:00Z")
+  );
+  assert.equal(payload.form, "contact");
+  assert.equal(payload.submittedAt, "2026-10-19T10:00:00.000Z");
+  assert.equal(payload.fields.message, "We need payroll for 40 staff.");
+  assert.ok(!("website" in payload.fields));
+  assert.ok(payload.id);
+});
+
+test("network and server failures are retried with backoff", async () => {
+  assert.deepEqual(
+    [0, 1, 2, 3, 4].map(FormSubmit.backoffDelay),
+    [1000, 2000, 4000, 8000, 10000]
+  );
+
+  const waits = [];
+  const sleep = (ms) => {
+    waits.push(ms);
+    return Promise.resolve();
+  };
+  const flaky = scriptedFetch(["offline", 503, 201]);
+  await FormSubmit.send("/api/leads", { id: "a" }, { fetch: flaky, sleep });
+  assert.equal(flaky.calls.length, 3);
+  assert.deepEqual(waits, [1000, 2000]);
+
+  // A rejected submission is not retried
+  const rejecting = scriptedFetch([422]);
+  await assert.rejects(
+    FormSubmit.send("/api/leads", { id: "b" }, { fetch: rejecting, sleep }),
+    { name: "SubmitError", status: 422, retryable: false }
+  );
+  assert.equal(rejecting.calls.length, 1);
+
+  const down = scriptedFetch(["offline"]);
+  await assert.rejects(
+    FormSubmit.send("/api/leads", { id: "c" }, { fetch: down, sleep }),
+    { retryable: true }
+  );
+  assert.equal(down.calls.length, 4);
+});
+
+test("queued submissions are resent in order and leave the queue", async () => {
+  const storage = memoryStorage();
+  ["a", "b", "c"].forEach((id) =>
+    FormSubmit.enqueue(storage, "/api/leads", { id })
+  );
+  FormSubmit.enqueue(storage, "/api/leads", { id: "a" });
+  assert.deepEqual(
+    FormSubmit.readQueue(storage).map((item) => item.payload.id),
+    ["b", "c", "a"]
+  );
+
+  // b is sent, c is rejected, then the network drops on a
+  const outcomes = { b: "sent", c: "rejected", a: "offline" };
+  const sent = [];
+  const result = await FormSubmit.flushQueue(storage, (endpoint, payload) => {
+    const outcome = outcomes[payload.id];
+    if (outcome === "sent") {
+      sent.push(payload.id);
+      return Promise.resolve({});
+    }
+    return Promise.reject(
+      new FormSubmit.SubmitError(outcome, 0, outcome === "offline")
+    );
+  });
+  assert.deepEqual(result, { sent: 1, rejected: 1, remaining: 1 });
+  assert.deepEqual(sent, ["b"]);
+  assert.deepEqual(
+    FormSubmit.readQueue(storage).map((item) => item.payload.id),
+    ["a"]
+  );
+
+  outcomes.a = "sent";
+  await FormSubmit.flushQueue(storage, () => Promise.resolve({}));
+  assert.equal(storage.getItem(FormSubmit.QUEUE_KEY), null);
+});
+
+test("submissions reach the mock endpoint end to end", async () => {
+  const server = MockServer.createServer({ quiet: true });
+  await new Promise((resolve) => server.listen(0, resolve));
+  const url = `http://127.0.0.1:${server.address().port}${MockServer.ENDPOINT}`;
+
+  try {
+    const payload = FormSubmit.buildPayload(FIELDS, {
+      form: "contact",
+      page: "/contact.html",
+    });
+    assert.deepEqual(await FormSubmit.send(url, payload), {
+      id: payload.id,
+      duplicate: false,
+    });
+    // Resending after a lost response does not store the lead twice
+    assert.equal((await FormSubmit.send(url, payload)).duplicate, true);
+    assert.equal(server.leads.length, 1);
+    assert.equal(server.leads[0].fields.fullName, "Ada Obi");
+
+    const invalid = FormSubmit.buildPayload(
+      Object.assign({}, FIELDS, { email: "ada" }),
+      { form: "contact", page: "/contact.html" }
+    );
+    await assert.rejects(FormSubmit.send(url, invalid), {
+      status: 422,
+      message: "A valid email address is required.",
+    });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test("the mock server only serves site files", async () => {
+  const server = MockServer.createServer({ quiet: true });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  // Raw paths: fetch would normalise the dot-segments away
+  const status = (urlPath) =>
+    new Promise((resolve, reject) => {
+      http
+        .get(
+          { host: "127.0.0.1", port: server.address().port, path: urlPath },
+          (res) => {
+            res.resume();
+            resolve(res.statusCode);
+          }
+        )
+        .on("error", reject);
+    });
+
+  try {
+    assert.equal(await status("/contact.html"), 200);
+    assert.equal(await status("/%E0"), 400);
+    assert.equal(await status("/.git/HEAD"), 403);
+    assert.equal(await status("/assets/../.git/config"), 403);
+    assert.equal(await status("/%2Egit/HEAD"), 403);
+    // The server is still up after a bad request
+    assert.equal(await status("/missing.html"), 404);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
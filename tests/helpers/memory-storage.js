@@ -0,0 +1,24 @@
+/**
+ * In-memory stand-in for localStorage, shared by the tests
+ */
+"use strict";
+
+/**
+ * In-memory stand-in for localStorage
+ * @param {object} [items] - Initial contents
+ * @returns {object} Storage with getItem, setItem and removeItem
+ */
+function memoryStorage(items = {}) {
+  return {
+    items,
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+    },
+    removeItem: (key) => {
+      delete items[key];
+    },
+  };
+}
+
+module.exports = { memoryStorage };
@@ -0,0 +1,55 @@
+/**
+ * Tests for the cumulative month-by-month PAYE grid
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TaxCore = require("../assets/js/custom/tax-core.js");
+const PayeCumulative = require("../assets/js/custom/paye-cumulative.js");
+
+const PACKAGE = {
+  basicSalary: 3600000,
+  housingAllowance: 1800000,
+  transportAllowance: 720000,
+};
+
+test("equal months match the annualised calculation", () => {
+  const months = PayeCumulative.monthsFromAnnual(PACKAGE);
+  const { rows, totals } = PayeCumulative.calculateCumulativePaye(months);
+  const annual = TaxCore.calculatePayroll(PACKAGE);
+
+  rows.forEach((row, index) => {
+    assert.equal(row.paye, annual.schedule[index].tax);
+    assert.equal(row.flag, null);
+  });
+  assert.equal(totals.paye, annual.totalTax);
+});
+
+test("13th month in December is taxed when paid and flagged", () => {
+  const months = PayeCumulative.monthsFromAnnual(PACKAGE);
+  months[11].bonus = 300000;
+  const { rows, totals } = PayeCumulative.calculateCumulativePaye(months);
+
+  const withBonus = TaxCore.calculatePayroll(
+    Object.assign({}, PACKAGE, { otherAllowances: 300000 })
+  );
+  assert.equal(totals.paye, Math.round(withBonus.totalTax * 100) / 100);
+  assert.equal(rows[10].flag, null);
+  assert.equal(rows[11].flag, "jump");
+  assert.equal(rows[11].gross, 810000);
+});
+
+test("unpaid months after a bonus refund over-deducted tax", () => {
+  const months = PayeCumulative.monthsFromAnnual(PACKAGE);
+  months[0].bonus = 2000000;
+  months.slice(6).forEach((month) => {
+    PayeCumulative.GRID_FIELDS.forEach(({ field }) => {
+      month[field] = 0;
+    });
+  });
+  const { rows } = PayeCumulative.calculateCumulativePaye(months);
+
+  assert.equal(rows[0].flag, null);
+  assert.equal(rows[6].flag, "refund");
+  assert.ok(rows[6].paye < 0);
+});
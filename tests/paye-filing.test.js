@@ -0,0 +1,70 @@
+/**
+ * Tests for the PAYE remittance schedule and Form H1 annual return
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const CsvUtils = require("../assets/js/custom/csv.js");
+const BulkPayroll = require("../assets/js/custom/bulk-payroll.js");
+const PayeFiling = require("../assets/js/custom/paye-filing.js");
+
+const UPLOAD = [
+  "Employee ID,Name,TIN,Basic,Housing,Transport",
+  "EMP001,Adaeze Okafor,11111111-0001,3600000,1800000,720000",
+  "EMP002,Bello Musa,,900000,540000,360000",
+].join("\n");
+
+function monthlyRecords(month) {
+  const { results } = BulkPayroll.runBulkPayroll(CsvUtils.parseCSV(UPLOAD));
+  return PayeFiling.buildMonthlyRecords(results, month);
+}
+
+test("monthly records carry gross, reliefs and tax deducted", () => {
+  const [record] = monthlyRecords("2025-01");
+  assert.equal(record.month, "2025-01");
+  assert.equal(record.tin, "11111111-0001");
+  assert.equal(
+    Math.round((record.gross - record.totalReliefs) * 100),
+    Math.round(record.taxable * 100)
+  );
+  assert.ok(record.tax > 0);
+});
+
+test("validateRecords flags missing TINs and negative values", () => {
+  const records = monthlyRecords("2025-01");
+  records[0].tax = -1;
+  const messages = PayeFiling.validateRecords(records).map((i) => i.message);
+
+  assert.ok(messages.includes("Adaeze Okafor: tax is negative"));
+  assert.ok(messages.includes("Bello Musa: missing TIN"));
+});
+
+test("Form H1 adds up twelve exported monthly schedules per employee", () => {
+  const records = [];
+  for (let month = 1; month <= 12; month++) {
+    const label = `2025-${String(month).padStart(2, "0")}`;
+    const csv = CsvUtils.toCSV(
+      PayeFiling.monthlyScheduleRows(monthlyRecords(label))
+    );
+    records.push(...PayeFiling.parseScheduleRows(CsvUtils.parseCSV(csv)));
+  }
+
+  const annual = PayeFiling.buildAnnualReturn(records, "2025");
+  const { results } = BulkPayroll.runBulkPayroll(CsvUtils.parseCSV(UPLOAD));
+
+  assert.equal(annual.length, 2);
+  assert.equal(annual[0].months, 12);
+  // December takes the rounding remainder, so the year matches to the kobo
+  assert.equal(annual[0].tax, results[0].result.annual.tax);
+  assert.equal(annual[0].gross, results[0].result.annual.gross);
+  assert.deepEqual(PayeFiling.annualReturnWarnings(annual), []);
+  assert.deepEqual(PayeFiling.buildAnnualReturn(records, "2024"), []);
+});
+
+test("part-year employees are warned about, not blocked", () => {
+  const annual = PayeFiling.buildAnnualReturn(
+    monthlyRecords("2025-06"),
+    "2025"
+  );
+  assert.equal(PayeFiling.annualReturnWarnings(annual).length, 2);
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests for the payslip generator
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TaxCore = require("../assets/js/custom/tax-core.js");
+const Payslip = require("../assets/js/custom/payslip.js");
+
+const SALARY = {
+  basicSalary: 3600000,
+  housingAllowance: 1800000,
+  transportAllowance: 720000,
+  leaveAllowance: 360000,
+  lifeInsurance: 120000,
+  rentPaid: 1200000,
+};
+
+test("lists each allowance and deduction and nets them to take-home pay", () => {
+  const result = TaxCore.calculatePayroll(
+    Object.assign({ regime: "current", mortgageInterest: 240000 }, SALARY)
+  );
+  const payslip = Payslip.buildPayslip({ period: "2025-03", result });
+
+  assert.deepEqual(
+    payslip.earnings.map((line) => line.label),
+    [
+      "Basic Salary",
+      "Housing Allowance",
+      "Transport Allowance",
+      "Leave Allowance",
+    ]
+  );
+  assert.deepEqual(
+    payslip.deductions.map((line) => line.label),
+    ["Pension (Employee)", "PAYE Tax", "Life Insurance Premium"]
+  );
+  // Rent and mortgage interest lower the tax but are not withheld
+  assert.deepEqual(payslip.reliefs, [
+    { label: "Rent", amount: 100000 },
+    { label: "Mortgage Interest", amount: 20000 },
+  ]);
+  assert.equal(payslip.netPay, result.monthly.net + 120000);
+  assert.match(
+    Payslip.payslipHtml(payslip, (n) => n.toFixed(2)),
+    /Tax reliefs<\/strong> \(not deducted from pay\): Rent 100000\.00; Mortgage Interest 20000\.00/
+  );
+});
+
+test("the 2026 rent relief is noted, not deducted", () => {
+  const result = TaxCore.calculatePayroll(
+    Object.assign({ regime: "2026" }, SALARY)
+  );
+  const payslip = Payslip.buildPayslip({ result });
+
+  assert.ok(!payslip.deductions.some((line) => line.label === "Rent"));
+  assert.deepEqual(payslip.reliefs, [
+    { label: "Rent Relief", amount: result.reliefs.rent / 12 },
+  ]);
+  assert.equal(payslip.netPay, result.monthly.net);
+});
+
+test("a year of payslips adds up to the annual figures", () => {
+  const result = TaxCore.calculatePayroll(
+    Object.assign({ regime: "current" }, SALARY, {
+      basicSalary: 3600000.07,
+      rentPaid: 0,
+    })
+  );
+  let tax = 0;
+  let net = 0;
+  for (let month = 1; month <= 12; month++) {
+    const payslip = Payslip.buildPayslip({
+      period: `2025-${String(month).padStart(2, "0")}`,
+      result,
+    });
+    const paye = payslip.deductions.find((line) => line.label === "PAYE Tax");
+    tax += Math.round(paye.amount * 100);
+    net += Math.round(payslip.netPay * 100);
+    assert.equal(payslip.netPay, result.schedule[month - 1].net);
+  }
+
+  assert.equal(tax, Math.round(result.annual.tax * 100));
+  assert.equal(net, Math.round(result.annual.net * 100));
+});
+
+test("batch HTML puts a page break between payslips and escapes names", () => {
+  const result = TaxCore.calculatePayroll(SALARY);
+  const payslips = ["A & B Ltd", "<C>"].map((name) =>
+    Payslip.buildPayslip({ company: { name }, result })
+  );
+  const html = Payslip.payslipsHtml(payslips, (n) => n.toFixed(2));
+
+  assert.equal(html.split('class="page-break"').length, 2);
+  assert.ok(html.includes("A &amp; B Ltd"));
+  assert.ok(html.includes("&lt;C&gt;"));
+});
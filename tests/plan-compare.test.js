@@ -0,0 +1,101 @@
+/**
+ * Tests for the plan comparison matrix
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const PlanCompare = require("../assets/js/custom/plan-compare.js");
+const PLANS = require("../assets/data/plans.json");
+
+const rows = PlanCompare.buildRows(PLANS);
+
+/**
+ * Row for a feature
+ * @param {string} id - Feature id
+ * @returns {object} Matrix row
+ */
+function row(id) {
+  return rows.find((item) => item.id === id);
+}
+
+test("the matrix matches the tiers in the catalogue", () => {
+  assert.equal(rows.length, PLANS.features.length);
+  assert.deepEqual(row("company-setup").included, {
+    bronze: true,
+    silver: true,
+    gold: true,
+    platinum: true,
+  });
+  assert.deepEqual(row("paye-returns").included, {
+    bronze: false,
+    silver: false,
+    gold: true,
+    platinum: true,
+  });
+  assert.equal(
+    rows.filter((item) => item.included.platinum).length,
+    rows.length
+  );
+  assert.equal(
+    PlanCompare.groupLabel(PLANS, "bronze"),
+    "Included in every plan"
+  );
+  assert.equal(PlanCompare.groupLabel(PLANS, "gold"), "Gold and above");
+});
+
+test("rows come from the catalogue passed in", () => {
+  const catalogue = {
+    plans: [
+      { id: "starter", name: "Starter" },
+      { id: "team", name: "Team" },
+    ],
+    features: [
+      { id: "payslips", label: "Payslips", from: "starter" },
+      { id: "fps", label: "FPS File", from: "team" },
+    ],
+  };
+  assert.deepEqual(PlanCompare.buildRows(catalogue), [
+    {
+      id: "payslips",
+      label: "Payslips",
+      from: "starter",
+      included: { starter: true, team: true },
+    },
+    {
+      id: "fps",
+      label: "FPS File",
+      from: "team",
+      included: { starter: false, team: true },
+    },
+  ]);
+});
+
+test("showing only differences drops features every plan has", () => {
+  assert.equal(PlanCompare.isDifference(row("onboarding")), false);
+  assert.equal(PlanCompare.isDifference(row("fps")), true);
+
+  const differences = PlanCompare.filterRows(rows, { differencesOnly: true });
+  assert.equal(differences.length, 16);
+  assert.ok(differences.every((item) => item.from !== "bronze"));
+});
+
+test("search matches every word of the query in any order", () => {
+  const ids = (query, differencesOnly) =>
+    PlanCompare.filterRows(rows, { query, differencesOnly }).map(
+      (item) => item.id
+    );
+
+  assert.equal(ids("").length, rows.length);
+  assert.deepEqual(ids("PAYSLIP"), ["payslips"]);
+  assert.deepEqual(ids("list pay"), ["payroll-list"]);
+  assert.deepEqual(ids("management", true), [
+    "leave",
+    "appraisal",
+    "time",
+    "documents",
+    "payslips",
+    "tasks",
+    "expenses",
+  ]);
+  assert.deepEqual(ids("no such feature"), []);
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for the subscription plan catalogue, quotes and pricing JSON-LD
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const Pricing = require("../assets/js/custom/pricing.js");
+const SyncJsonLd = require("../tools/sync-pricing-jsonld.js");
+const PLANS = require("../assets/data/plans.json");
+
+test("the bundled catalogue is valid and broken ones are explained", () => {
+  assert.deepEqual(Pricing.validateCatalogue(PLANS), []);
+
+  const broken = JSON.parse(JSON.stringify(PLANS));
+  broken.plans[1].prices.NGN.monthly = "3200";
+  broken.plans[2].minSeats = 0;
+  broken.features[0].from = "diamond";
+  broken.features[1].id = broken.features[0].id;
+
+  const errors = Pricing.validateCatalogue(broken);
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /silver.*prices\.NGN\.monthly/);
+  assert.match(errors[1], /gold.*minSeats/);
+  assert.match(errors[2], /company-setup.*from must be a plan id/);
+  assert.match(errors[3], /id is used more than once/);
+  assert.throws(() => Pricing.installCatalogue(broken), /Invalid plan/);
+});
+
+test("quotes bill at least the plan minimum and show the annual saving", () => {
+  const small = Pricing.quote("bronze", { seats: 2, currency: "GBP" });
+  assert.equal(small.billedSeats, 5);
+  assert.equal(small.perMonth, 495);
+  assert.equal(small.perYear, 5940);
+  // (£1.20 - £0.99) x 5 users x 12 months
+  assert.equal(small.saving, 1260);
+
+  const monthly = Pricing.quote("gold", {
+    seats: 40,
+    billing: "monthly",
+    currency: "NGN",
+  });
+  assert.equal(monthly.unitPrice, 520000);
+  assert.equal(monthly.perMonth, 20800000);
+  assert.equal(monthly.saving, 40 * 201 * 12 * 100);
+  assert.equal(Pricing.formatPrice(monthly.perMonth, "NGN"), "₦208,000");
+  assert.equal(Pricing.formatPrice(small.unitPrice, "GBP"), "£0.99");
+
+  assert.throws(() => Pricing.quote("gold", { billing: "weekly" }), /billing/);
+  assert.throws(() => Pricing.quote("diamond"), /Unknown plan/);
+});
+
+test("the cheapest plan covers every feature picked", () => {
+  assert.deepEqual(Pricing.planFeatures("silver").slice(-2), [
+    "time",
+    "documents",
+  ]);
+  assert.equal(Pricing.planFeatures("bronze").length, 5);
+
+  const options = { seats: 12, billing: "annual", currency: "GBP" };
+  assert.equal(Pricing.cheapestPlanFor([], options).plan, "bronze");
+  assert.equal(Pricing.cheapestPlanFor(["leave"], options).plan, "silver");
+  assert.equal(
+    Pricing.cheapestPlanFor(["onboarding", "payslips", "leave"], options).plan,
+    "gold"
+  );
+  assert.equal(Pricing.cheapestPlanFor(["fps"], options).perYear, 100656);
+  assert.equal(Pricing.cheapestPlanFor(["unknown"], options), null);
+});
+
+test("the pricing pages carry offers generated from the catalogue", () => {
+  const offers = Pricing.offersJsonLd();
+  assert.equal(offers.length, PLANS.plans.length * PLANS.currencies.length);
+  const goldNaira = offers.find(
+    (offer) => offer.name === "Gold" && offer.priceCurrency === "NGN"
+  );
+  assert.equal(goldNaira.price, "4999.00");
+  assert.deepEqual(
+    goldNaira.priceSpecification.map((spec) => spec.price),
+    ["4999.00", "5200.00"]
+  );
+
+  SyncJsonLd.PAGES.forEach((page) => {
+    const html = fs.readFileSync(path.join(__dirname, "..", page), "utf8");
+    assert.equal(
+      SyncJsonLd.syncPage(html),
+      html,
+      `${page} is out of date; run node tools/sync-pricing-jsonld.js`
+    );
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for the effective and marginal rate chart
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TaxCore = require("../assets/js/custom/tax-core.js");
+const RateChart = require("../assets/js/custom/rate-chart.js");
+
+const SALARY = {
+  regime: "current",
+  basicSalary: 3000000,
+  housingAllowance: 1500000,
+  transportAllowance: 600000,
+};
+
+test("scales the package to a new gross, keeping its shape", () => {
+  const salary = RateChart.scaleSalary(SALARY, 1000000.01);
+
+  assert.equal(TaxCore.calculateGross(salary), 1000000.01);
+  assert.equal(salary.housingAllowance, 294117.65);
+  assert.equal(salary.transportAllowance, 117647.06);
+  assert.equal(salary.basicSalary, 588235.3);
+});
+
+test("each point matches the calculator for that salary", () => {
+  const points = RateChart.sweepSalary(SALARY, 0, 12000000, 7);
+  assert.deepEqual(
+    points.map((point) => point.gross),
+    [0, 2000000, 4000000, 6000000, 8000000, 10000000, 12000000]
+  );
+
+  const result = TaxCore.calculatePayroll(
+    RateChart.scaleSalary(SALARY, 4000000)
+  );
+  assert.equal(points[2].tax, result.annual.tax);
+  assert.equal(points[2].netMonthly, result.monthly.net);
+  assert.equal(points[2].effectiveRate, result.annual.tax / 4000000);
+  assert.equal(points[0].effectiveRate, 0);
+
+  // Effective rate never passes the marginal rate as pay rises
+  points.slice(1).forEach((point) => {
+    assert.ok(point.effectiveRate <= point.marginalRate + 1e-9);
+  });
+});
+
+test("marginal figures show what the next ₦100,000 is worth", () => {
+  const point = RateChart.ratePoint(SALARY);
+  const next = TaxCore.calculatePayroll(
+    RateChart.scaleSalary(SALARY, 5100000 + RateChart.MARGINAL_STEP)
+  );
+
+  assert.equal(
+    point.marginalRate,
+    (next.annual.tax - point.tax) / RateChart.MARGINAL_STEP
+  );
+  assert.equal(point.extraNet, 74336);
+});
+
+test("finds where each tax band starts to the naira", () => {
+  const points = RateChart.sweepSalary(SALARY, 0, 6000000, 25);
+  const starts = RateChart.findBandStarts(SALARY, points);
+
+  assert.deepEqual(
+    starts.map((start) => start.rate),
+    [0.07, 0.11, 0.15, 0.19, 0.21, 0.24]
+  );
+  starts.forEach((start) => {
+    const at = TaxCore.calculatePayroll(
+      RateChart.scaleSalary(SALARY, start.gross)
+    );
+    const before = TaxCore.calculatePayroll(
+      RateChart.scaleSalary(SALARY, start.gross - 1)
+    );
+    assert.ok(at.breakdown[start.band].taxableAmount > 0);
+    assert.ok(!(before.breakdown[start.band].taxableAmount > 0));
+  });
+});
+
+test("draws the three lines, band starts and the current position", () => {
+  const points = RateChart.sweepSalary(SALARY, 0, 10000000, 11);
+  const svg = RateChart.buildChart(points, {
+    current: RateChart.ratePoint(SALARY),
+    bandStarts: RateChart.findBandStarts(SALARY, points),
+  });
+
+  assert.match(svg, /<svg class="rate-chart-svg"/);
+  assert.equal(svg.match(/<polyline /g).length, 3);
+  assert.equal(svg.match(/class="rate-chart-band"/g).length, 6);
+  assert.match(svg, /class="rate-chart-current"/);
+  assert.equal(RateChart.nearestPoint(points, 56), 0);
+  assert.equal(RateChart.nearestPoint(points, 640), 10);
+});
+
+test("rejects an empty or reversed range", () => {
+  assert.deepEqual(RateChart.validateRange(0, 1000000), []);
+  assert.equal(RateChart.validateRange(5000000, 1000000).length, 1);
+  assert.equal(RateChart.validateRange(Number.NaN, Number.NaN).length, 2);
+});
@@ -0,0 +1,129 @@
+/**
+ * Tests for the side-by-side scenario comparison
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const ScenarioCompare = require("../assets/js/custom/scenario-compare.js");
+
+const SALARY = {
+  regime: "current",
+  basicSalary: 3000000,
+  housingAllowance: 1500000,
+  transportAllowance: 600000,
+};
+
+// ₦600,000 moved from basic into housing: same gross, smaller pension base
+const RESTRUCTURED = Object.assign({}, SALARY, {
+  basicSalary: 2400000,
+  housingAllowance: 2100000,
+});
+
+const rowByLabel = (comparison, label) =>
+  comparison.rows.find((row) => row.label === label);
+
+test("puts each scenario in its own column with the first as baseline", () => {
+  const comparison = ScenarioCompare.buildComparison([
+    ScenarioCompare.createScenario("Today", SALARY),
+    ScenarioCompare.createScenario("More housing", RESTRUCTURED),
+  ]);
+
+  assert.deepEqual(comparison.names, ["Today", "More housing"]);
+
+  const gross = rowByLabel(comparison, "Annual Gross");
+  assert.deepEqual(gross.values, [5100000, 5100000]);
+  assert.deepEqual(gross.differs, [false, false]);
+
+  // Pension is 8% of basic, housing and transport, so it does not move either
+  const ati = rowByLabel(comparison, "Annual Taxable Income (ATI)");
+  assert.deepEqual(ati.differs, [false, false]);
+
+  const employerPension = rowByLabel(comparison, "Employer Pension (Annual)");
+  assert.deepEqual(employerPension.values, [510000, 510000]);
+});
+
+test("flags differing figures with their exact difference from the baseline", () => {
+  const smaller = Object.assign({}, SALARY, { transportAllowance: 0.1 });
+  const comparison = ScenarioCompare.buildComparison([
+    ScenarioCompare.createScenario("Today", SALARY),
+    ScenarioCompare.createScenario("No transport", smaller),
+  ]);
+
+  const gross = rowByLabel(comparison, "Annual Gross");
+  assert.deepEqual(gross.differs, [false, true]);
+  assert.deepEqual(gross.differences, [null, -599999.9]);
+
+  const net = rowByLabel(comparison, "Net Monthly Pay");
+  assert.equal(net.differs[1], true);
+  assert.ok(net.differences[1] < 0);
+});
+
+test("compares the same pay under each tax law, band by band", () => {
+  const scenarios = ScenarioCompare.regimeScenarios(
+    Object.assign({}, SALARY, { rentPaid: 1200000 })
+  );
+  const comparison = ScenarioCompare.buildComparison(scenarios);
+
+  assert.equal(scenarios.length, 2);
+  assert.deepEqual(
+    scenarios.map((scenario) => scenario.results.regime),
+    ["current", "2026"]
+  );
+
+  const regime = rowByLabel(comparison, "Tax Regime");
+  assert.deepEqual(regime.differs, [false, true]);
+
+  const bands = comparison.rows.filter((row) => /^Tax Band/.test(row.label));
+  assert.equal(
+    bands.length,
+    Math.max(...scenarios.map((scenario) => scenario.results.breakdown.length))
+  );
+  assert.match(bands[0].notes[0], /First ₦300,000 at 7%/);
+  assert.equal(bands[0].values[1], 0);
+
+  const bandTotal = (index) =>
+    bands.reduce((sum, row) => sum + (row.values[index] || 0), 0);
+  scenarios.forEach((scenario, index) => {
+    assert.ok(Math.abs(bandTotal(index) - scenario.results.bandTax) < 0.005);
+  });
+});
+
+test("exports each scenario followed by its difference column", () => {
+  const comparison = ScenarioCompare.buildComparison([
+    ScenarioCompare.createScenario("Today", SALARY),
+    ScenarioCompare.createScenario(" ", RESTRUCTURED),
+    ScenarioCompare.createScenario(
+      "Raise",
+      Object.assign({}, SALARY, {
+        basicSalary: 3600000,
+      })
+    ),
+  ]);
+  const rows = ScenarioCompare.comparisonRows(comparison);
+
+  assert.deepEqual(rows[0], [
+    "Item",
+    "Today",
+    "Scenario",
+    "Scenario vs Today",
+    "Raise",
+    "Raise vs Today",
+  ]);
+  assert.deepEqual(rows[2], [
+    "Annual Gross",
+    "5100000.00",
+    "5100000.00",
+    "0.00",
+    "5700000.00",
+    "600000.00",
+  ]);
+  assert.deepEqual(rows[1].slice(3), [
+    "Same",
+    "Current Tax Law (PITA)",
+    "Same",
+  ]);
+  assert.match(
+    ScenarioCompare.comparisonHtml(comparison),
+    /<th class="amount">Raise vs Today<\/th>/
+  );
+});
@@ -0,0 +1,233 @@
+/**
+ * Golden-file tests for the payroll calculation core
+ *
+ * Each file in tests/golden/payroll holds a salary input and the expected
+ * result of TaxCore.calculatePayroll, rounded to the kobo. Run with:
+ *
+ *   node --test tests/
+ *
+ * To add a case, create a file with "description" and "input" only and run
+ * with UPDATE_GOLDEN=1 to write its "expected" block, then check the figures.
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const TaxCore = require("../assets/js/custom/tax-core.js");
+
+const GOLDEN_DIR = path.join(__dirname, "golden", "payroll");
+const UPDATE = process.env.UPDATE_GOLDEN === "1";
+
+/**
+ * Round every number in a result to 2 decimal places (kobo)
+ * @param {*} value - Result value
+ * @returns {*} Rounded copy
+ */
+function toKobo(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? Math.round(value * 100) / 100 : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toKobo);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, toKobo(item)])
+    );
+  }
+  return value;
+}
+
+for (const file of fs
+  .readdirSync(GOLDEN_DIR)
+  .filter((f) => f.endsWith(".json"))) {
+  const goldenPath = path.join(GOLDEN_DIR, file);
+  const golden = JSON.parse(fs.readFileSync(goldenPath, "utf8"));
+
+  test(`${file}: ${golden.description}`, () => {
+    const actual = toKobo(TaxCore.calculatePayroll(golden.input));
+
+    if (UPDATE || !golden.expected) {
+      golden.expected = actual;
+      fs.writeFileSync(goldenPath, JSON.stringify(golden, null, 2) + "\n");
+      return;
+    }
+
+    assert.deepEqual(actual, golden.expected);
+  });
+}
+
+test("validateSalary requires basic, housing and transport", () => {
+  assert.equal(TaxCore.validateSalary({ basicSalary: 1000000 }).length, 1);
+  assert.deepEqual(
+    TaxCore.validateSalary({
+      basicSalary: 1000000,
+      housingAllowance: 500000,
+      transportAllowance: 200000,
+    }),
+    []
+  );
+});
+
+test("validateSalary rejects negative amounts", () => {
+  const errors = TaxCore.validateSalary({
+    basicSalary: 1000000,
+    housingAllowance: 500000,
+    transportAllowance: 200000,
+    rentPaid: -1,
+  });
+  assert.match(errors[0], /rentPaid/);
+});
+
+test("the twelve months add up exactly to the annual figures", () => {
+  const result = TaxCore.calculatePayroll({
+    basicSalary: 4800000.05,
+    housingAllowance: 2400000,
+    transportAllowance: 1200000.07,
+  });
+  const toKobo = (amount) => Math.round(amount * 100);
+  const sum = (key) =>
+    result.schedule.reduce((total, month) => total + toKobo(month[key]), 0);
+
+  assert.equal(result.schedule.length, 12);
+  assert.equal(sum("gross"), toKobo(result.annual.gross));
+  assert.equal(sum("pension"), toKobo(result.pension));
+  assert.equal(sum("tax"), toKobo(result.annual.tax));
+  assert.equal(sum("net"), toKobo(result.annual.net));
+
+  // Regular months are rounded down; December takes the remainder
+  const [january] = result.schedule;
+  const december = result.schedule[11];
+  assert.equal(result.monthly.tax, january.tax);
+  assert.ok(december.tax >= january.tax);
+  assert.ok(toKobo(december.tax) - toKobo(january.tax) < 12);
+  assert.equal(result.annual.net, result.ans - result.totalTax);
+});
+
+test("each step rounds to whole kobo, half up", () => {
+  // 8% of ₦100.05 is ₦8.004; 8% of ₦100.07 is ₦8.0056
+  const pension = (basicSalary) =>
+    TaxCore.calculatePension(
+      TaxCore.normalizeSalary({ basicSalary, pensionEnabled: true })
+    );
+  assert.equal(pension(100.05), 8);
+  assert.equal(pension(100.07), 8.01);
+
+  const { breakdown } = TaxCore.calculateTaxBreakdown(300000.5, "current");
+  assert.equal(breakdown[0].taxAmount, 21000);
+  assert.equal(breakdown[1].taxAmount, 0.06); // 11% of ₦0.50 = 5.5 kobo
+});
+
+test("employer cost adds pension, NSITF, ITF and group life to gross", () => {
+  const salary = {
+    basicSalary: 3600000,
+    housingAllowance: 1800000,
+    transportAllowance: 720000,
+    leaveAllowance: 480000,
+  };
+
+  const cost = TaxCore.calculateEmployerCost(salary, {
+    itf: true,
+    groupLifePremium: 60000,
+  });
+  assert.equal(cost.employerPension, 612000);
+  assert.equal(cost.nsitf, 66000);
+  assert.equal(cost.itf, 66000);
+  assert.equal(cost.groupLife, 60000);
+  assert.equal(cost.annual.total, 6600000 + 804000);
+
+  const grossOnly = TaxCore.calculateEmployerCost(salary, {
+    employerPension: false,
+    nsitf: false,
+  });
+  assert.equal(grossOnly.annual.total, 6600000);
+  assert.equal(grossOnly.monthly.total, 550000);
+});
+
+test("employer cost is pro-rated to the months worked and its lines add up", () => {
+  const salary = {
+    basicSalary: 1000000,
+    housingAllowance: 333333,
+    transportAllowance: 166667,
+    startDate: "2025-04-01",
+    endDate: "2025-10-31",
+  };
+  const levies = { itf: true, groupLifePremium: 12345 };
+  const full = TaxCore.calculateEmployerCost(
+    Object.assign({}, salary, { startDate: "", endDate: "" }),
+    levies
+  );
+  const partYear = TaxCore.calculateEmployerCost(salary, levies);
+
+  assert.equal(partYear.monthsWorked, 7);
+  assert.equal(partYear.gross, 875000);
+  assert.equal(partYear.employerPension, full.employerPension * (7 / 12));
+  assert.equal(partYear.annual.total, partYear.gross + partYear.totalLevies);
+
+  const lines = ["gross", "employerPension", "nsitf", "itf", "groupLife"];
+  const kobo = (amount) => Math.round(amount * 100);
+  [full, partYear].forEach((cost) => {
+    assert.equal(
+      lines.reduce((total, key) => total + kobo(cost.monthly[key]), 0),
+      kobo(cost.monthly.total)
+    );
+  });
+});
+
+test("validateSalary checks the employment dates", () => {
+  const salary = {
+    basicSalary: 1000000,
+    housingAllowance: 500000,
+    transportAllowance: 200000,
+  };
+  const check = (dates) =>
+    TaxCore.validateSalary(Object.assign({}, salary, dates));
+
+  assert.deepEqual(
+    check({ startDate: "2025-03-10", endDate: "2025-11-30" }),
+    []
+  );
+  assert.match(check({ startDate: "2025-02-30" })[0], /valid dates/);
+  assert.match(
+    check({ startDate: "2025-09-01", endDate: "2025-03-31" })[0],
+    /before the start date/
+  );
+  assert.match(
+    check({ startDate: "2024-09-01", endDate: "2025-03-31" })[0],
+    /same tax year/
+  );
+});
+
+test("without an end date the employee is on a current tax year", () => {
+  const salary = {
+    basicSalary: 1200000,
+    housingAllowance: 600000,
+    transportAllowance: 240000,
+    regime: "current",
+  };
+  const thisYear = new Date().getFullYear();
+  const full = TaxCore.calculatePayroll(salary);
+
+  // Joined in an earlier year and still employed: a full current year
+  const stayed = TaxCore.calculatePayroll(
+    Object.assign({ startDate: "2019-05-01" }, salary)
+  );
+  assert.deepEqual(
+    stayed.period,
+    Object.assign({}, full.period, {
+      year: thisYear,
+    })
+  );
+  assert.equal(stayed.period.monthsWorked, 12);
+  assert.equal(stayed.ruleSet.id, full.ruleSet.id);
+  assert.equal(stayed.annual.tax, full.annual.tax);
+
+  // Joined this year: pro-rated from the start month
+  const joiner = TaxCore.calculatePayroll(
+    Object.assign({ startDate: `${thisYear}-05-01` }, salary)
+  );
+  assert.equal(joiner.period.year, thisYear);
+  assert.equal(joiner.period.monthsWorked, 8);
+  assert.equal(joiner.period.partYear, true);
+});
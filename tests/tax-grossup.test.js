@@ -0,0 +1,71 @@
+/**
+ * Tests for the net-to-gross solver
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TaxGrossUp = require("../assets/js/custom/tax-grossup.js");
+
+test("solves to the kobo under both regimes", () => {
+  for (const regime of ["current", "2026"]) {
+    for (const target of [350000, 1234567.89]) {
+      const solution = TaxGrossUp.solveGrossUp(target, undefined, { regime });
+      assert.equal(solution.exact, true, `${regime} ${target}`);
+      assert.equal(solution.difference, 0);
+    }
+  }
+});
+
+test("tops up the package when whole-kobo months step over the target", () => {
+  // No whole-kobo monthly package gives exactly ₦50,000.00 or ₦60,000.00
+  for (const regime of ["current", "2026"]) {
+    for (const target of [50000, 60000, 61250]) {
+      const solution = TaxGrossUp.solveGrossUp(target, undefined, { regime });
+      assert.equal(solution.exact, true, `${regime} ${target}`);
+      assert.equal(solution.difference, 0);
+      assert.equal(solution.result.monthly.net, target);
+    }
+  }
+});
+
+test("splits the package by the requested percentages", () => {
+  const solution = TaxGrossUp.solveGrossUp(
+    300000,
+    { basicSalary: 60, housingAllowance: 25, transportAllowance: 15 },
+    { regime: "current" }
+  );
+  const { basicSalary, housingAllowance, transportAllowance } =
+    solution.components;
+
+  assert.equal(
+    Math.round((basicSalary + housingAllowance + transportAllowance) * 100),
+    Math.round(solution.annualPackage * 100)
+  );
+  assert.ok(Math.abs(basicSalary / solution.annualPackage - 0.6) < 1e-6);
+});
+
+test("keeps fixed allowances and deductions from the base salary", () => {
+  const solution = TaxGrossUp.solveGrossUp(400000, undefined, {
+    regime: "2026",
+    leaveAllowance: 600000,
+    rentPaid: 1500000,
+  });
+  assert.equal(solution.salary.leaveAllowance, 600000);
+  assert.equal(solution.result.reliefs.rent, 300000);
+  assert.equal(solution.exact, true);
+});
+
+test("validateGrossUpRequest checks the target and the split total", () => {
+  assert.equal(
+    TaxGrossUp.validateGrossUpRequest(0, TaxGrossUp.DEFAULT_SPLIT).length,
+    1
+  );
+  assert.match(
+    TaxGrossUp.validateGrossUpRequest(100000, {
+      basicSalary: 50,
+      housingAllowance: 30,
+      transportAllowance: 10,
+    })[0],
+    /100%/
+  );
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for the date-effective tax rule tables
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TaxRules = require("../assets/js/custom/tax-rules.js");
+const TaxCore = require("../assets/js/custom/tax-core.js");
+const RULES = require("../assets/data/tax-rules.json");
+
+/**
+ * Deep copy of the bundled rule file to break in a test
+ * @returns {object} Rule file
+ */
+function copyRules() {
+  return JSON.parse(JSON.stringify(RULES));
+}
+
+test("the bundled rule file passes the schema", () => {
+  assert.deepEqual(TaxRules.validateRuleFile(RULES), []);
+});
+
+test("schema errors name the field at fault", () => {
+  const rules = copyRules();
+  rules.ruleSets[0].bands[1].rate = 1.5;
+  delete rules.ruleSets[1].pension;
+  rules.ruleSets[2].extra = true;
+  rules.ruleSets[2].nhfRate = 2.5;
+
+  const errors = TaxRules.validateRuleFile(rules);
+  assert.ok(
+    errors.includes("rules.ruleSets[0].bands[1].rate must be at most 1")
+  );
+  assert.ok(errors.includes("rules.ruleSets[1].pension is required"));
+  assert.ok(errors.includes("rules.ruleSets[2].extra is not a known field"));
+  assert.ok(errors.includes("rules.ruleSets[2].nhfRate must be at most 1"));
+});
+
+test("NHF and NHIS use the rates of the rule set in force", () => {
+  const salary = {
+    basicSalary: 2000000,
+    nhfEnabled: true,
+    nhisEnabled: true,
+    regime: "current",
+    startDate: "2025-01-01",
+  };
+  assert.equal(TaxCore.calculateNHF(salary), 50000);
+  assert.equal(TaxCore.calculateNHIS(salary), 100000);
+
+  const rules = copyRules();
+  rules.ruleSets.forEach((set) => {
+    set.nhfRate = 0.03;
+    set.nhisRate = 0.06;
+  });
+  try {
+    TaxRules.installRules(rules);
+    assert.equal(TaxCore.calculateNHF(salary), 60000);
+    assert.equal(TaxCore.calculateNHIS(salary), 120000);
+  } finally {
+    TaxRules.installRules(RULES);
+  }
+});
+
+test("NSITF and ITF use the rates of the rule set in force", () => {
+  const salary = {
+    basicSalary: 2400000,
+    regime: "current",
+    startDate: "2025-01-01",
+  };
+  const levies = { employerPension: false, nsitf: true, itf: true };
+  const before = TaxCore.calculateEmployerCost(salary, levies);
+  assert.equal(before.nsitf, 24000);
+  assert.equal(before.itf, 24000);
+
+  const rules = copyRules();
+  rules.ruleSets.forEach((set) => {
+    set.nsitfRate = 0.02;
+    set.itfRate = 0.005;
+  });
+  try {
+    TaxRules.installRules(rules);
+    const after = TaxCore.calculateEmployerCost(salary, levies);
+    assert.equal(after.nsitf, 48000);
+    assert.equal(after.itf, 12000);
+  } finally {
+    TaxRules.installRules(RULES);
+  }
+});
+
+test("band gaps and overlapping versions are rejected", () => {
+  const rules = copyRules();
+  rules.ruleSets[0].bands[2].min = 650000;
+  rules.ruleSets[1].effectiveFrom = "2024-01-01";
+
+  const errors = TaxRules.validateRuleFile(rules);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /band 3 must start where the one before ends/);
+  assert.match(errors[1], /dates overlap with ng-pita-2019/);
+  assert.throws(() => TaxRules.installRules(rules), /Invalid tax rules/);
+});
+
+test("picks the version of a regime in force on the pay period date", () => {
+  assert.equal(
+    TaxCore.getTaxRegime("current", "2024-03-31").id,
+    "ng-pita-2019"
+  );
+  assert.equal(
+    TaxCore.getTaxRegime("current", "2025-06-30").id,
+    "ng-pita-2024"
+  );
+  assert.equal(TaxCore.getTaxRegime("current").id, "ng-pita-2024");
+  assert.equal(TaxCore.getTaxRegime("2026", "2025-06-30").id, "ng-nta-2026");
+
+  // No regime: whichever law is in force on the date
+  assert.equal(TaxCore.getTaxRegime(undefined, "2026-03-31").id, "ng-nta-2026");
+  // A state with no rules of its own uses the federal ones
+  assert.equal(
+    TaxCore.getTaxRegime("current", undefined, "NG-LA").id,
+    "ng-pita-2024"
+  );
+});
+
+test("the minimum wage exemption follows the pay period", () => {
+  const salary = {
+    basicSalary: 300000,
+    housingAllowance: 150000,
+    transportAllowance: 90000,
+    regime: "current",
+  };
+  const before = TaxCore.calculatePayroll(
+    Object.assign({ startDate: "2024-01-01", endDate: "2024-06-30" }, salary)
+  );
+  const after = TaxCore.calculatePayroll(
+    Object.assign({ startDate: "2025-01-01", endDate: "2025-06-30" }, salary)
+  );
+
+  assert.equal(before.ruleSet.id, "ng-pita-2019");
+  assert.notEqual(before.taxRule, "minimumWage");
+  assert.equal(after.taxRule, "minimumWage");
+  assert.equal(after.ruleSet.inForce, true);
+});
+
+test("flags a regime chosen for a period it did not cover", () => {
+  const result = TaxCore.calculatePayroll({
+    basicSalary: 3000000,
+    housingAllowance: 1500000,
+    transportAllowance: 600000,
+    startDate: "2026-01-01",
+    regime: "current",
+  });
+  assert.equal(result.ruleSet.inForce, false);
+});
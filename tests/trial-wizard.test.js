@@ -0,0 +1,127 @@
+/**
+ * Tests for the free trial wizard
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const TrialWizard = require("../assets/js/custom/trial-wizard.js");
+const Pricing = require("../assets/js/custom/pricing.js");
+const PLANS = require("../assets/data/plans.json");
+const { memoryStorage } = require("./helpers/memory-storage.js");
+
+const VALUES = {
+  fullName: "Ada Obi",
+  email: "ada@example.com",
+  company: "Acme Ltd",
+  country: "Nigeria",
+  state: "Lagos",
+  headcount: "8",
+  payFrequency: "monthly",
+  modules: ["hr"],
+  plan: "bronze",
+};
+
+test("each step only moves on when its fields are complete", () => {
+  assert.deepEqual(TrialWizard.validateStep(VALUES, 0), {});
+  assert.deepEqual(TrialWizard.validateStep({ fullName: "Ada" }, 0), {
+    email: "Email is required.",
+    company: "Company is required.",
+  });
+  assert.deepEqual(
+    TrialWizard.validateStep(Object.assign({}, VALUES, { state: "Wales" }), 1),
+    { state: "Choose a state or nation from the list." }
+  );
+  assert.deepEqual(
+    TrialWizard.validateStep(VALUES, TrialWizard.STEPS.length - 1),
+    {}
+  );
+});
+
+test("saved progress reopens at the first incomplete step", () => {
+  assert.equal(TrialWizard.resumeStep(VALUES, 6), 6);
+  assert.equal(
+    TrialWizard.resumeStep(Object.assign({}, VALUES, { headcount: "" }), 6),
+    2
+  );
+  assert.equal(TrialWizard.resumeStep({}, 0), 0);
+  assert.equal(TrialWizard.resumeStep(VALUES, 99), 6);
+
+  const storage = memoryStorage();
+  assert.equal(TrialWizard.readProgress(storage), null);
+  // The start time travels with the progress so a resumed sign-up is not
+  // mistaken for a bot filling the form in seconds
+  const progress = { step: 3, values: VALUES, startedAt: 1767225600000 };
+  TrialWizard.writeProgress(storage, progress);
+  assert.deepEqual(TrialWizard.readProgress(storage), progress);
+  TrialWizard.writeProgress(storage, null);
+  assert.equal(TrialWizard.PROGRESS_KEY in storage.items, false);
+});
+
+test("the recommended plan covers every module asked for", () => {
+  const recommend = (changes) =>
+    TrialWizard.recommendPlan(Object.assign({}, VALUES, changes)).plan;
+
+  assert.equal(recommend({}), "bronze");
+  assert.equal(recommend({ headcount: "40" }), "silver");
+  assert.equal(recommend({ modules: ["hr", "payroll"] }), "gold");
+  assert.equal(
+    recommend({ modules: ["payroll"], country: "United Kingdom" }),
+    "platinum"
+  );
+  assert.equal(recommend({ modules: ["hr", "accounting"] }), "platinum");
+
+  const recommendation = TrialWizard.recommendPlan(
+    Object.assign({}, VALUES, { modules: ["hr", "payroll"], headcount: "40" })
+  );
+  assert.equal(recommendation.label, "Gold");
+  assert.equal(recommendation.reasons.length, 2);
+});
+
+test("plans and their order come from the catalogue", () => {
+  const catalogue = JSON.parse(JSON.stringify(PLANS));
+  const gold = catalogue.plans.find((plan) => plan.id === "gold");
+  gold.id = "growth";
+  gold.name = "Growth";
+  catalogue.features.forEach((feature) => {
+    if (feature.from === "gold") feature.from = "growth";
+  });
+
+  try {
+    Pricing.installCatalogue(catalogue);
+    const values = Object.assign({}, VALUES, {
+      modules: ["hr", "payroll"],
+      plan: "growth",
+    });
+    assert.deepEqual(TrialWizard.recommendPlan(values), {
+      plan: "growth",
+      label: "Growth",
+      reasons: [
+        "Payroll needs tax calculation, payslips and PAYE returns.",
+        "Employee records and on/offboarding cover a small team.",
+      ],
+    });
+    assert.deepEqual(TrialWizard.validateStep(values, 5), {});
+    assert.deepEqual(
+      Object.keys(
+        TrialWizard.validateStep(Object.assign({}, values, { plan: "gold" }), 5)
+      ),
+      ["plan"]
+    );
+  } finally {
+    Pricing.installCatalogue(PLANS);
+  }
+});
+
+test("the review lists answers with their labels", () => {
+  const rows = TrialWizard.reviewRows(
+    Object.assign({}, VALUES, { modules: ["hr", "payroll"] })
+  );
+  assert.deepEqual(rows.slice(3), [
+    ["Country", "Nigeria"],
+    ["State or nation", "Lagos"],
+    ["Number of employees", "8"],
+    ["Pay frequency", "Monthly"],
+    ["Modules", "HR, Payroll"],
+    ["Plan", "Bronze"],
+  ]);
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for the UK PAYE and National Insurance calculator (2025/26 rates)
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const UkPaye = require("../assets/js/custom/uk-paye.js");
+
+test("parses standard, Scottish, flat, K and emergency tax codes", () => {
+  const standard = UkPaye.parseTaxCode("1257L");
+  assert.equal(standard.allowance, 12570);
+  assert.equal(standard.region, "rUK");
+
+  assert.equal(UkPaye.parseTaxCode("S1257L").region, "scotland");
+  assert.equal(UkPaye.parseTaxCode("BR").flatBand, "basic");
+  assert.equal(UkPaye.parseTaxCode("SD0").flatBand, "intermediate");
+  assert.equal(UkPaye.parseTaxCode("K475").allowance, -4750);
+  assert.equal(UkPaye.parseTaxCode("1257L W1").emergency, true);
+  assert.match(UkPaye.parseTaxCode("D2").error, /not a recognised tax code/);
+});
+
+test("personal allowance tapers away between £100,000 and £125,140", () => {
+  assert.equal(UkPaye.taperAllowance(12570, 100000), 12570);
+  assert.equal(UkPaye.taperAllowance(12570, 110000), 7570);
+  assert.equal(UkPaye.taperAllowance(12570, 125140), 0);
+});
+
+test("£30,000 monthly with minimum auto-enrolment pension", () => {
+  const { period } = UkPaye.calculateUkPayroll({
+    annualSalary: 30000,
+    frequency: "monthly",
+    taxCode: "1257L",
+  });
+
+  assert.equal(period.gross, 2500);
+  assert.equal(period.pensionEmployee, 99); // 5% of £2,500 - £520
+  assert.equal(period.pensionEmployer, 59.4);
+  assert.equal(period.incomeTax, 270.7);
+  assert.equal(period.employeeNI, 116.16);
+  assert.equal(period.employerNI, 312.45);
+  assert.equal(period.netPay, 2014.14);
+});
+
+test("Scottish weekly pay with Plan 2 and postgraduate loans", () => {
+  const { period } = UkPaye.calculateUkPayroll({
+    annualSalary: 40000,
+    frequency: "weekly",
+    region: "scotland",
+    studentLoanPlan: "plan2",
+    postgraduateLoan: true,
+  });
+
+  assert.equal(period.studentLoan, 19);
+  assert.equal(period.postgraduateLoan, 21);
+  assert.equal(period.employeeNI, 42.18);
+});
+
+test("salary sacrifice lowers NI and K codes are capped at half of pay", () => {
+  const net = UkPaye.calculateUkPayroll({
+    annualSalary: 30000,
+    pension: { method: "net" },
+  });
+  const sacrifice = UkPaye.calculateUkPayroll({
+    annualSalary: 30000,
+    pension: { method: "sacrifice" },
+  });
+  assert.ok(sacrifice.period.employeeNI < net.period.employeeNI);
+  assert.equal(sacrifice.period.pensionEmployer, 158.4);
+
+  const kCode = UkPaye.calculateUkPayroll({
+    annualSalary: 6000,
+    taxCode: "K9999",
+    pension: { enabled: false },
+  });
+  assert.equal(kCode.period.incomeTax, 250);
+});
+
+test("validateUkInput reports salary and tax code problems", () => {
+  const errors = UkPaye.validateUkInput({ annualSalary: 0, taxCode: "XYZ" });
+  assert.equal(errors.length, 2);
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for the VAT calculator and monthly return
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const CsvUtils = require("../assets/js/custom/csv.js");
+const VatReturn = require("../assets/js/custom/vat.js");
+
+const line = (fields) =>
+  VatReturn.calculateVatLine(
+    Object.assign(
+      {
+        type: "sale",
+        date: "2026-10-03",
+        party: "Client A",
+        reference: "INV-1",
+        description: "Consulting",
+        amount: 1000000,
+        treatment: "exclusive",
+      },
+      fields
+    )
+  );
+
+test("adds VAT to exclusive amounts and takes it out of inclusive ones", () => {
+  assert.deepEqual(
+    [line({}).net, line({}).vat, line({}).gross],
+    [1000000, 75000, 1075000]
+  );
+
+  const inclusive = line({ amount: 1075000, treatment: "inclusive" });
+  assert.deepEqual(
+    [inclusive.net, inclusive.vat, inclusive.gross],
+    [1000000, 75000, 1075000]
+  );
+
+  // Kobo rounding never lets the parts drift from the invoice total
+  const odd = line({ amount: 999.99, treatment: "inclusive" });
+  assert.equal(odd.vat, 69.77);
+  assert.equal(odd.net + odd.vat, 999.99);
+
+  for (const treatment of ["exempt", "zeroRated"]) {
+    assert.equal(line({ treatment }).vat, 0);
+    assert.equal(line({ treatment }).gross, 1000000);
+  }
+});
+
+test("builds the month's return with output VAT, input VAT and net payable", () => {
+  const lines = [
+    line({}),
+    line({ amount: 500000, treatment: "exempt" }),
+    line({ amount: 250000, treatment: "zeroRated" }),
+    line({ type: "purchase", amount: 215000, treatment: "inclusive" }),
+    line({ type: "purchase", amount: 40000, treatment: "exempt" }),
+    line({ date: "2026-11-01", amount: 9000000 }),
+  ];
+  const vatReturn = VatReturn.buildVatReturn(lines, "2026-10");
+  const amounts = vatReturn.lines.map((item) => item.amount);
+
+  assert.deepEqual(
+    amounts,
+    [
+      1750000, 500000, 250000, 1000000, 75000, 240000, 40000, 200000, 15000,
+      60000, 0,
+    ]
+  );
+  assert.equal(vatReturn.payable, 60000);
+  assert.equal(vatReturn.refundable, 0);
+  assert.equal(vatReturn.sales.length, 3);
+  assert.equal(vatReturn.purchases.length, 2);
+});
+
+test("shows a refund when input VAT is more than output VAT", () => {
+  const vatReturn = VatReturn.buildVatReturn(
+    [line({ amount: 100000 }), line({ type: "purchase", amount: 300000 })],
+    "2026-10"
+  );
+
+  assert.equal(vatReturn.payable, 0);
+  assert.equal(vatReturn.refundable, 15000);
+  assert.deepEqual(VatReturn.vatReturnRows(vatReturn).slice(-2), [
+    ["10", "VAT payable (5 - 9)", "0.00"],
+    ["11", "VAT refundable / carried forward (9 - 5)", "15000.00"],
+  ]);
+});
+
+test("imports invoices from CSV, and exported invoices import again", () => {
+  const rows = CsvUtils.parseCSV(
+    [
+      "type,invoice date,customer,ref,amount,vat treatment",
+      'Sale,2026-10-03,Client A,INV-1,"₦1,075,000.00",VAT-inclusive',
+      "purchase,2026-10-04,Supplier B,B-9,200000,exclusive",
+      "Refund,2026-10-05,Client C,INV-2,100,zero rated",
+      "Sale,2026-10-06,Client D,INV-3,abc,exempt",
+    ].join("\n")
+  );
+  const { lines, errors } = VatReturn.parseInvoiceRows(rows);
+
+  assert.deepEqual(
+    lines.map((item) => [item.type, item.treatment, item.vat]),
+    [
+      ["sale", "inclusive", 75000],
+      ["purchase", "exclusive", 15000],
+    ]
+  );
+  assert.deepEqual(errors, [
+    "Row 4: Type must be Sale or Purchase.",
+    "Row 5: Enter an amount greater than zero.",
+  ]);
+
+  const exported = CsvUtils.parseCSV(
+    CsvUtils.toCSV(VatReturn.invoiceRows(lines))
+  );
+  assert.deepEqual(VatReturn.parseInvoiceRows(exported).lines, lines);
+
+  assert.deepEqual(VatReturn.parseInvoiceRows([["Date", "Amount"]]).errors, [
+    "Missing columns: Type, VAT Treatment",
+  ]);
+});
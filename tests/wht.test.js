@@ -0,0 +1,143 @@
+/**
+ * Tests for the withholding tax calculator and monthly schedule
+ */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const WithholdingTax = require("../assets/js/custom/wht.js");
+const PayeFiling = require("../assets/js/custom/paye-filing.js");
+
+const INVOICE = {
+  date: "2026-10-05",
+  vendor: "Acme Consulting Ltd",
+  tin: "12345678-0001",
+  reference: "INV-101",
+  type: "consultancy",
+  payeeType: "corporate",
+  resident: true,
+  state: "",
+  amount: 1250000,
+  vat: 93750,
+};
+
+test("applies the rate for the payment type, payee and residency", () => {
+  const rate = (type, payee, resident) =>
+    WithholdingTax.getWhtRate(type, payee, resident);
+
+  assert.equal(rate("consultancy", "corporate", true), 0.05);
+  assert.equal(rate("consultancy", "corporate", false), 0.1);
+  assert.equal(rate("contract", "corporate", true), 0.02);
+  assert.equal(rate("contract", "individual", true), 0.05);
+  assert.equal(rate("royalty", "individual", true), 0.05);
+  assert.equal(rate("dividend", "individual", false), 0.1);
+  assert.equal(rate("directorFees", "individual", true), 0.15);
+  assert.equal(rate("directorFees", "corporate", true), null);
+  assert.equal(rate("unknown", "corporate", true), null);
+});
+
+test("deducts WHT from the amount before VAT", () => {
+  const result = WithholdingTax.calculateWht(INVOICE);
+
+  assert.equal(result.rate, 0.05);
+  assert.equal(result.wht, 62500);
+  assert.equal(result.netPayable, 1281250);
+  assert.equal(result.authority, WithholdingTax.FIRS);
+
+  const odd = WithholdingTax.calculateWht(
+    Object.assign({}, INVOICE, { amount: 333.33, vat: 0 })
+  );
+  assert.equal(odd.wht, 16.67);
+  assert.equal(odd.netPayable, 316.66);
+});
+
+test("sends resident individuals' WHT to their State", () => {
+  const individual = Object.assign({}, INVOICE, {
+    payeeType: "individual",
+    state: "LA",
+  });
+  assert.equal(WithholdingTax.getAuthority(individual), "LA");
+  assert.equal(
+    WithholdingTax.getAuthority(
+      Object.assign({}, individual, { resident: false })
+    ),
+    WithholdingTax.FIRS
+  );
+
+  assert.deepEqual(
+    WithholdingTax.validateInvoice(
+      Object.assign({}, individual, { state: "" })
+    ),
+    ["Choose the State the individual lives in."]
+  );
+  // Every State and the FCT can be chosen
+  assert.equal(Object.keys(PayeFiling.STATE_REVENUE_SERVICES).length, 37);
+  assert.deepEqual(
+    WithholdingTax.validateInvoice(
+      Object.assign({}, individual, { state: "KD" })
+    ),
+    []
+  );
+  assert.deepEqual(
+    WithholdingTax.validateInvoice(
+      Object.assign({}, INVOICE, { type: "directorFees", amount: 0 })
+    ),
+    [
+      "Enter an invoice amount greater than zero.",
+      "Directors' fees are only paid to individuals.",
+    ]
+  );
+});
+
+test("builds the month's schedule with totals per tax authority", () => {
+  const invoices = [
+    INVOICE,
+    Object.assign({}, INVOICE, {
+      date: "2026-10-02",
+      vendor: "Ade Bello",
+      type: "rent",
+      payeeType: "individual",
+      state: "LA",
+      amount: 600000,
+      vat: 0,
+    }),
+    Object.assign({}, INVOICE, { date: "2026-10-20", type: "supply" }),
+    Object.assign({}, INVOICE, { date: "2026-11-01" }),
+  ].map(WithholdingTax.calculateWht);
+
+  const schedule = WithholdingTax.buildWhtSchedule(invoices, "2026-10");
+
+  assert.deepEqual(
+    schedule.records.map((record) => record.date),
+    ["2026-10-02", "2026-10-05", "2026-10-20"]
+  );
+  assert.deepEqual(
+    schedule.authorities.map((sum) => [sum.authority, sum.count, sum.wht]),
+    [
+      ["FIRS", 2, 87500],
+      ["LA", 1, 60000],
+    ]
+  );
+  assert.deepEqual(schedule.totals, {
+    amount: 3100000,
+    wht: 147500,
+    netPayable: 3140000,
+  });
+
+  const rows = WithholdingTax.whtScheduleRows(schedule);
+  assert.equal(rows[0][11], "WHT Deducted");
+  assert.equal(rows.length, 1 + 3 + 2 + 1);
+  assert.deepEqual(rows[rows.length - 1].slice(8), [
+    "All authorities",
+    "3100000.00",
+    "",
+    "147500.00",
+    "3140000.00",
+  ]);
+
+  const html = WithholdingTax.whtScheduleHtml(schedule, {
+    name: "HR Payhub Ltd",
+    tin: "999",
+  });
+  assert.match(html, /<h2>Federal Inland Revenue Service \(FIRS\)<\/h2>/);
+  assert.match(html, /<h2>Lagos State Internal Revenue Service \(LIRS\)<\/h2>/);
+});
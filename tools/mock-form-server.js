@@ -0,0 +1,193 @@
+/**
+ * Mock form endpoint
+ * Serves the site and accepts form submissions at POST /api/leads so the
+ * contact forms can be tried end to end without the real backend.
+ *
+ *   node tools/mock-form-server.js
+ *   MOCK_FAIL_RATE=0.5 node tools/mock-form-server.js   (fail half the sends)
+ *
+ * Then open http://localhost:8080/contact.html. GET /api/leads lists what
+ * has been received since the server started.
+ */
+"use strict";
+
+const fs = require("node:fs");
+const http = require("node:http");
+const path = require("node:path");
+
+const ROOT = path.resolve(__dirname, "..");
+const ENDPOINT = "/api/leads";
+const MAX_BODY_BYTES = 64 * 1024;
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+};
+
+/**
+ * Check a submission the way the real endpoint will
+ * @param {object} payload - Body posted by FormSubmit
+ * @returns {array} Error messages (empty when valid)
+ */
+function validateSubmission(payload) {
+  const errors = [];
+  if (!payload || typeof payload !== "object") return ["Body must be JSON."];
+  if (!payload.id) errors.push("id is required.");
+  const fields = payload.fields || {};
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email || "")) {
+    errors.push("A valid email address is required.");
+  }
+  return errors;
+}
+
+/**
+ * Send a JSON response (with CORS so pages on another port can post)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {object} body - Body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type, Accept",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Serve a file from the repository
+ * Paths with a segment starting with a dot (.., .git, .env) are refused.
+ * @param {http.ServerResponse} res - Response
+ * @param {string} urlPath - Request path
+ */
+function serveFile(res, urlPath) {
+  let relative;
+  try {
+    relative = decodeURIComponent(urlPath === "/" ? "/home.html" : urlPath);
+  } catch (error) {
+    res.writeHead(400, { "Content-Type": "text/plain" }).end("Bad request");
+    return;
+  }
+  const file = path.join(ROOT, path.normalize(relative));
+  if (
+    relative.split(/[\\/]/).some((segment) => segment.startsWith(".")) ||
+    !file.startsWith(ROOT + path.sep)
+  ) {
+    res.writeHead(403, { "Content-Type": "text/plain" }).end("Forbidden");
+    return;
+  }
+  fs.readFile(file, (error, data) => {
+    if (error) {
+      res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+      return;
+    }
+    res.writeHead(200, {
+      "Content-Type":
+        CONTENT_TYPES[path.extname(file).toLowerCase()] ||
+        "application/octet-stream",
+    });
+    res.end(data);
+  });
+}
+
+/**
+ * Create the mock server
+ * @param {object} [options] - failRate (0-1 share of sends answered 503),
+ *   quiet (no logging)
+ * @returns {http.Server} Server with a leads array of what it received
+ */
+function createServer(options = {}) {
+  const failRate = options.failRate || 0;
+  const leads = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== ENDPOINT) {
+      serveFile(res, url.pathname);
+      return;
+    }
+    if (req.method === "OPTIONS") {
+      sendJson(res, 204, {});
+      return;
+    }
+    if (req.method === "GET") {
+      sendJson(res, 200, { leads });
+      return;
+    }
+    if (req.method !== "POST") {
+      sendJson(res, 405, { message: "Use POST." });
+      return;
+    }
+
+    let body = "";
+    let tooLarge = false;
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) tooLarge = true;
+    });
+    req.on("end", () => {
+      if (tooLarge) {
+        sendJson(res, 413, { message: "Submission is too large." });
+        return;
+      }
+      if (Math.random() < failRate) {
+        sendJson(res, 503, { message: "Simulated outage, try again." });
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        payload = null;
+      }
+      const errors = validateSubmission(payload);
+      if (errors.length) {
+        sendJson(res, 422, { message: errors.join(" "), errors });
+        return;
+      }
+
+      // A resend of something already received is accepted, not stored twice
+      const duplicate = leads.some((lead) => lead.id === payload.id);
+      if (!duplicate) {
+        leads.push(
+          Object.assign({ receivedAt: new Date().toISOString() }, payload)
+        );
+        if (!options.quiet) {
+          console.log(
+            `Received ${payload.form} from ${payload.page}:`,
+            payload.fields
+          );
+        }
+      }
+      sendJson(res, duplicate ? 200 : 201, { id: payload.id, duplicate });
+    });
+  });
+
+  server.leads = leads;
+  return server;
+}
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || 8080;
+  // Local only: the whole repository is served
+  createServer({ failRate: Number(process.env.MOCK_FAIL_RATE) || 0 }).listen(
+    port,
+    "127.0.0.1",
+    () => {
+      console.log(`Site and ${ENDPOINT} on http://localhost:${port}/`);
+    }
+  );
+}
+
+module.exports = { ENDPOINT, validateSubmission, createServer };
@@ -0,0 +1,70 @@
+/**
+ * Pricing structured data
+ * Rewrites the schema.org offers in the SoftwareApplication block of each
+ * pricing page from assets/data/plans.json, so search results show the same
+ * prices as the tier cards.
+ *
+ *   node tools/sync-pricing-jsonld.js           (update the pages)
+ *   node tools/sync-pricing-jsonld.js --check   (fail if a page is out of date)
+ */
+"use strict";
+
+const fs = require("node:fs");
+const path = require("node:path");
+
+const Pricing = require("../assets/js/custom/pricing.js");
+
+const ROOT = path.resolve(__dirname, "..");
+const PAGES = ["subscription-packages.html", "flexible-plans.html"];
+
+const BLOCK_PATTERN =
+  /(<script type="application\/ld\+json">)([\s\S]*?)(\n( *)<\/script>)/g;
+
+/**
+ * Put the catalogue offers into a page's SoftwareApplication block
+ * @param {string} html - Page source
+ * @returns {string} Page source with the offers replaced
+ * @throws {Error} When the page has no SoftwareApplication block
+ */
+function syncPage(html) {
+  let found = false;
+  const updated = html.replace(
+    BLOCK_PATTERN,
+    (block, open, json, close, indent) => {
+      const data = JSON.parse(json);
+      if (data["@type"] !== "SoftwareApplication") return block;
+      found = true;
+      data.offers = Pricing.offersJsonLd();
+      const body = JSON.stringify(data, null, 2).replace(/^/gm, `${indent}  `);
+      return `${open}\n${body}${close}`;
+    }
+  );
+  if (!found) throw new Error("No SoftwareApplication JSON-LD block");
+  return updated;
+}
+
+if (require.main === module) {
+  const check = process.argv.includes("--check");
+  const stale = PAGES.filter((page) => {
+    const file = path.join(ROOT, page);
+    const html = fs.readFileSync(file, "utf8");
+    const updated = syncPage(html);
+    if (updated === html) return false;
+    if (!check) fs.writeFileSync(file, updated);
+    return true;
+  });
+
+  if (check && stale.length) {
+    console.error(`Pricing JSON-LD is out of date in: ${stale.join(", ")}`);
+    console.error("Run node tools/sync-pricing-jsonld.js to update it.");
+    process.exitCode = 1;
+  } else {
+    console.log(
+      stale.length
+        ? `Updated ${stale.join(", ")}`
+        : "Pricing JSON-LD is current"
+    );
+  }
+}
+
+module.exports = { PAGES, syncPage };